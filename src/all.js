@@ -1,11 +1,22 @@
 import { applyGlobalExports, removeGlobalExports } from './global.exports.js'
 import { Toolbelt } from './toolbelt.js'
+import {
+  MediaQueryController,
+  PressController,
+  ResizeController,
+} from './controllers.js'
+import { html, render as renderTemplate } from './html.js'
+import { InstanceRegistry } from './instanceregistry.js'
+import { renderToString } from './ssr.js'
 import { StyleManager } from './stylemanager.js'
+import { ThemeRegistry, themes } from './themes.js'
+import { exportTokens, importTokens, parseTokens } from './tokens.js'
 import { WebComponentBase } from './webcomponentbase.js'
 
 import { AquaButton } from './aqua-button.js'
 import { AquaButton2 } from './aqua-button2.js'
 import { AquaHorizontalRule } from './aqua-hr.js'
+import { AquaInspector } from './aqua-inspector.js'
 import { AquaTrafficLight } from './aqua-trafficlight.js'
 
 import { GlowText } from './glow-text.js'
@@ -16,9 +27,22 @@ globalThis.exports = {
   AquaButton,
   AquaButton2,
   AquaHorizontalRule,
+  AquaInspector,
   AquaTrafficLight,
+  exportTokens,
   GlowText,
+  html,
+  importTokens,
+  InstanceRegistry,
+  MediaQueryController,
+  parseTokens,
+  PressController,
+  renderTemplate,
+  renderToString,
+  ResizeController,
   StyleManager,
+  ThemeRegistry,
+  themes,
   Toolbelt,
   WebComponentBase,
 
@@ -1,5 +1,6 @@
 import { WebComponentBase } from './webcomponentbase.js';
 import { Toolbelt } from './toolbelt.js';
+import { themes } from './themes.js';
 
 const { measureText } = Toolbelt;
 
@@ -23,6 +24,17 @@ const { measureText } = Toolbelt;
  * and its behavior can be modified by setting attributes or overriding
  * methods. The component also includes event handling for click events and
  * attribute changes.
+ *
+ * The button is form associated. Like a native `<button>`, its `type`
+ * attribute decides whether a click submits (the default), resets or does
+ * nothing to the surrounding `<form>`, and a submitting button with a
+ * `name` contributes its `value` to the submitted form data.
+ *
+ * @example
+ * <form action="/settings">
+ *   <aqua-button type="reset" color="gray">Revert</aqua-button>
+ *   <aqua-button name="intent" value="save">Save</aqua-button>
+ * </form>
  */
 export class AquaButton extends WebComponentBase {
   /**
@@ -51,13 +63,20 @@ export class AquaButton extends WebComponentBase {
    * The constructor sets up the initial state of the button component. It
    * attaches a click event listener to the button that calls the
    * `defaultHandler` method. It also initializes the `variables` object with
-   * various color values for the button's appearance in different states
-   * (normal, hover, disabled, etc.). The `variables` object also includes
-   * properties for the button's radius and hover transition.
+   * the button's radius and hover transition. The colors come from the
+   * theme in effect; see `setColor`.
    *
    * After setting up the `variables` object, the constructor calls the
    * `setColor` method with the result of `normalizedColorAttribute(true)` to
    * set the initial color of the button based on the `color` attribute.
+   *
+   * The declared `disabled` and `size` properties are then watched, so the
+   * button turns gray or resizes as soon as either changes, and a button
+   * that starts out disabled is shown as such.
+   *
+   * Finally, it consumes the `color` and `size` context values, so that a
+   * container providing them (see `WebComponentBase.provide`) styles all of
+   * its buttons at once. See `applyContextColor` and `applyContextSize`.
    */
   constructor() {
     super()
@@ -65,35 +84,65 @@ export class AquaButton extends WebComponentBase {
     this.on('click', this.defaultHandler)
 
     this.variables = {
-      aquaBlueTextColor: 'rgb(255,255,255)',
-      aquaBlueTextShadow: '0px 1px 3px rgb(0 0 0/ 50%)',
-      aquaBlueTop: 'rgb(75,95,146)',
-      aquaBlueTopBorder: 'rgb(42, 61, 121)',
-      aquaBlueBottomBorder: 'rgb(176, 212, 246)',
-      aquaBlueBottom: 'rgb(189,226,252)',
-      aquaBlueVerticalGradient: 'var(--aqua-blue-top), var(--aqua-blue-bottom)',
-      aquaBlueTopBright: 'rgb(88,111,171)',
-      aquaBlueBottomBright: 'rgb(191,229,255)',
-      aquaBlueVerticalGradientBright:
-        'var(--aqua-blue-top-bright), var(--aqua-blue-bottom-bright)',
-
-      aquaGrayTextColor: 'rgb(98,98,98)',
-      aquaGrayTextShadow: '0px 1px 3px rgb(255 255 255/ 50%)',
-      aquaGrayTop: 'rgb(124,124,124)',
-      aquaGrayBorderTop: 'rgb(124,124,124)',
-      aquaGrayBorderBottom: 'rgb(126,125,124)',
-      aquaGrayBottom: 'rgb(249,249,249)',
-      aquaGrayVerticalGradient: 'var(--aqua-gray-top), var(--aqua-gray-bottom)',
-      aquaGrayTopBright: 'rgb(148,148,148)',
-      aquaGrayBottomBright: 'rgb(255,255,255)',
-      aquaGrayVerticalGradientBright:
-        'var(--aqua-gray-top-bright), var(--aqua-gray-bottom-bright)',
-
       buttonRadius: 'calc(var(--button-height) / 2)',
       buttonHoverTransition: 'none',
     }
 
     this.setColor(this.normalizedColorAttribute(true))
+
+    this.watch('disabled', disabled => this.setDisabled(disabled))
+    this.watch('size', size => this.setSize(size))
+
+    if (this.getState('disabled'))
+      this.setDisabled(true)
+
+    this.consume('color', this.applyContextColor)
+    this.consume('size', this.applyContextSize)
+  }
+
+  /**
+   * Applies a `color` provided by an enclosing component.
+   *
+   * @param {string|null} color - The provided color, 'Blue' or 'Gray' in any
+   *   letter case.
+   *
+   * @description
+   * A `color` attribute on the button takes precedence, so the provided
+   * color is ignored when one is present. A disabled button stays gray and
+   * takes the provided color when it is enabled again.
+   */
+  applyContextColor(color) {
+    if (this.hasAttribute('color') || !color)
+      return
+
+    color = color.charAt(0).toUpperCase() + color.toLowerCase().slice(1)
+
+    this.setState('color', color, true)
+    this.setState('color.original', color, true)
+
+    if (!this.getState('disabled'))
+      this.setColor(color)
+  }
+
+  /**
+   * Applies a `size` provided by an enclosing component.
+   *
+   * @param {string|null} size - The provided size; see `setSize` for the
+   *   accepted values.
+   *
+   * @description
+   * A `size` attribute on the button takes precedence, so the provided size
+   * is ignored when one is present.
+   *
+   * @example
+   * // In a toolbar component wrapping several buttons
+   * this.provide('size', 'small')
+   */
+  applyContextSize(size) {
+    if (this.hasAttribute('size'))
+      return
+
+    this.setState('size', size, true)
   }
 
   /**
@@ -136,44 +185,6 @@ export class AquaButton extends WebComponentBase {
     return base
   }
 
-  /**
-   * Handles changes to the `disabled` attribute.
-   *
-   * @param {*} _ - The previous value of the `disabled` attribute (unused).
-   * @param {boolean|null} newValue - The new value of the `disabled` attribute.
-   *
-   * @description
-   * This method is called whenever the `disabled` attribute changes. If the
-   * new value is truthy, it sets the `disabled` state to true, sets the button
-   * color to 'Gray', and adds the 'disabled' class to the button element. If
-   * the new value is falsy, it sets the `disabled` state to false, restores
-   * the button color to the `color.original` state, and removes the 'disabled'
-   * class from the button element.
-   *
-   * If the component is not yet connected to the DOM, the corresponding
-   * commands are queued and executed when the component is connected.
-   */
-  onDisabledChanged(_, newValue) {
-    if (newValue !== null) {
-      const command = () => this.elements.button.classList.add('disabled')
-      this.setState("disabled", true, true)
-      this.setColor('Gray')
-      if (this.isConnected)
-        command()
-      else
-        this.queueCommand(command)
-    }
-    else {
-      const command = () => this.elements.button.classList.remove('disabled')
-      this.setState("disabled", false, true)
-      this.setColor(this.getState('color.original'))
-      if (this.isConnected)
-        command()
-      else
-        this.queueCommand(command)
-    }
-  }
-
   /**
    * Handles changes to the `handler` attribute.
    *
@@ -196,20 +207,6 @@ export class AquaButton extends WebComponentBase {
       this.#attributeFunction = null
   }
 
-  /**
-   * Handles changes to the `size` attribute.
-   *
-   * @param {*} _ - The previous value of the `size` attribute (unused).
-   * @param {string|null} newValue - The new value of the `size` attribute.
-   *
-   * @description
-   * This method is called whenever the `size` attribute changes. It calls the
-   * `setSize` method with the new value to update the button's size.
-   */
-  onSizeChanged(_, newValue) {
-    this.setSize(newValue)
-  }
-
   /**
    * Handles the component being connected to the DOM.
    *
@@ -218,23 +215,30 @@ export class AquaButton extends WebComponentBase {
    * performs the following tasks:
    *
    * 1. Calls the `connectedCallback` method of the parent class.
-   * 2. Moves any content added to the component's body to the shadowRoot's
-   *    content span.
-   * 3. Measures the text content and sets various CSS variables based on the
-   *    measured dimensions.
-   * 4. Calls the `setSize` and `setColor` methods to apply the initial size
-   *    and color styles.
+   * 2. Measures the slotted content by calling `measureContent`.
+   *
+   * The button's content stays in the light DOM and is shown through the
+   * `<slot>` in the content span, so frameworks that own those nodes can
+   * keep updating them.
    */
   connectedCallback() {
-    // Handle any queued commands and render() once
+    // Handle any queued commands and schedule a render
     super.connectedCallback()
 
-    // Move any content added to the component's body to the
-    // shadowRoot's content span.
-    this.childNodes.forEach(child => this.elements.content.append(child))
+    this.measureContent()
+  }
 
-    const parent = this.elements.content
-    const contentText = parent.innerText
+  /**
+   * Measures the button's text and sizes the button to fit it.
+   *
+   * @description
+   * This method measures the text content of the slotted nodes and sets
+   * various CSS variables based on the measured dimensions. It then calls
+   * the `setSize` and `setColor` methods to apply the size and color styles
+   * on top of the new measurements.
+   */
+  measureContent() {
+    const contentText = this.textContent.replace(/\s+/g, ' ').trim()
     const { width, height } = measureText(contentText)
     const { variables } = this.styleManager
 
@@ -249,6 +253,17 @@ export class AquaButton extends WebComponentBase {
     this.setColor(this.state.color)
   }
 
+  /**
+   * Handles changes to the content slotted into the button.
+   *
+   * @description
+   * Re-measures the button so that it grows or shrinks with its label.
+   */
+  onSlotChange() {
+    if (this.isConnected)
+      this.measureContent()
+  }
+
   /**
    * The default click handler for the button.
    *
@@ -258,15 +273,56 @@ export class AquaButton extends WebComponentBase {
    * This method is called when the button is clicked. If the button is not
    * disabled and the `#attributeFunction` is set, it calls the function with
    * the click event object. If an error occurs while executing the function,
-   * it logs the error to the console.
+   * it is reported with `reportError` in the `'handler'` phase.
+   *
+   * Unless the button is disabled or the click event's default was
+   * prevented, the button then submits or resets its form according to its
+   * `type`. That happens in a task after the click has been dispatched, so
+   * that any listener can still prevent it.
    */
   defaultHandler(event) {
     const isDisabled = !!this.getState("disabled")
 
-    if (this.#attributeFunction && !isDisabled) {
+    if (isDisabled)
+      return
+
+    if (this.#attributeFunction) {
       try { this.#attributeFunction(event) }
-      catch (error) { console.error('<aqua-button:error> %o', error) }
+      catch (error) { this.reportError(error, 'handler') }
     }
+
+    if (!event) {
+      this.#activateFormBehavior()
+      return
+    }
+
+    // A native button submits only after the click has been dispatched, so
+    // that any listener can cancel it. This listener is added in the
+    // constructor, before any the page adds, and microtasks can run between
+    // listeners, so only a task sees the click's final `defaultPrevented`
+    setTimeout(() => {
+      if (!event.defaultPrevented)
+        this.#activateFormBehavior()
+    })
+  }
+
+  /**
+   * Handles the button being disabled or enabled by its form, e.g. by a
+   * disabled `<fieldset>` ancestor.
+   *
+   * @param {boolean} disabled - Whether the form disabled the button.
+   *
+   * @description
+   * The button stays disabled while its own `disabled` attribute is set to
+   * anything but 'false', regardless of what the form reports.
+   */
+  formDisabledCallback(disabled) {
+    const own = WebComponentBase.fromAttribute(
+      this.getAttribute('disabled'),
+      this.constructor.propertyDeclarations.get('disabled')
+    )
+
+    this.setDisabled(disabled || own)
   }
 
   /**
@@ -278,19 +334,23 @@ export class AquaButton extends WebComponentBase {
    *
    * @property {HTMLDivElement} button - The main button element.
    * @property {HTMLSpanElement} content - The span element containing the
-   *   button's text content.
+   *   slot for the button's text content.
+   * @property {HTMLSlotElement} slot - The default slot showing the button's
+   *   text content.
    * @property {HTMLDivElement} chrome - The inner chrome element.
-   * @property {HTMLStyleElement} stylesheet - The style element containing
-   *   the component's styles.
+   * @property {CSSStyleSheet|HTMLStyleElement} stylesheet - The component's
+   *   own stylesheet holding its CSS variables.
    */
   get elements() {
-    const query = this.shadowRoot.querySelector.bind(this.shadowRoot)
+    const query = this.renderRoot.querySelector.bind(this.renderRoot)
+    const component = this
 
     return {
       get button() { return query('div.aqua-button') },
       get content() { return query('div.aqua-button span.content') },
+      get slot() { return query('div.aqua-button span.content slot') },
       get chrome() { return query('div.aqua-button div.inner-chrome') },
-      get stylesheet() { return query('style') },
+      get stylesheet() { return component.stylesheet },
     }
   }
 
@@ -301,29 +361,56 @@ export class AquaButton extends WebComponentBase {
    *   either 'Blue' or 'Gray'.
    *
    * @description
-   * This method sets the color of the button by updating the `variables`
-   * object with the appropriate color values for the specified color. If the
-   * provided `color` is not 'Blue' or 'Gray', the method does nothing.
+   * This method sets the color of the button by pointing its `--button-*`
+   * variables at the theme tokens for the specified color, such as
+   * `--aqua-blue-top`, so the button follows the theme in effect (see
+   * `themes.apply`). The variables are assigned together, so the button's
+   * stylesheet is updated once. If the provided `color` is not 'Blue' or
+   * 'Gray', the method does nothing.
    */
   setColor(color = "Blue") {
     if (!['Blue', 'Gray'].includes(color)) {
       return
     }
 
-    const { variables } = this
+    const token = name => themes.token(`aqua${color}${name}`)
 
     this.variables = {
-      buttonTextColor: variables[`aqua${color}TextColor`],
-      buttonTextShadow: variables[`aqua${color}TextShadow`],
-      buttonTop: variables[`aqua${color}Top`],
-      buttonTopBorder: variables[`aqua${color}TopBorder`],
-      buttonBottom: variables[`aqua${color}Bottom`],
-      buttonBottomBorder: variables[`aqua${color}BottomBorder`],
-      buttonVerticalGradient: variables[`aqua${color}VerticalGradient`],
-      buttonVerticalGradientBright: variables[`aqua${color}VerticalGradientBright`],
+      buttonTextColor: token('TextColor'),
+      buttonTextShadow: token('TextShadow'),
+      buttonTop: token('Top'),
+      buttonTopBorder: token('TopBorder'),
+      buttonBottom: token('Bottom'),
+      buttonBottomBorder: token('BottomBorder'),
+      buttonVerticalGradient: `${token('Top')}, ${token('Bottom')}`,
+      buttonVerticalGradientBright: `${token('TopBright')}, ${token('BottomBright')}`,
     }
   }
 
+  /**
+   * Sets whether the button is disabled.
+   *
+   * @param {boolean} [disabled=false] - Whether the button is disabled.
+   *
+   * @description
+   * A disabled button has its `disabled` state set to true, its color set to
+   * 'Gray' and the 'disabled' class added to the button element. Enabling
+   * the button sets the `disabled` state to false, restores the button color
+   * to the `color.original` state, and removes the 'disabled' class.
+   *
+   * The class change waits for the component to be connected to the DOM
+   * and follows the `disabled` state at that time, so only the latest of
+   * several calls made before then takes effect.
+   */
+  setDisabled(disabled = false) {
+    this.setState("disabled", disabled, true)
+    this.setColor(disabled ? 'Gray' : this.getState('color.original'))
+
+    this.whenConnected().then(() => {
+      this.elements.button.classList.toggle('disabled', !!this.getState('disabled'))
+    })
+  }
+
   /**
    * Sets the size of the button.
    *
@@ -401,84 +488,12 @@ export class AquaButton extends WebComponentBase {
 				-webkit-font-smoothing: antialiased;
 			}
 
-      @property --button-radius {
-        syntax: "<length>";
-        inherits: true;
-        initial-value: "10px"
-      }
-
-      @property --button-text-color {
-        syntax: "<color>";
-        inherits: true;
-        initial-value: "transparent";
-      }
-
-      @property --button-text-shadow {
-        syntax: "<length> <length> <length> <color>";
-        inherits: false;
-        initial-value: "0px 0px 0px transparent";
-      }
-
-      @property --button-top {
-        syntax: "<color>";
-        inherits: true;
-        initial-value: "transparent";
-      }
-
-      @property --button-top-border {
-        syntax: "<color>";
-        inherits: true;
-        initial-value: "transparent";
-      }
-
-      @property --button-bottom {
-        syntax: "<color>";
-        inherits: true;
-        initial-value: "transparent";
-      }
-
-      @property --button-vertical-gradient {
-        syntax: "<color>#";
-        inherits: false;
-        initial-value: "transparent";
-      }
-
-      @property --button-vertical-gradient-bright {
-        syntax: "<color>#";
-        inherits: false;
-        initial-value: "transparent"
-      }
-
-      @property --button-text-width {
-        syntax: "<length>";
-        inherits: false;
-        initial-value: "40px";
-      }
-
-      @property --button-text-height {
-        syntax: "<length>";
-        inherits: false;
-        initial-value: "20px";
-      }
-
-      @property --button-height {
-        syntax: "<length>";
-        inherits: false;
-        initial-value: "30px";
-      }
-
-      @property --button-width {
-        syntax: "<length>";
-        inherits: false;
-        initial-value: "60px";
-      }
-
       .aqua-button {
         background-image: linear-gradient(180deg, var(--button-vertical-gradient));
         border-bottom: 1px solid var(--button-bottom-border);
         border-radius: var(--button-radius);
         border-top: 1px solid var(--button-top-border);
-        box-shadow: 0px 0px 3px rgb(0 0 0 / 50%);
+        box-shadow: 0px 0px 3px ${themes.token('aquaShadowColor')};
         box-sizing: border-box;
         cursor: pointer;
         display: inline-flex;
@@ -497,7 +512,7 @@ export class AquaButton extends WebComponentBase {
           opacity: 0.4;
 
           &:active {
-            box-shadow: 0px 0px 3px rgb(0 0 0 / 50%);
+            box-shadow: 0px 0px 3px ${themes.token('aquaShadowColor')};
             transition: none;
             animation: none;
 
@@ -559,7 +574,7 @@ export class AquaButton extends WebComponentBase {
 
         & .content {
           color: var(--button-text-color);
-          font-family: 'Tenorite Display', 'Grandview Display', 'Aptos Display';
+          font-family: ${themes.token('aquaFontFamily')};
           font-size: calc(var(--button-height) * 0.6 + 4pt);
           text-shadow: var(--button-text-shadow);
           display: inline-flex;
@@ -668,22 +683,146 @@ export class AquaButton extends WebComponentBase {
    * The template consists of a div element with the class 'aqua-button',
    * which contains another div element with the class 'inner-chrome' and a
    * span element with the class 'content'. The 'inner-chrome' div is used
-   * for creating a shaded effect on the button, while the 'content' span is
-   * used to display the button's text content.
+   * for creating a shaded effect on the button, while the 'content' span
+   * holds the default slot that displays the button's text content.
+   *
+   * Each of them is exposed for styling with `::part()`:
+   *
+   * - `button`: the outer 'aqua-button' div, the body of the button.
+   * - `chrome`: the 'inner-chrome' div providing the glassy highlight.
+   * - `content`: the 'content' span around the label; the place for fonts
+   *   and padding.
    *
    * @example
    * const template = button.template()
-   * // template = '<div class="aqua-button"><div class="inner-chrome"></div><span class="content"></span></div>'
+   * // template = '<div class="aqua-button" part="button"><div class="inner-chrome" part="chrome"></div><span class="content" part="content"><slot></slot></span></div>'
+   *
+   * @example
+   * aqua-button::part(content) {
+   *   font-family: 'Lucida Grande', sans-serif;
+   *   padding-inline: 1em;
+   * }
    */
   template() {
     return `
-      <div class="aqua-button">
-        <div class="inner-chrome"></div>
-        <span class="content"></span>
+      <div class="aqua-button" part="button">
+        <div class="inner-chrome" part="chrome"></div>
+        <span class="content" part="content"><slot></slot></span>
       </div>
     `
   }
 
+  /**
+   * Submits or resets the button's form according to its `type`.
+   *
+   * @private
+   *
+   * @description
+   * Custom elements cannot be the submitter of a form, so the button places
+   * a hidden native submit button carrying its `name` and `value` in the
+   * form for the one submission and passes it to `requestSubmit()`. As with
+   * a native button, the submission and `new FormData(form,
+   * event.submitter)` in a `submit` listener contain the name and value,
+   * while `new FormData(form)` does not. `event.submitter` is that hidden
+   * button, which is removed again once the submission has been made.
+   */
+  #activateFormBehavior() {
+    const { form } = this
+
+    if (!form)
+      return
+
+    switch (String(this.getState('type')).toLowerCase()) {
+      case 'button':
+        return
+
+      case 'reset':
+        form.reset()
+        return
+
+      default: {
+        const submitter = document.createElement('button')
+        const name = this.getState('name')
+
+        submitter.type = 'submit'
+        submitter.hidden = true
+
+        if (name) {
+          submitter.name = name
+          submitter.value = this.getState('value') ?? ''
+        }
+
+        form.append(submitter)
+
+        try {
+          form.requestSubmit(submitter)
+        }
+        finally {
+          submitter.remove()
+        }
+      }
+    }
+  }
+
+  /**
+   * Describes the values the AquaButton's attributes accept.
+   *
+   * @returns {Object<string, Object>} The schema rules, keyed by attribute.
+   *
+   * @description
+   * The button ignores colors other than blue and gray and treats unknown
+   * sizes as medium, so in development mode these rules warn about such
+   * values instead of letting them pass unnoticed.
+   */
+  static get attributeSchema() {
+    return {
+      ...super.attributeSchema,
+      color: { values: ['blue', 'gray'], ignoreCase: true },
+      size: {
+        values: [
+          's', 'small', 'm', 'medium', 'l', 'large', 'xl', 'x-large',
+          'extra-large', 'xxl', 'xx-large', 'extra-extra-large',
+        ],
+        ignoreCase: true,
+      },
+      type: { values: ['submit', 'reset', 'button'], ignoreCase: true },
+    }
+  }
+
+  /**
+   * Returns the typed custom properties of the AquaButton component.
+   *
+   * @returns {Object[]} The definitions registered by `define()`.
+   *
+   * @description
+   * Typed colors and lengths let the browser animate the button, such as
+   * the gradient change on hover and the 'throb' of a primary button. They
+   * all inherit, as they are set on the host and read inside the shadow
+   * root. `--button-text-shadow` stays untyped; a shadow does not fit the
+   * syntax of a registered property.
+   */
+  static get cssProperties() {
+    const color = name => ({ name, syntax: '<color>', inherits: true, initialValue: 'transparent' })
+    const colors = name => ({ name, syntax: '<color>#', inherits: true, initialValue: 'transparent' })
+    const length = (name, initialValue) => ({ name, syntax: '<length>', inherits: true, initialValue })
+
+    return [
+      ...super.cssProperties,
+      length('--button-radius', '10px'),
+      color('--button-text-color'),
+      color('--button-top'),
+      color('--button-top-border'),
+      color('--button-bottom'),
+      color('--button-bottom-border'),
+      colors('--button-vertical-gradient'),
+      colors('--button-vertical-gradient-bright'),
+      length('--button-text-width', '40px'),
+      length('--button-text-height', '20px'),
+      length('--button-height', '30px'),
+      length('--button-width', '60px'),
+    ]
+  }
+
   /**
    * Returns the custom element name for the AquaButton component.
    *
@@ -701,6 +840,15 @@ export class AquaButton extends WebComponentBase {
     return 'aqua-button'
   }
 
+  /**
+   * Indicates that the AquaButton takes part in forms.
+   *
+   * @returns {boolean} Always `true`.
+   */
+  static get formAssociated() {
+    return true
+  }
+
   /**
    * Returns an array of attribute names to observe for the AquaButton.
    *
@@ -709,31 +857,62 @@ export class AquaButton extends WebComponentBase {
    * @description
    * This static getter method returns an array of attribute names that the
    * AquaButton component should observe for changes. The observed attributes
-   * are 'color', 'disabled', 'handler', and 'size'.
+   * are those of the declared properties, 'disabled', 'name', 'size', 'type'
+   * and 'value', plus 'color' and 'handler'.
    *
    * @example
    * const observedAttributes = AquaButton.observedAttributes
-   * // observedAttributes = ['color', 'disabled', 'handler', 'size']
+   * // observedAttributes = [
+   * //   'disabled', 'name', 'size', 'type', 'value', 'color', 'handler'
+   * // ]
    */
   static get observedAttributes() {
-    return ['color', 'disabled', 'handler', 'size']
+    return [...super.observedAttributes, 'color', 'handler']
+  }
+
+  /**
+   * Returns the declared properties of the AquaButton.
+   *
+   * @returns {Object} The property declarations.
+   *
+   * @description
+   * - `disabled`: whether the button is grayed out and ignores clicks. As
+   *   with other Boolean properties, `disabled="false"` leaves it enabled.
+   * - `size`: the size of the button's text; see `setSize`.
+   *
+   * The rest mirror the form attributes of a native `<button>`:
+   *
+   * - `name`: the name the button's value is submitted under.
+   * - `type`: 'submit' (the default), 'reset' or 'button'. Unknown values
+   *   behave as 'submit'.
+   * - `value`: the value submitted when this button submits the form.
+   */
+  static get properties() {
+    return {
+      disabled: { type: Boolean, reflect: true },
+      size: { type: String },
+      name: { type: String },
+      type: { type: String, default: 'submit' },
+      value: { type: String, default: '' },
+    }
   }
 
   /**
    * Defines the AquaButton custom element.
    *
    * @description
-   * This static block defines the AquaButton custom element by calling the
-   * `customElements.define` method with the custom element name and the
-   * AquaButton class. This ensures that the AquaButton component can be used
-   * as a custom HTML element in the web page.
+   * This static block defines the AquaButton custom element by calling
+   * `WebComponentBase.define()`, which names it after `customElementName`
+   * (or the configured tag prefix) and skips the definition when a copy of
+   * the component is already defined. This ensures that the AquaButton
+   * component can be used as a custom HTML element in the web page.
    *
    * @example
    * // The AquaButton custom element is now defined and can be used like:
    * // <aqua-button>Click me</aqua-button>
    */
   static {
-    customElements.define('aqua-button', AquaButton)
+    AquaButton.define()
   }
 }
 
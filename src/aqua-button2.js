@@ -122,11 +122,17 @@ export class AquaButton2 extends WebComponentBase {
     `
   }
 
+  /**
+   * Returns the template for the button. The native button is exposed for
+   * styling as `::part(button)` and its label as `::part(label)`.
+   *
+   * @returns {string} The HTML template for the button.
+   */
   template() {
     return `
       <!--html-->
-      <button>
-        <span>
+      <button part="button">
+        <span part="label">
           Aqua button
         </span>
       </button>
@@ -134,7 +140,15 @@ export class AquaButton2 extends WebComponentBase {
     `
   }
 
+  static get customElementName() {
+    return 'aqua-button2';
+  }
+
+  static get shadowRootOptions() {
+    return { ...super.shadowRootOptions, delegatesFocus: true };
+  }
+
   static {
-    customElements.define('aqua-button2', AquaButton2);
+    AquaButton2.define();
   }
 }
\ No newline at end of file
@@ -1,4 +1,5 @@
 import { WebComponentBase } from './webcomponentbase.js';
+import { themes } from './themes.js';
 
 export class AquaHorizontalRule extends WebComponentBase {
   connectedCallback() {
@@ -7,14 +8,6 @@ export class AquaHorizontalRule extends WebComponentBase {
     this.variables.hrRadius = 'calc((var(--hr-height) / 2) + 2px)';
   }
 
-  onWidthChanged(_, newValue) {
-    this.variables.hrWidth = newValue !== null ? newValue : '100%';
-  }
-
-  onHeightChanged(_, newValue) {
-    this.variables.hrHeight = newValue !== null ? newValue : '6px';
-  }
-
   onMarginChanged(_, newValue) {
     const nValue = String(newValue).toLowerCase();
     const parts = nValue.split(' ')
@@ -43,8 +36,14 @@ export class AquaHorizontalRule extends WebComponentBase {
     }
   }
 
+  /**
+   * Returns the template for the rule. Its one div is exposed for styling
+   * with `::part(rule)`.
+   *
+   * @returns {string} The HTML template for the rule.
+   */
   template() {
-    return `<div class="aqua-hr"></div>`
+    return `<div class="aqua-hr" part="rule"></div>`
   }
 
   styles() {
@@ -57,30 +56,6 @@ export class AquaHorizontalRule extends WebComponentBase {
 				-webkit-font-smoothing: antialiased;
 			}
 
-      @property --hr-width {
-        syntax: "<length>";
-        inherits: true;
-        initial-value: "100%";
-      }
-
-      @property --hr-height {
-        syntax: "<length>";
-        inherits: true;
-        initial-value: "0.2em";
-      }
-
-      @property --hr-radius {
-        syntax: "<length>";
-        inherits: true;
-        initial-value: "5px";
-      }
-
-      @property --hr-margin {
-        syntax: "<length> | <length> <length> | <length> <length> <length> | <length> <length> <length> <length> | none";
-        inherits: true;
-        initial-value: "0.3em 0 0.5em";
-      }
-
       :host {
         --hr-width: 100%;
         --hr-height: 6px;
@@ -94,15 +69,9 @@ export class AquaHorizontalRule extends WebComponentBase {
         width: var(--hr-width);
         height: var(--hr-height);
         border-radius: var(--hr-radius);
-        border: 1px solid rgb(38,85,169);
-        background-image: linear-gradient(
-          rgb(170,193,225),
-          rgb(190,211,237),
-          rgb(133,174,233),
-          rgb(167,205,251),
-          rgb(198,237,252)
-        );
-        box-shadow: 0px 1px 2px 0px rgba(111,111,111,0.33);
+        border: 1px solid ${themes.token('hrBorderColor')};
+        background-image: linear-gradient(${themes.token('hrGradient')});
+        box-shadow: 0px 1px 2px 0px ${themes.token('hrShadowColor')};
         margin: var(--hr-margin);
         transition: all 0.1s ease;
       }
@@ -110,11 +79,59 @@ export class AquaHorizontalRule extends WebComponentBase {
     `
   }
 
-  static get observedAttributes() {
-    return ['width', 'height', 'margin'];
+  static get attributeSchema() {
+    const isMargin = WebComponentBase.cssValidator('margin');
+    const isLength = WebComponentBase.cssValidator('margin-top');
+
+    return {
+      ...super.attributeSchema,
+      width: { validate: WebComponentBase.cssValidator('width'), description: 'a CSS width' },
+      height: { validate: WebComponentBase.cssValidator('height'), description: 'a CSS height' },
+      margin: {
+        validate: value => {
+          const [edge, length, ...rest] = value.trim().split(/\s+/);
+
+          if (value.trim().toLowerCase() === 'none')
+            return true;
+
+          if (['top', 'bottom'].includes(edge.toLowerCase()))
+            return !rest.length && !!length && isLength(length);
+
+          return isMargin(value);
+        },
+        description: '"none", "top <length>", "bottom <length>" or a CSS margin',
+      },
+    };
+  }
+
+  /**
+   * Returns the typed custom properties of the rule. `--hr-margin` stays
+   * untyped, as a margin may mix `auto` with lengths.
+   *
+   * @returns {Object[]} The definitions registered by `define()`.
+   */
+  static get cssProperties() {
+    return [
+      ...super.cssProperties,
+      { name: '--hr-width', syntax: '<length-percentage> | auto', inherits: true, initialValue: '100%' },
+      { name: '--hr-height', syntax: '<length-percentage> | auto', inherits: true, initialValue: '6px' },
+      { name: '--hr-radius', syntax: '<length>', inherits: true, initialValue: '5px' },
+    ];
+  }
+
+  static get properties() {
+    return {
+      width: { type: String, default: '100%', variable: 'hrWidth' },
+      height: { type: String, default: '6px', variable: 'hrHeight' },
+      margin: { type: String },
+    };
+  }
+
+  static get customElementName() {
+    return 'aqua-hr';
   }
 
   static {
-    customElements.define('aqua-hr', AquaHorizontalRule);
+    AquaHorizontalRule.define();
   }
 }
@@ -0,0 +1,315 @@
+import { WebComponentBase } from './webcomponentbase.js'
+import { html } from './html.js'
+
+/**
+ * An in-page overlay for inspecting live components.
+ *
+ * @description
+ * The inspector lists the connected components registered with
+ * `WebComponentBase.instances`. Selecting one shows its state entries, the
+ * CSS variables its `styleManager` manages and the listeners registered
+ * with `on`. Variables can be edited in place; each change is written to
+ * the component right away, and clearing a value removes the variable.
+ *
+ * The overlay is meant for development. It is not part of any component's
+ * output and can simply be left out of production pages.
+ *
+ * @example
+ * <aqua-inspector open></aqua-inspector>
+ *
+ * @example
+ * // From the console
+ * document.body.append(document.createElement('aqua-inspector'))
+ */
+export class AquaInspector extends WebComponentBase {
+  /**
+   * Refreshes the panel when the selected component's state changes.
+   *
+   * @param {CustomEvent} event - A `state-change` event that reached the
+   *   document.
+   * @private
+   */
+  #onStateChange = event => {
+    const origin = event.composedPath()[0]
+
+    if (this.open && origin !== this && origin?.instanceId === this.selected)
+      this.requestUpdate('inspected')
+  }
+
+  /**
+   * Starts following state changes while the inspector is on the page.
+   */
+  connectedCallback() {
+    super.connectedCallback()
+
+    document.addEventListener('state-change', this.#onStateChange)
+  }
+
+  /**
+   * Stops following state changes.
+   */
+  disconnectedCallback() {
+    super.disconnectedCallback()
+
+    document.removeEventListener('state-change', this.#onStateChange)
+  }
+
+  /**
+   * Writes an edited CSS variable to the inspected component.
+   *
+   * @param {WebComponentBase} instance - The inspected component.
+   * @param {string} name - The variable name in kebab-case, without `--`.
+   * @param {string} value - The new value; an empty value removes the
+   *   variable.
+   */
+  editVariable(instance, name, value) {
+    if (value.trim())
+      instance.styleManager.setVariable(name, value.trim())
+    else
+      instance.styleManager.removeVariable(name)
+
+    this.requestUpdate('inspected')
+  }
+
+  /**
+   * Formats a state value or handler for display.
+   *
+   * @param {*} value - The value to format.
+   * @returns {string} A short, readable representation of the value.
+   */
+  formatValue(value) {
+    if (typeof value === 'function')
+      return `ƒ ${value.name || 'anonymous'}()`
+
+    if (value instanceof Node)
+      return `<${value.nodeName.toLowerCase()}>`
+
+    try {
+      return JSON.stringify(value) ?? String(value)
+    }
+    catch {
+      return String(value)
+    }
+  }
+
+  /**
+   * Returns the inspector's template.
+   *
+   * @returns {TemplateResult} The panel, with the instance list and the
+   *   details of the selected instance when it is open.
+   *
+   * @description
+   * The panel is exposed for styling as `::part(panel)`, so the overlay can
+   * be moved or resized from the page.
+   */
+  template() {
+    const registered = WebComponentBase.instances.all()
+      .filter(instance => instance !== this && instance.isConnected)
+    const selected = WebComponentBase.instances.get(this.selected ?? '')
+
+    return html`
+      <div class="panel" part="panel">
+        <header>
+          <button class="toggle" @click=${() => { this.open = !this.open }}>
+            Components (${registered.length})
+          </button>
+          <button class="refresh" ?hidden=${!this.open}
+            @click=${() => this.requestUpdate('inspected')}>Refresh</button>
+        </header>
+        ${this.open ? html`
+          <ul class="instances">
+            ${registered.map(instance => html`
+              <li class="instance ${instance === selected ? 'selected' : ''}"
+                @click=${() => { this.selected = instance.instanceId }}>
+                &lt;${instance.localName}&gt;
+                <span class="id">#${instance.instanceId}</span>
+              </li>
+            `)}
+          </ul>
+          ${selected ? this.templateFor(selected) : null}
+        ` : null}
+      </div>
+    `
+  }
+
+  /**
+   * Returns the details of an inspected component.
+   *
+   * @param {WebComponentBase} instance - The component to show.
+   * @returns {TemplateResult} Its state, variables and listeners.
+   */
+  templateFor(instance) {
+    const { styleManager } = instance
+    const variables = styleManager.getVariableNames()
+      .map(name => styleManager.normalizeProp(name))
+
+    return html`
+      <section>
+        <h4>State</h4>
+        <table>
+          ${instance.getStateEntries().map(([key, value]) => html`
+            <tr><th>${key}</th><td>${this.formatValue(value)}</td></tr>
+          `)}
+        </table>
+      </section>
+      <section>
+        <h4>Variables</h4>
+        <table>
+          ${variables.map(name => html`
+            <tr>
+              <th>--${name}</th>
+              <td>
+                <input .value=${styleManager.getVariable(name)}
+                  @change=${event => this.editVariable(instance, name, event.target.value)}>
+              </td>
+            </tr>
+          `)}
+        </table>
+      </section>
+      <section>
+        <h4>Listeners</h4>
+        <table>
+          ${instance.getListenerEntries().map(entry => html`
+            <tr>
+              <th>${entry.eventName}</th>
+              <td>${entry.selector ?? '(host)'}</td>
+              <td>${this.formatValue(entry.handler)}</td>
+            </tr>
+          `)}
+        </table>
+      </section>
+    `
+  }
+
+  /**
+   * Returns the CSS styles for the inspector.
+   *
+   * @returns {string} The CSS styles for the inspector.
+   */
+  styles() {
+    return `
+      /*css*/
+      :host {
+        position: fixed;
+        right: 8px;
+        bottom: 8px;
+        z-index: 2147483647;
+        font: 11px/1.4 ui-monospace, Menlo, monospace;
+        color: #222;
+      }
+
+      .panel {
+        max-width: 420px;
+        max-height: 70vh;
+        overflow: auto;
+        background: rgba(250, 250, 250, 0.96);
+        border: 1px solid #999;
+        border-radius: 6px;
+        box-shadow: 0 2px 10px rgba(0, 0, 0, 0.3);
+      }
+
+      header {
+        display: flex;
+        gap: 4px;
+        padding: 4px;
+      }
+
+      button {
+        font: inherit;
+      }
+
+      .toggle {
+        flex: 1;
+        text-align: left;
+      }
+
+      ul {
+        margin: 0;
+        padding: 0 4px;
+        list-style: none;
+      }
+
+      li {
+        padding: 2px 4px;
+        cursor: pointer;
+        border-radius: 3px;
+
+        &:hover {
+          background: #e4eefc;
+        }
+
+        &.selected {
+          background: #3875d7;
+          color: white;
+        }
+      }
+
+      .id {
+        opacity: 0.6;
+      }
+
+      section {
+        padding: 0 8px 8px;
+      }
+
+      h4 {
+        margin: 8px 0 4px;
+      }
+
+      table {
+        width: 100%;
+        border-collapse: collapse;
+      }
+
+      th {
+        text-align: left;
+        font-weight: normal;
+        color: #555;
+        white-space: nowrap;
+        padding-right: 8px;
+        vertical-align: top;
+      }
+
+      td {
+        word-break: break-all;
+      }
+
+      input {
+        width: 100%;
+        font: inherit;
+        box-sizing: border-box;
+      }
+      /*!css*/
+    `
+  }
+
+  /**
+   * Returns the custom element name for the inspector.
+   *
+   * @returns {string} The custom element name 'aqua-inspector'.
+   */
+  static get customElementName() {
+    return 'aqua-inspector'
+  }
+
+  /**
+   * Returns the declared properties for the inspector.
+   *
+   * @returns {Object} The property declarations:
+   *
+   * - `open`: whether the instance list and details are shown.
+   * - `selected`: the `instanceId` of the inspected component.
+   */
+  static get properties() {
+    return {
+      open: { type: Boolean, reflect: true },
+      selected: { type: String, attribute: false },
+    }
+  }
+
+  static {
+    AquaInspector.define()
+  }
+}
+
+export default { AquaInspector }
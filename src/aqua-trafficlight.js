@@ -1,4 +1,5 @@
 import { WebComponentBase } from "./webcomponentbase.js";
+import { themes } from "./themes.js";
 
 export class AquaTrafficLight extends WebComponentBase {
   /**
@@ -8,7 +9,7 @@ export class AquaTrafficLight extends WebComponentBase {
    *   bulb.
    */
   get bulb() {
-    return this.shadowRoot.querySelector('div.aqua')
+    return this.renderRoot.querySelector('div.aqua')
   }
 
   /**
@@ -18,17 +19,25 @@ export class AquaTrafficLight extends WebComponentBase {
    *   light bulb, or undefined if no color is set.
    */
   get color() {
-    return this.bulb.style.backgroundColor || undefined
+    return this.bulb.style.getPropertyValue('--bulb-color').trim() || undefined
   }
 
   /**
    * Sets the background color of the traffic light bulb.
    *
    * @param {string} value - The new background color for the traffic light
-   *   bulb.
+   *   bulb; an empty value turns the bulb off.
+   *
+   * @description
+   * The color is written to the bulb's `--bulb-color` variable, which its
+   * `background-color` reads, so values such as `var(--token, fallback)`
+   * are kept as they are.
    */
   set color(value) {
-    this.bulb.style.backgroundColor = value
+    if (value)
+      this.bulb.style.setProperty('--bulb-color', value)
+    else
+      this.bulb.style.removeProperty('--bulb-color')
   }
 
   /**
@@ -58,13 +67,13 @@ export class AquaTrafficLight extends WebComponentBase {
     if (newValue !== null) {
       switch (nVal) {
         case 'red':
-          this.color = '#f24443'
+          this.color = themes.token('trafficlightRed')
           return
         case 'yellow':
-          this.color = '#f0aa5a'
+          this.color = themes.token('trafficlightYellow')
           return
         case 'green':
-          this.color = '#88be72'
+          this.color = themes.token('trafficlightGreen')
           return
         default:
           this.color = newValue
@@ -72,30 +81,24 @@ export class AquaTrafficLight extends WebComponentBase {
     }
     else {
       this.bulb.removeAttribute('id')
-      this.bulb.style.backgroundColor = ''
+      this.color = ''
     }
   }
 
-  /**
-   * Handles changes to the size attribute.
-   *
-   * @param {string} _ - The old value of the size attribute (not used).
-   * @param {string} newValue - The new value of the size attribute.
-   */
-  onSizeChanged(_, newValue) {
-    this.variables.size = newValue ?? '12px'
-  }
-
   /**
    * Returns the HTML template for the traffic light component.
    *
    * @returns {string} The HTML template for the traffic light component.
+   *
+   * @description
+   * The parts exposed for styling with `::part()` are `housing`, the
+   * outer 'traffic-light' div, and `bulb`, the 'aqua' div that lights up.
    */
   template() {
     return `
       <!--html-->
-      <div id="traffic-light">
-        <div class="aqua"></div>
+      <div id="traffic-light" part="housing">
+        <div class="aqua" part="bulb"></div>
       </div>
       <!--!html-->
     `
@@ -120,17 +123,17 @@ export class AquaTrafficLight extends WebComponentBase {
   toggle(color) {
     switch (color) {
       case 'red':
-        color = '#f24443'
+        color = themes.token('trafficlightRed')
         break
       case 'yellow':
-        color = '#f0aa5a'
+        color = themes.token('trafficlightYellow')
         break
       case 'green':
-        color = '#88be72'
+        color = themes.token('trafficlightGreen')
         break
     }
 
-    let newColor = color ?? this.variables.lastColor ?? '#88be72'
+    let newColor = color ?? this.variables.lastColor ?? themes.token('trafficlightGreen')
 
     if (this.color) {
       this.variables.lastColor = this.color
@@ -156,14 +159,8 @@ export class AquaTrafficLight extends WebComponentBase {
   styles() {
     return `
       /*css*/
-      @property --last-color {
-        syntax: "<color>";
-        inherits: true;
-        initial-value: #88be72;
-      }
-
       :host {
-        --last-color: #88be72;
+        --last-color: ${themes.token('trafficlightGreen')};
         --size: 12px;
       }
 
@@ -176,6 +173,7 @@ export class AquaTrafficLight extends WebComponentBase {
 				height: var(--size);
 				display: inline-block;
 				background: #000;
+				background-color: var(--bulb-color, #000);
 				background-image: url('data:image/svg+xml;base64,PD94bWwgdmVyc2lvbj0iMS4wIiBlbmNvZGluZz0idXRmLTgiPz4gPHN2ZyB2ZXJzaW9uPSIxLjEiIHhtbG5zPSJodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2ZyI+PGRlZnM+PHJhZGlhbEdyYWRpZW50IGlkPSJncmFkIiBncmFkaWVudFVuaXRzPSJ1c2VyU3BhY2VPblVzZSIgY3g9IjZweCIgY3k9IjE4cHgiIHI9IjUlIj48c3RvcCBvZmZzZXQ9IjQwJSIgc3RvcC1jb2xvcj0iI2ZmZmZmZiIgc3RvcC1vcGFjaXR5PSIwLjciLz48c3RvcCBvZmZzZXQ9IjEwMCUiIHN0b3AtY29sb3I9IiNmZmZmZmYiIHN0b3Atb3BhY2l0eT0iMC4wIi8+PC9yYWRpYWxHcmFkaWVudD48L2RlZnM+PHJlY3QgeD0iMCIgeT0iMCIgd2lkdGg9IjEwMCUiIGhlaWdodD0iMTAwJSIgZmlsbD0idXJsKCNncmFkKSIgLz48L3N2Zz4g'), url('data:image/svg+xml;base64,PD94bWwgdmVyc2lvbj0iMS4wIiBlbmNvZGluZz0idXRmLTgiPz4gPHN2ZyB2ZXJzaW9uPSIxLjEiIHhtbG5zPSJodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2ZyI+PGRlZnM+PHJhZGlhbEdyYWRpZW50IGlkPSJncmFkIiBncmFkaWVudFVuaXRzPSJ1c2VyU3BhY2VPblVzZSIgY3g9IjZweCIgY3k9Ii0xcHgiIHI9IjMlIj48c3RvcCBvZmZzZXQ9IjMzLjMzMzMzJSIgc3RvcC1jb2xvcj0iI2ZmZmZmZiIvPjxzdG9wIG9mZnNldD0iMTAwJSIgc3RvcC1jb2xvcj0iI2ZmZmZmZiIgc3RvcC1vcGFjaXR5PSIwLjAiLz48L3JhZGlhbEdyYWRpZW50PjwvZGVmcz48cmVjdCB4PSIwIiB5PSIwIiB3aWR0aD0iMTAwJSIgaGVpZ2h0PSIxMDAlIiBmaWxsPSJ1cmwoI2dyYWQpIiAvPjwvc3ZnPiA=');
 				background-image:
 					radial-gradient(calc(var(--size) / 2) calc(var(--size) * 1.5), rgba(255, 255, 255, 0.7) calc(var(--size) / 6), rgba(255, 255, 255, 0) calc(var(--size) * (5 / 12))),
@@ -191,15 +189,73 @@ export class AquaTrafficLight extends WebComponentBase {
   }
 
   /**
-   * Returns the list of observed attributes for the traffic light component.
+   * Describes the values the traffic light's attributes accept.
+   *
+   * @returns {Object<string, Object>} The schema rules, keyed by attribute.
+   */
+  static get attributeSchema() {
+    const isColor = WebComponentBase.cssValidator('color')
+
+    return {
+      ...super.attributeSchema,
+      color: {
+        validate: value => ['red', 'yellow', 'green'].includes(value) || isColor(value),
+        description: 'red, yellow, green or a CSS color',
+      },
+      size: {
+        validate: WebComponentBase.cssValidator('width'),
+        description: 'a CSS length',
+      },
+    }
+  }
+
+  /**
+   * Returns the typed custom properties of the traffic light component.
+   *
+   * @returns {Object[]} The definitions registered by `define()`.
+   *
+   * @description
+   * The red, yellow and green theme tokens are registered too, with the
+   * default theme's colors as their initial values, so they can be
+   * animated like the other typed properties.
+   */
+  static get cssProperties() {
+    const defaults = themes.tokensOf(themes.defaultTheme)
+    const color = (name, initialValue) => ({ name, syntax: '<color>', inherits: true, initialValue })
+
+    return [
+      ...super.cssProperties,
+      color('--last-color', defaults.trafficlightGreen),
+      color('--trafficlight-red', defaults.trafficlightRed),
+      color('--trafficlight-yellow', defaults.trafficlightYellow),
+      color('--trafficlight-green', defaults.trafficlightGreen),
+    ]
+  }
+
+  /**
+   * Returns the declared properties for the traffic light component.
+   *
+   * @returns {Object} The property declarations. `color` keeps its
+   *   hand-written accessor and `onColorChanged` handler; `size` is written
+   *   straight to the `--size` CSS variable.
+   */
+  static get properties() {
+    return {
+      color: { type: String },
+      size: { type: String, default: '12px', variable: 'size' },
+    }
+  }
+
+  /**
+   * Returns the custom element name for the traffic light component.
    *
-   * @returns {string[]} The list of observed attributes.
+   * @returns {string} The custom element name 'aqua-trafficlight'.
    */
-  static get observedAttributes() {
-    return ['color', 'size']
+  static get customElementName() {
+    return 'aqua-trafficlight'
   }
 
   static {
-    customElements.define('aqua-trafficlight', AquaTrafficLight);
+    AquaTrafficLight.define();
   }
 }
\ No newline at end of file
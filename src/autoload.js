@@ -0,0 +1,173 @@
+import { WebComponentBase } from './webcomponentbase.js'
+
+/**
+ * The module loader for each component, keyed by the component's default
+ * tag name. Loaders are matched against tags after the configured
+ * `WebComponentBase.tagPrefix` has been applied, so `<acme-hr>` loads
+ * `aqua-hr.js` when the prefix is `acme`.
+ *
+ * @type {Map<string, function(): Promise<Object>>}
+ *
+ * @example
+ * // Teach the autoloader about another component before tags appear
+ * loaders.set('aqua-slider', () => import('./aqua-slider.js'))
+ */
+export const loaders = new Map([
+  ['aqua-button', () => import('./aqua-button.js')],
+  ['aqua-button2', () => import('./aqua-button2.js')],
+  ['aqua-hr', () => import('./aqua-hr.js')],
+  ['aqua-inspector', () => import('./aqua-inspector.js')],
+  ['aqua-trafficlight', () => import('./aqua-trafficlight.js')],
+  ['glow-text', () => import('./glow-text.js')],
+])
+
+/**
+ * Imports that have started, keyed by default tag name, so each module is
+ * requested only once however many of its tags appear.
+ *
+ * @type {Map<string, Promise<Object>>}
+ */
+const loading = new Map()
+
+/**
+ * The documents and shadow roots being watched.
+ *
+ * @type {WeakSet<Document|ShadowRoot>}
+ */
+let observedRoots = new WeakSet()
+
+/**
+ * The observers created by `autoload()`, kept so `stop()` can disconnect
+ * them.
+ *
+ * @type {Set<MutationObserver>}
+ */
+const observers = new Set()
+
+/**
+ * Imports the module defining the component for a tag, once.
+ *
+ * @param {string} tagName - The tag name as it appears in the document,
+ *   with any configured tag prefix applied.
+ * @returns {Promise<Object>|null} The module's namespace once it has been
+ *   imported, or `null` when no loader is known for the tag.
+ *
+ * @description
+ * A failed import is forgotten so that the next appearance of the tag
+ * tries again.
+ *
+ * @example
+ * const { AquaButton } = await load('aqua-button')
+ */
+export function load(tagName) {
+  for (const [name, loader] of loaders) {
+    if (WebComponentBase.prefixedTagName(name) !== tagName)
+      continue
+
+    if (!loading.has(name)) {
+      loading.set(name, loader().catch(error => {
+        loading.delete(name)
+        throw error
+      }))
+    }
+
+    return loading.get(name)
+  }
+
+  return null
+}
+
+/**
+ * Loads the components used within a document, shadow root or element and
+ * watches open shadow roots found along the way.
+ *
+ * @param {Document|ShadowRoot|Element} root - The node to scan.
+ *
+ * @description
+ * Undefined custom elements with a known loader have their module
+ * imported. Once such an element is upgraded its shadow root, which did
+ * not exist beforehand, is watched too, so components used inside other
+ * components are loaded as they render.
+ */
+function scan(root) {
+  const elements = [...root.querySelectorAll('*')]
+
+  if (root.nodeType === Node.ELEMENT_NODE)
+    elements.unshift(root)
+
+  for (const element of elements) {
+    if (element.shadowRoot)
+      autoload(element.shadowRoot)
+
+    if (customElements.get(element.localName))
+      continue
+
+    load(element.localName)
+      ?.then(() => customElements.whenDefined(element.localName))
+      .then(() => element.shadowRoot && autoload(element.shadowRoot))
+      .catch(error => console.error('<%s:autoload> %o', element.localName, error))
+  }
+}
+
+/**
+ * Loads the components used in a document or shadow root now, and those
+ * added to it later, as they appear.
+ *
+ * @param {Document|ShadowRoot} [root=document] - The root to watch.
+ *
+ * @description
+ * A `MutationObserver` watches the whole subtree of `root` for added
+ * elements. Open shadow roots, including those of the components loaded
+ * here, are watched as well; closed shadow roots cannot be seen and must
+ * be passed in by their owners. Importing this module watches `document`
+ * right away, so it can be used in place of `all.js`:
+ *
+ * ```html
+ * <script type="module" src="src/autoload.js"></script>
+ * <aqua-hr></aqua-hr> <!-- only aqua-hr.js is imported -->
+ * ```
+ *
+ * Calling it again for a root that is already watched does nothing.
+ *
+ * @example
+ * autoload(this.attachShadow({ mode: 'closed' }))
+ */
+export function autoload(root = document) {
+  if (observedRoots.has(root))
+    return
+
+  const observer = new MutationObserver(records => {
+    for (const record of records) {
+      for (const node of record.addedNodes) {
+        if (node.nodeType === Node.ELEMENT_NODE)
+          scan(node)
+      }
+    }
+  })
+
+  observer.observe(root, { childList: true, subtree: true })
+  observedRoots.add(root)
+  observers.add(observer)
+
+  scan(root)
+}
+
+/**
+ * Stops watching every root passed to `autoload()`. Modules that are
+ * already loading still finish.
+ *
+ * @example
+ * stop()
+ */
+export function stop() {
+  for (const observer of observers)
+    observer.disconnect()
+
+  observers.clear()
+  observedRoots = new WeakSet()
+}
+
+if (typeof document !== 'undefined')
+  autoload(document)
+
+export default { autoload, load, loaders, stop }
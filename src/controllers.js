@@ -0,0 +1,381 @@
+/**
+ * Tracks whether a component is hovered and pressed, and reports presses.
+ *
+ * @description
+ * While the host is connected, the controller listens to it for pointer
+ * events, and for the Space and Enter keys, through `host.on()`. The
+ * listeners are removed when the host is disconnected or the controller is
+ * removed with `host.removeController()`. While the pointer is over the host
+ * `hovered` is true; while a pointer button or key is held down `pressed`
+ * is true. Each change calls `host.requestUpdate()` with `'hovered'` or
+ * `'pressed'` as the changed key. Releasing over the host counts as a
+ * press and calls `onPress`, with `this` bound to the host.
+ *
+ * @example
+ * class AquaCheckbox extends WebComponentBase {
+ *   press = new PressController(this, {
+ *     onPress: () => this.setState('checked', !this.state.checked)
+ *   })
+ *
+ *   render() {
+ *     this.elements.box.classList.toggle('pressed', this.press.pressed)
+ *   }
+ * }
+ */
+export class PressController {
+  /**
+   * The component the controller is attached to.
+   *
+   * @type {WebComponentBase}
+   */
+  host = null
+
+  /**
+   * Whether a pointer is over the host.
+   *
+   * @type {boolean}
+   */
+  hovered = false
+
+  /**
+   * Whether the host is being pressed.
+   *
+   * @type {boolean}
+   */
+  pressed = false
+
+  /**
+   * Called when a press completes.
+   *
+   * @type {Function|null}
+   * @private
+   */
+  #onPress = null
+
+  /**
+   * The functions returned by `host.on()`, which remove the listeners the
+   * controller added.
+   *
+   * @type {Function[]}
+   * @private
+   */
+  #unsubscribers = []
+
+  /**
+   * Creates the controller and attaches it to its host.
+   *
+   * @param {WebComponentBase} host - The component to track.
+   * @param {Object} [options={}] - Options for the controller.
+   * @param {Function} [options.onPress] - Called with the releasing event
+   *   when a press completes.
+   */
+  constructor(host, { onPress } = {}) {
+    this.host = host
+    this.#onPress = onPress ?? null
+
+    host.addController(this)
+  }
+
+  /**
+   * Starts listening to the host for pointer and keyboard events.
+   */
+  hostConnected() {
+    const { host } = this
+
+    this.#unsubscribers.push(
+      host.on('pointerenter', () => this.#set('hovered', true)),
+      host.on('pointerleave', () => {
+        this.#set('hovered', false)
+        this.#set('pressed', false)
+      }),
+      host.on('pointerdown', event => {
+        if (event.button === 0)
+          this.#set('pressed', true)
+      }),
+      host.on('pointerup', event => this.#release(event)),
+      host.on('keydown', event => {
+        if (PressController.isPressKey(event) && !event.repeat)
+          this.#set('pressed', true)
+      }),
+      host.on('keyup', event => {
+        if (PressController.isPressKey(event))
+          this.#release(event)
+      }),
+    )
+  }
+
+  /**
+   * Removes the controller's listeners and forgets any hover or press in
+   * progress, when the host is disconnected or the controller is removed.
+   */
+  hostDisconnected() {
+    for (const unsubscribe of this.#unsubscribers.splice(0))
+      unsubscribe()
+
+    this.hovered = false
+    this.pressed = false
+  }
+
+  /**
+   * Ends a press, reporting it if one was in progress.
+   *
+   * @param {Event} event - The releasing pointer or keyboard event.
+   * @private
+   */
+  #release(event) {
+    if (!this.pressed)
+      return
+
+    this.#set('pressed', false)
+    this.#onPress?.call(this.host, event)
+  }
+
+  /**
+   * Changes a tracked value and asks the host to render when it differs.
+   *
+   * @param {'hovered'|'pressed'} key - The value to change.
+   * @param {boolean} value - The new value.
+   * @private
+   */
+  #set(key, value) {
+    if (this[key] === value)
+      return
+
+    this[key] = value
+    this.host.requestUpdate(key)
+  }
+
+  /**
+   * Whether a keyboard event is for a key that presses buttons.
+   *
+   * @param {KeyboardEvent} event - The keyboard event.
+   * @returns {boolean} `true` for Space and Enter.
+   */
+  static isPressKey(event) {
+    return event.key === ' ' || event.key === 'Enter'
+  }
+}
+
+/**
+ * Tracks the size of a component, or of an element in its shadow DOM.
+ *
+ * @description
+ * While the host is connected a `ResizeObserver` watches the target, and
+ * each change of its content box updates `width` and `height`, calls
+ * `onResize` with the `ResizeObserverEntry` and `this` bound to the host,
+ * and calls `host.requestUpdate('resize')`. Nothing is observed where
+ * `ResizeObserver` is unavailable.
+ *
+ * @example
+ * class AquaPanel extends WebComponentBase {
+ *   resize = new ResizeController(this, {
+ *     target: () => this.shadowRoot.querySelector('.content')
+ *   })
+ *
+ *   render() {
+ *     this.classList.toggle('narrow', this.resize.width < 320)
+ *   }
+ * }
+ */
+export class ResizeController {
+  /**
+   * The component the controller is attached to.
+   *
+   * @type {WebComponentBase}
+   */
+  host = null
+
+  /**
+   * The width of the target's content box, in pixels.
+   *
+   * @type {number}
+   */
+  width = 0
+
+  /**
+   * The height of the target's content box, in pixels.
+   *
+   * @type {number}
+   */
+  height = 0
+
+  /**
+   * Called with each `ResizeObserverEntry`.
+   *
+   * @type {Function|null}
+   * @private
+   */
+  #onResize = null
+
+  /**
+   * The observer, while the host is connected.
+   *
+   * @type {ResizeObserver|null}
+   * @private
+   */
+  #observer = null
+
+  /**
+   * The element to observe, or a function returning it.
+   *
+   * @type {Element|Function|null}
+   * @private
+   */
+  #target = null
+
+  /**
+   * Creates the controller and attaches it to its host.
+   *
+   * @param {WebComponentBase} host - The component to track.
+   * @param {Object} [options={}] - Options for the controller.
+   * @param {Element|Function} [options.target] - The element to observe,
+   *   or a function returning it when the host is connected. Defaults to
+   *   the host.
+   * @param {Function} [options.onResize] - Called with each
+   *   `ResizeObserverEntry`.
+   */
+  constructor(host, { target, onResize } = {}) {
+    this.host = host
+    this.#target = target ?? null
+    this.#onResize = onResize ?? null
+
+    host.addController(this)
+  }
+
+  /**
+   * Starts observing the target.
+   */
+  hostConnected() {
+    if (typeof ResizeObserver === 'undefined')
+      return
+
+    const target = typeof this.#target === 'function'
+      ? this.#target.call(this.host)
+      : this.#target ?? this.host
+
+    if (!target)
+      return
+
+    this.#observer = new ResizeObserver(entries => {
+      const entry = entries[entries.length - 1]
+      const { width, height } = entry.contentRect
+
+      if (width === this.width && height === this.height)
+        return
+
+      this.width = width
+      this.height = height
+
+      this.#onResize?.call(this.host, entry)
+      this.host.requestUpdate('resize')
+    })
+
+    this.#observer.observe(target)
+  }
+
+  /**
+   * Stops observing the target.
+   */
+  hostDisconnected() {
+    this.#observer?.disconnect()
+    this.#observer = null
+  }
+}
+
+/**
+ * Tracks whether a media query matches.
+ *
+ * @description
+ * While the host is connected, `matches` follows the media query and every
+ * change calls `host.requestUpdate('media')`. Nothing is tracked where
+ * `matchMedia` is unavailable.
+ *
+ * @example
+ * class AquaWindow extends WebComponentBase {
+ *   dark = new MediaQueryController(this, '(prefers-color-scheme: dark)')
+ *
+ *   render() {
+ *     this.variables.windowBackground = this.dark.matches ? '#333' : '#eee'
+ *   }
+ * }
+ */
+export class MediaQueryController {
+  /**
+   * The component the controller is attached to.
+   *
+   * @type {WebComponentBase}
+   */
+  host = null
+
+  /**
+   * The media query, such as `'(max-width: 600px)'`.
+   *
+   * @type {string}
+   */
+  query = ''
+
+  /**
+   * Whether the media query matches.
+   *
+   * @type {boolean}
+   */
+  matches = false
+
+  /**
+   * The list being listened to while the host is connected.
+   *
+   * @type {MediaQueryList|null}
+   * @private
+   */
+  #list = null
+
+  /**
+   * Updates `matches` when the media query starts or stops matching.
+   *
+   * @param {MediaQueryListEvent} event - The change event.
+   * @private
+   */
+  #onChange = event => {
+    this.matches = event.matches
+    this.host.requestUpdate('media')
+  }
+
+  /**
+   * Creates the controller and attaches it to its host.
+   *
+   * @param {WebComponentBase} host - The component to notify.
+   * @param {string} query - The media query to track.
+   */
+  constructor(host, query) {
+    this.host = host
+    this.query = query
+
+    host.addController(this)
+  }
+
+  /**
+   * Starts tracking the media query.
+   */
+  hostConnected() {
+    if (typeof matchMedia !== 'function')
+      return
+
+    this.#list = matchMedia(this.query)
+    this.#list.addEventListener('change', this.#onChange)
+
+    if (this.matches !== this.#list.matches) {
+      this.matches = this.#list.matches
+      this.host.requestUpdate('media')
+    }
+  }
+
+  /**
+   * Stops tracking the media query.
+   */
+  hostDisconnected() {
+    this.#list?.removeEventListener('change', this.#onChange)
+    this.#list = null
+  }
+}
+
+export default { MediaQueryController, PressController, ResizeController }
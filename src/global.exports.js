@@ -22,7 +22,7 @@ export function applyGlobalExports() {
         return new Proxy(Object.create(null), {
           get(target, property, receiver) {
             if (property === Symbol.iterator) {
-              return exportsMap[Symbol.iterator]
+              return exportsMap[Symbol.iterator].bind(exportsMap)
             }
             else if (property === Symbol.toStringTag) {
               return 'GlobalExports'
@@ -47,12 +47,17 @@ export function applyGlobalExports() {
           set(target, property, newValue, receiver) {
             exportsMap.set(property, newValue)
             globalThis[property] = newValue
+            return true
           },
 
           deleteProperty(target, property) {
+            if (!exportsMap.has(property)) {
+              return true
+            }
+
             const descriptor = Object.getOwnPropertyDescriptor(globalThis, property)
 
-            if (descriptor.configurable && exportsMap.has(property)) {
+            if (!descriptor || descriptor.configurable) {
               exportsMap.delete(property)
               return delete globalThis[property]
             }
@@ -4,9 +4,16 @@ export class GlowText extends WebComponentBase {
   connectedCallback() {
     super.connectedCallback()
 
-    const span = this.shadowRoot.querySelector('span');
+    this.updateGlowText()
+  }
+
+  onSlotChange() {
+    this.updateGlowText()
+  }
+
+  updateGlowText() {
+    const span = this.renderRoot.querySelector('span.glow-filter');
     span.dataset.text = this.textContent;
-    [...this.childNodes].forEach(child => span.append(child))
   }
 
   get credits() {
@@ -19,10 +26,16 @@ export class GlowText extends WebComponentBase {
     `
   }
 
+  /**
+   * Returns the template for the glowing text. The span holding the text
+   * is exposed for styling with `::part(text)`; the SVG filters are not.
+   *
+   * @returns {string} The HTML template for the glowing text.
+   */
   template() {
     return `
       <!--html-->
-      <span class="glow-filter"></span>
+      <span class="glow-filter" part="text"><slot></slot></span>
       <svg class="filters" width='1440px' height='300px' viewBox='0 0 1440 300' xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink">
         <defs>
           <filter id="glow-4" color-interpolation-filters="sRGB" x="-50%" y="-200%" width="400%" Height="1000%">
@@ -158,7 +171,11 @@ export class GlowText extends WebComponentBase {
     return ['from', 'to', 'font-size']
   }
 
+  static get customElementName() {
+    return 'glow-text';
+  }
+
   static {
-    customElements.define('glow-text', GlowText);
+    GlowText.define();
   }
 }
\ No newline at end of file
@@ -0,0 +1,677 @@
+/**
+ * The prefix used for the comment and attribute markers that stand in for
+ * bindings while a template's HTML is parsed.
+ *
+ * @type {string}
+ */
+const marker = `wcb-${Math.random().toString(36).slice(2)}`
+
+/**
+ * Prepared templates, keyed by the `strings` array of a tagged template.
+ * The JavaScript engine hands out the same `strings` array every time a
+ * given `html` call site runs, so each template is parsed only once.
+ *
+ * @type {WeakMap<TemplateStringsArray, Template>}
+ */
+const templateCache = new WeakMap()
+
+/**
+ * The elements whose content the HTML parser reads as plain text, so a
+ * binding's marker comment placed in them would never become a comment.
+ *
+ * @type {string[]}
+ */
+const rawTextElements = ['script', 'style', 'textarea', 'title']
+
+/**
+ * The root `ChildPart` of each container passed to `render`.
+ *
+ * @type {WeakMap<Node, ChildPart>}
+ */
+const rootParts = new WeakMap()
+
+/**
+ * The result of an `html` tagged template; the static strings of the
+ * template together with the values to bind into it.
+ *
+ * @description
+ * A `TemplateResult` is only a description. Nothing is parsed or created
+ * until it is handed to `render` (directly, or by returning it from a
+ * component's `template()` method). Two results that came from the same
+ * call site share their `strings`, which is how `render` knows it can
+ * update the existing DOM rather than replace it.
+ *
+ * @example
+ * const result = html`<p class=${cls}>${message}</p>`
+ * result.strings // ['<p class=', '>', '</p>']
+ * result.values  // [cls, message]
+ */
+export class TemplateResult {
+  /**
+   * Creates a new TemplateResult.
+   *
+   * @param {TemplateStringsArray} strings - The static strings of the
+   *   template.
+   * @param {Array} values - The values of the template's bindings.
+   */
+  constructor(strings, values) {
+    this.strings = strings
+    this.values = values
+  }
+
+  /**
+   * Returns the class name of the TemplateResult instance.
+   *
+   * @returns {string} The class name of the TemplateResult instance.
+   */
+  get [Symbol.toStringTag]() {
+    return this.constructor.name
+  }
+}
+
+/**
+ * A tag for template literals that produces a `TemplateResult`.
+ *
+ * @param {TemplateStringsArray} strings - The static strings of the
+ *   template.
+ * @param {...*} values - The values of the template's bindings.
+ * @returns {TemplateResult} The result describing the template.
+ *
+ * @description
+ * Bindings may appear in the following positions:
+ *
+ * - Between elements: `${value}` renders text, a `Node`, another
+ *   `TemplateResult` or an iterable of any of these. `null`, `undefined`
+ *   and `false` render nothing.
+ * - As an attribute value: `class=${value}` or `class="a ${b} c"`. A sole
+ *   value of `null`, `undefined` or `false` removes the attribute.
+ * - As a property: `.value=${value}` assigns the element property.
+ * - As a boolean attribute: `?disabled=${value}` toggles the attribute.
+ * - As an event listener: `@click=${handler}` adds a listener, called with
+ *   `this` set to the `host` option passed to `render`.
+ *
+ * Bindings cannot be placed in tag or attribute names, and text inside
+ * `<style>`, `<script>`, `<textarea>` and `<title>` elements cannot be
+ * bound; rendering such a template throws an error.
+ *
+ * @example
+ * html`
+ *   <div class="aqua-button ${disabled ? 'disabled' : ''}"
+ *        ?aria-disabled=${disabled}
+ *        @click=${this.defaultHandler}>
+ *     <span class="content">${label}</span>
+ *   </div>
+ * `
+ */
+export function html(strings, ...values) {
+  return new TemplateResult(strings, values)
+}
+
+/**
+ * Renders a value into a container, updating what a previous call rendered
+ * there.
+ *
+ * @param {*} value - A `TemplateResult`, or any other value a child
+ *   binding accepts.
+ * @param {Node} container - The element, shadow root or fragment to render
+ *   into.
+ * @param {Object} [options={}] - Rendering options.
+ * @param {Object} [options.host] - The object used as `this` for event
+ *   listeners bound with `@event`.
+ * @returns {ChildPart} The part that manages the rendered content.
+ *
+ * @description
+ * The first render appends its content to the end of the container,
+ * leaving any existing children, such as a component's `<style>`
+ * element, where they are. Later renders of a result from the same
+ * template only commit the bindings whose values changed; a result from
+ * a different template replaces the previous content.
+ *
+ * @example
+ * render(html`<p>${count}</p>`, document.body)
+ * count++
+ * render(html`<p>${count}</p>`, document.body) // only updates the text
+ */
+export function render(value, container, options = {}) {
+  let part = rootParts.get(container)
+
+  if (!part) {
+    const start = document.createComment('')
+    const end = document.createComment('')
+
+    container.append(start, end)
+    part = new ChildPart(start, end, options)
+    rootParts.set(container, part)
+  }
+
+  part.setValue(value)
+
+  return part
+}
+
+/**
+ * A parsed template: a `<template>` element with markers in place of its
+ * bindings, and a description of each binding.
+ *
+ * @private
+ */
+class Template {
+  /**
+   * Parses the static strings of a tagged template.
+   *
+   * @param {TemplateStringsArray} strings - The static strings of the
+   *   template.
+   * @throws {Error} If a binding is placed somewhere other than between
+   *   elements or in an attribute value, such as in the text of a
+   *   `<style>` element.
+   *
+   * @description
+   * The strings are scanned with a small state machine that tracks whether
+   * each binding falls between elements, inside a tag or inside a quoted
+   * attribute value. Child bindings become `<!--marker:n-->` comments.
+   * Attribute bindings become a bare `marker-n` attribute, and the original
+   * attribute name (with its case and `.`, `?` or `@` prefix intact) and the
+   * static strings around its values are recorded in `this.bindings`.
+   */
+  constructor(strings) {
+    const TEXT = 0, TAG = 1, QUOTED = 2, COMMENT = 3, RAW = 4
+
+    let html = ''
+    let mode = TEXT
+    let quote = null
+    let group = null
+    let tagName = ''
+
+    this.bindings = []
+    this.strings = strings
+
+    for (let i = 0; i < strings.length; i++) {
+      const string = strings[i]
+      let start = 0
+
+      if (group) {
+        const close = string.indexOf(group.quote)
+
+        if (close === -1) {
+          group.strings.push(string)
+          group.indices.push(i)
+          continue
+        }
+
+        group.strings.push(string.slice(0, close))
+        group = null
+        mode = TAG
+        start = close + 1
+      }
+
+      for (let j = start; j < string.length; j++) {
+        const character = string[j]
+
+        if (mode === TEXT) {
+          if (string.startsWith('<!--', j)) {
+            mode = COMMENT
+            j += 3
+          }
+          else if (character === '<' && /[a-zA-Z/]/.test(string[j + 1] ?? '')) {
+            mode = TAG
+            tagName = /^<([a-zA-Z][\w-]*)/.exec(string.slice(j))?.[1].toLowerCase() ?? ''
+          }
+        }
+        else if (mode === RAW) {
+          if (string.slice(j, j + tagName.length + 2).toLowerCase() === `</${tagName}`) {
+            mode = TAG
+            tagName = ''
+          }
+        }
+        else if (mode === COMMENT) {
+          if (string.startsWith('-->', j)) {
+            mode = TEXT
+            j += 2
+          }
+        }
+        else if (mode === TAG) {
+          if (character === '>')
+            mode = rawTextElements.includes(tagName) ? RAW : TEXT
+          else if (character === '"' || character === "'") {
+            mode = QUOTED
+            quote = character
+          }
+        }
+        else if (mode === QUOTED && character === quote) {
+          mode = TAG
+        }
+      }
+
+      const rest = string.slice(start)
+
+      if (i === strings.length - 1) {
+        html += rest
+        break
+      }
+
+      if (mode === TEXT) {
+        html += `${rest}<!--${marker}:${this.bindings.length}-->`
+        this.bindings.push({ type: 'child', indices: [i] })
+        continue
+      }
+
+      const match = mode === QUOTED
+        ? /([.?@]?[^\s"'>/=]+)\s*=\s*(["'])((?:(?!\2)[^])*)$/.exec(rest)
+        : /([.?@]?[^\s"'>/=]+)\s*=\s*$/.exec(rest)
+
+      if (mode === RAW) {
+        throw new Error(
+          `html: bindings cannot be placed in the text of a <${tagName}> ` +
+          `element; found one after "${rest.slice(-20)}"`
+        )
+      }
+
+      if (!match || mode === COMMENT) {
+        throw new Error(
+          'html: bindings must be placed between elements or as an ' +
+          `attribute value; found one after "${rest.slice(-20)}"`
+        )
+      }
+
+      const [whole, name, matchedQuote, prefix = ''] = match
+      const binding = {
+        ...parseBindingName(name),
+        indices: [i],
+        strings: [prefix],
+        quote: matchedQuote ?? null,
+      }
+
+      html += `${rest.slice(0, rest.length - whole.length)} ${marker}-${this.bindings.length}`
+      this.bindings.push(binding)
+
+      if (binding.quote)
+        group = binding
+      else
+        binding.strings.push('')
+    }
+
+    this.element = document.createElement('template')
+    this.element.innerHTML = html
+  }
+
+  /**
+   * Returns the prepared template for a tagged template's strings, parsing
+   * and caching it the first time it is requested.
+   *
+   * @param {TemplateStringsArray} strings - The static strings of the
+   *   template.
+   * @returns {Template} The prepared template.
+   */
+  static for(strings) {
+    let template = templateCache.get(strings)
+
+    if (!template) {
+      template = new Template(strings)
+      templateCache.set(strings, template)
+    }
+
+    return template
+  }
+}
+
+/**
+ * Splits a bound attribute name into its binding type and name.
+ *
+ * @param {string} name - The attribute name as written in the template.
+ * @returns {{ type: string, name: string }} The binding type, one of
+ *   `attribute`, `property`, `boolean` or `event`, and the name without
+ *   its prefix.
+ * @private
+ */
+function parseBindingName(name) {
+  switch (name[0]) {
+    case '.': return { type: 'property', name: name.slice(1) }
+    case '?': return { type: 'boolean', name: name.slice(1) }
+    case '@': return { type: 'event', name: name.slice(1) }
+    default: return { type: 'attribute', name }
+  }
+}
+
+/**
+ * A stamped copy of a `Template` and the parts that commit its bindings.
+ *
+ * @private
+ */
+class TemplateInstance {
+  /**
+   * Clones the template's content and creates a part for every binding.
+   *
+   * @param {Template} template - The prepared template to stamp.
+   * @param {Object} options - The options passed to `render`.
+   * @throws {Error} If a binding's marker did not survive parsing, which
+   *   happens when it is placed inside a raw text element such as
+   *   `<style>`, where the marker comment becomes plain text.
+   */
+  constructor(template, options) {
+    this.template = template
+    this.fragment = document.importNode(template.element.content, true)
+    this.parts = []
+
+    const walker = document.createTreeWalker(
+      this.fragment,
+      NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_COMMENT
+    )
+    const attributePrefix = `${marker}-`
+    const commentPrefix = `${marker}:`
+
+    let node = null
+    while ((node = walker.nextNode())) {
+      if (node.nodeType === Node.COMMENT_NODE) {
+        if (node.data.startsWith(commentPrefix)) {
+          const index = Number(node.data.slice(commentPrefix.length))
+          const end = document.createComment('')
+
+          node.data = ''
+          node.after(end)
+          this.parts[index] = new ChildPart(node, end, options)
+        }
+        continue
+      }
+
+      for (const attribute of [...node.attributes]) {
+        if (!attribute.name.startsWith(attributePrefix))
+          continue
+
+        const index = Number(attribute.name.slice(attributePrefix.length))
+        const binding = template.bindings[index]
+
+        node.removeAttribute(attribute.name)
+        this.parts[index] = new AttributePart(node, binding, options)
+      }
+    }
+
+    const missing = template.bindings.findIndex((_, index) => !this.parts[index])
+
+    if (missing !== -1) {
+      const rest = template.strings[template.bindings[missing].indices[0]]
+
+      throw new Error(
+        'html: bindings cannot be placed in the text of <style>, <script>, ' +
+        `<textarea> or <title> elements; found one after "${rest.slice(-20)}"`
+      )
+    }
+  }
+
+  /**
+   * Commits a new set of values to the instance's parts.
+   *
+   * @param {Array} values - The values of a `TemplateResult` created from
+   *   the same template.
+   */
+  update(values) {
+    this.template.bindings.forEach((binding, index) => {
+      this.parts[index].setValue(
+        binding.type === 'child'
+          ? values[binding.indices[0]]
+          : binding.indices.map(valueIndex => values[valueIndex])
+      )
+    })
+  }
+}
+
+/**
+ * Manages the content rendered between two comment nodes.
+ *
+ * @private
+ */
+class ChildPart {
+  /**
+   * Creates a new ChildPart.
+   *
+   * @param {Comment} start - The node the content follows.
+   * @param {Comment} end - The node the content precedes.
+   * @param {Object} options - The options passed to `render`.
+   */
+  constructor(start, end, options) {
+    this.start = start
+    this.end = end
+    this.options = options
+    this.value = undefined
+  }
+
+  /**
+   * Removes every node between the part's start and end nodes.
+   */
+  clear() {
+    while (this.start.nextSibling && this.start.nextSibling !== this.end)
+      this.start.nextSibling.remove()
+  }
+
+  /**
+   * Commits a value, reusing the existing DOM where it can.
+   *
+   * @param {*} value - The value to render.
+   */
+  setValue(value) {
+    if (value === null || value === undefined || value === false)
+      value = ''
+
+    if (value instanceof TemplateResult)
+      this.#commitTemplate(value)
+    else if (value instanceof Node)
+      this.#commitNode(value)
+    else if (typeof value !== 'string' && typeof value?.[Symbol.iterator] === 'function')
+      this.#commitIterable(value)
+    else
+      this.#commitText(value)
+  }
+
+  /**
+   * Renders each item of an iterable into its own nested part, reusing the
+   * parts from the previous render by position.
+   *
+   * @param {Iterable} iterable - The items to render.
+   */
+  #commitIterable(iterable) {
+    if (this.kind !== 'iterable') {
+      this.clear()
+      this.value = []
+      this.kind = 'iterable'
+    }
+
+    const parts = this.value
+    let index = 0
+
+    for (const item of iterable) {
+      let part = parts[index]
+
+      if (!part) {
+        const start = document.createComment('')
+        const end = document.createComment('')
+
+        this.end.before(start, end)
+        part = new ChildPart(start, end, this.options)
+        parts.push(part)
+      }
+
+      part.setValue(item)
+      index++
+    }
+
+    for (const stale of parts.splice(index)) {
+      stale.clear()
+      stale.start.remove()
+      stale.end.remove()
+    }
+  }
+
+  /**
+   * Renders a DOM node.
+   *
+   * @param {Node} node - The node to insert.
+   */
+  #commitNode(node) {
+    if (this.value === node)
+      return
+
+    this.clear()
+    this.end.before(node)
+    this.value = node
+    this.kind = 'node'
+  }
+
+  /**
+   * Renders a `TemplateResult`, updating the previous instance when it was
+   * stamped from the same template.
+   *
+   * @param {TemplateResult} result - The result to render.
+   */
+  #commitTemplate(result) {
+    const template = Template.for(result.strings)
+
+    if (this.kind === 'template' && this.value.template === template) {
+      this.value.update(result.values)
+      return
+    }
+
+    const instance = new TemplateInstance(template, this.options)
+
+    instance.update(result.values)
+    this.clear()
+    this.end.before(instance.fragment)
+    this.value = instance
+    this.kind = 'template'
+  }
+
+  /**
+   * Renders a primitive as text, updating the existing text node in place.
+   *
+   * @param {*} value - The value to render.
+   */
+  #commitText(value) {
+    const text = String(value)
+
+    if (this.kind === 'text') {
+      if (this.value.data !== text)
+        this.value.data = text
+      return
+    }
+
+    this.clear()
+    this.value = document.createTextNode(text)
+    this.end.before(this.value)
+    this.kind = 'text'
+  }
+}
+
+/**
+ * Commits the values bound to an attribute, property, boolean attribute or
+ * event listener of an element.
+ *
+ * @private
+ */
+class AttributePart {
+  /**
+   * Creates a new AttributePart.
+   *
+   * @param {Element} element - The element the binding is on.
+   * @param {Object} binding - The binding description from the `Template`.
+   * @param {Object} options - The options passed to `render`.
+   */
+  constructor(element, binding, options) {
+    this.element = element
+    this.binding = binding
+    this.options = options
+    this.values = null
+    this.listener = null
+  }
+
+  /**
+   * Commits the binding's values, doing nothing if none of them changed.
+   *
+   * @param {Array} values - The values for this binding, in order.
+   */
+  setValue(values) {
+    if (
+      this.values &&
+      this.values.length === values.length &&
+      this.values.every((value, index) => Object.is(value, values[index]))
+    ) {
+      return
+    }
+
+    this.values = values
+
+    const { element, binding } = this
+    const sole = binding.strings.length === 2 &&
+      binding.strings[0] === '' &&
+      binding.strings[1] === ''
+
+    switch (binding.type) {
+      case 'event':
+        this.#commitListener(values[0])
+        return
+
+      case 'boolean':
+        element.toggleAttribute(binding.name, !!values[0])
+        return
+
+      case 'property':
+        element[binding.name] = sole ? values[0] : this.#interpolate(values)
+        return
+
+      default:
+        if (sole && [null, undefined, false].includes(values[0]))
+          element.removeAttribute(binding.name)
+        else
+          element.setAttribute(binding.name, this.#interpolate(values))
+    }
+  }
+
+  /**
+   * Joins the binding's static strings and values into one string.
+   *
+   * @param {Array} values - The values for this binding, in order.
+   * @returns {string} The interpolated attribute value.
+   */
+  #interpolate(values) {
+    const { strings } = this.binding
+
+    return strings.reduce((text, string, index) => (
+      text + string + (index < values.length ? String(values[index] ?? '') : '')
+    ), '')
+  }
+
+  /**
+   * Points the element's listener for the bound event at a new handler.
+   *
+   * @param {Function|Object|null} handler - The handler, an object with a
+   *   `handleEvent` method, or `null` to remove the listener.
+   *
+   * @description
+   * A single listener is registered per binding; changing the bound handler
+   * only swaps the function it forwards to. The listener is a plain
+   * function so that it also works with the patched `addEventListener` of
+   * `WebComponentBase` elements.
+   */
+  #commitListener(handler) {
+    if (!handler) {
+      if (this.listener) {
+        this.element.removeEventListener(this.binding.name, this.listener)
+        this.listener = null
+      }
+      return
+    }
+
+    if (!this.listener) {
+      this.listener = event => {
+        const current = this.values[0]
+        const context = this.options.host ?? this.element
+
+        if (typeof current === 'function')
+          current.call(context, event)
+        else
+          current?.handleEvent?.(event)
+      }
+
+      this.element.addEventListener(this.binding.name, this.listener)
+    }
+  }
+}
+
+export default { html, render, TemplateResult }
@@ -0,0 +1,137 @@
+/**
+ * Keeps track of live component instances without keeping them alive.
+ *
+ * @description
+ * Components register themselves when they are constructed. The registry
+ * holds each one through a `WeakRef`, so a component that is no longer
+ * referenced anywhere else can still be garbage collected; its entry is
+ * dropped once that happens. Instances can be looked up by their
+ * `instanceId` or by tag, which makes the registry handy from the browser
+ * console:
+ *
+ * ```js
+ * WebComponentBase.instances.byTag('aqua-button')
+ * WebComponentBase.instances.get('k3j5x9q2a1')
+ * ```
+ */
+export class InstanceRegistry {
+  /**
+   * The registered instances, keyed by instance id.
+   *
+   * @type {Map<string, WeakRef<HTMLElement>>}
+   * @private
+   */
+  #instances = new Map()
+
+  /**
+   * Drops the entries of instances that have been garbage collected.
+   *
+   * @type {FinalizationRegistry|null}
+   * @private
+   */
+  #finalizer = typeof FinalizationRegistry === 'function'
+    ? new FinalizationRegistry(instanceId => this.#instances.delete(instanceId))
+    : null
+
+  /**
+   * Adds a component to the registry.
+   *
+   * @param {HTMLElement} component - A component with an `instanceId`.
+   * @returns {HTMLElement} The component.
+   */
+  register(component) {
+    this.#instances.set(component.instanceId, new WeakRef(component))
+    this.#finalizer?.register(component, component.instanceId)
+
+    return component
+  }
+
+  /**
+   * Returns the instance with the given id.
+   *
+   * @param {string} instanceId - The instance id.
+   * @returns {HTMLElement|null} The instance, or `null` when there is none
+   *   or it has been garbage collected.
+   *
+   * @example
+   * WebComponentBase.instances.get(button.instanceId) === button // true
+   */
+  get(instanceId) {
+    return this.#instances.get(instanceId)?.deref() ?? null
+  }
+
+  /**
+   * Returns every live instance of a tag.
+   *
+   * @param {string} tagName - The tag name, e.g. `'aqua-button'`.
+   * @returns {Array<HTMLElement>} The instances, in the order they were
+   *   created.
+   *
+   * @example
+   * WebComponentBase.instances.byTag('aqua-button')
+   *   .filter(button => button.isConnected)
+   */
+  byTag(tagName) {
+    const localName = String(tagName).toLowerCase()
+
+    return this.all().filter(instance => instance.localName === localName)
+  }
+
+  /**
+   * Returns every live instance.
+   *
+   * @returns {Array<HTMLElement>} The instances, in the order they were
+   *   created.
+   */
+  all() {
+    return [...this]
+  }
+
+  /**
+   * Returns the number of instances that have not been garbage collected.
+   *
+   * @returns {number} The number of live instances.
+   */
+  get size() {
+    return this.all().length
+  }
+
+  /**
+   * Returns an iterator over the live instances.
+   *
+   * @returns {Iterator<HTMLElement>} An iterator over the instances, in the
+   *   order they were created.
+   *
+   * @example
+   * for (const instance of WebComponentBase.instances)
+   *   console.log(instance.localName, instance.instanceId)
+   */
+  *[Symbol.iterator]() {
+    for (const [instanceId, ref] of this.#instances) {
+      const instance = ref.deref()
+
+      if (instance)
+        yield instance
+      else
+        this.#instances.delete(instanceId)
+    }
+  }
+
+  /**
+   * Returns the string tag of the registry.
+   *
+   * @returns {string} The string 'InstanceRegistry'.
+   */
+  get [Symbol.toStringTag]() {
+    return 'InstanceRegistry'
+  }
+}
+
+/**
+ * The registry every `WebComponentBase` instance registers itself with.
+ *
+ * @type {InstanceRegistry}
+ */
+export const instances = new InstanceRegistry()
+
+export default { InstanceRegistry, instances }
@@ -0,0 +1,130 @@
+import { WebComponentBase } from './webcomponentbase.js'
+
+/**
+ * Escapes a value for use inside a double quoted HTML attribute.
+ *
+ * @param {string} value - The attribute value.
+ * @returns {string} The escaped value.
+ */
+function escapeAttribute(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;')
+}
+
+/**
+ * Serializes the content of a component's shadow root, leaving out the
+ * `<style>` element used where stylesheets cannot be adopted; its CSS is
+ * written separately by `renderToString`.
+ *
+ * @param {WebComponentBase} component - The rendered component.
+ * @returns {string} The HTML of the shadow root's content.
+ */
+function serializeShadowContent(component) {
+  const template = document.createElement('template')
+
+  for (const node of component.renderRoot.childNodes) {
+    if (node !== component.stylesheet)
+      template.content.append(node.cloneNode(true))
+  }
+
+  return template.innerHTML
+}
+
+/**
+ * Renders a component to an HTML string with a declarative shadow root.
+ *
+ * @param {string} tagName - The tag of a defined component, with any
+ *   configured `WebComponentBase.tagPrefix` applied.
+ * @param {Object<string, *>} [attributes={}] - The attributes to render
+ *   the component with. `true` renders an empty attribute; `false`, `null`
+ *   and `undefined` leave the attribute out.
+ * @param {string} [children=''] - The HTML of the component's light DOM
+ *   children, such as a button's label.
+ * @returns {Promise<string>} The component's HTML, once it has rendered.
+ * @throws {TypeError} If `tagName` is not a defined `WebComponentBase`.
+ *
+ * @description
+ * The component is created, given its attributes and children and
+ * connected inside a hidden container, so its constructor, attribute
+ * handlers and `connectedCallback` resolve its CSS variables exactly as
+ * they would on the page. Once its pending updates have rendered it is
+ * removed again and serialized as:
+ *
+ * ```html
+ * <aqua-button color="gray">
+ *   <template shadowrootmode="open">
+ *     <style>styles() followed by the :host rule with its variables</style>
+ *     template() output
+ *   </template>
+ *   Buy now
+ * </aqua-button>
+ * ```
+ *
+ * The template carries the mode and `delegatesFocus` of the component's
+ * `shadowRootOptions`. Browsers attach it as the element's shadow root
+ * while parsing, so the component is styled before any script runs. When
+ * the component is later defined it reuses that shadow root; see
+ * `WebComponentBase#buildDOM`.
+ *
+ * A DOM is required. In the browser that is the page's own; in Node,
+ * register a DOM implementation such as happy-dom or jsdom globally before
+ * importing the components. Components inside another component's shadow
+ * root are not rendered on the server; they render when they are defined.
+ *
+ * @example
+ * import { GlobalRegistrator } from '@happy-dom/global-registrator'
+ * GlobalRegistrator.register()
+ *
+ * const { renderToString } = await import('./src/ssr.js')
+ * await import('./src/aqua-button.js')
+ *
+ * const html = await renderToString('aqua-button', { color: 'gray' }, 'Buy')
+ */
+export async function renderToString(tagName, attributes = {}, children = '') {
+  const constructor = customElements.get(tagName)
+
+  if (!constructor || !(constructor.prototype instanceof WebComponentBase))
+    throw new TypeError(`<${tagName}> is not a defined WebComponentBase component`)
+
+  const container = document.createElement('div')
+  const component = document.createElement(tagName)
+
+  for (const [name, value] of Object.entries(attributes)) {
+    if (value === false || value === null || value === undefined)
+      continue
+
+    component.setAttribute(name, value === true ? '' : String(value))
+  }
+
+  component.innerHTML = children
+  container.hidden = true
+  container.append(component)
+  document.body.append(container)
+
+  try {
+    await component.updateComplete
+  }
+  finally {
+    container.remove()
+  }
+
+  const styles = component.stylesheet instanceof Node
+    ? component.stylesheet.textContent
+    : `${component.styles()}\n${component.styleManager}`
+
+  const { mode, delegatesFocus } = component.constructor.shadowRootOptions
+  const attributeText = [...component.attributes]
+    .map(({ name, value }) => value === '' ? ` ${name}` : ` ${name}="${escapeAttribute(value)}"`)
+    .join('')
+
+  return (
+    `<${tagName}${attributeText}>` +
+    `<template shadowrootmode="${mode}"${delegatesFocus ? ' shadowrootdelegatesfocus' : ''}>` +
+    `<style>${styles}</style>` +
+    serializeShadowContent(component) +
+    `</template>` +
+    children +
+    `</${tagName}>`
+  )
+}
+
+export default { renderToString }
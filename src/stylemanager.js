@@ -1,12 +1,254 @@
+/**
+ * Reduces an at-rule prelude such as `@media (min-width:600px)` to a key
+ * that ignores the whitespace and case browsers change when serializing it.
+ *
+ * @param {string} prelude - The at-rule and its condition.
+ * @returns {string} The comparison key.
+ */
+function preludeKey(prelude) {
+  return prelude.replace(/\s+/g, '').toLowerCase()
+}
+
+/**
+ * The comparison keys `selectorKey` has worked out, keyed by selector.
+ *
+ * @type {Map<string, string>}
+ */
+const selectorKeys = new Map()
+
+/**
+ * Reduces a selector such as `.a>.b` to a key that matches the text
+ * browsers serialize it as, `.a > .b`, so a rule is found whichever way
+ * its selector was written.
+ *
+ * @param {string} selector - The selector of a style rule.
+ * @returns {string} The comparison key.
+ *
+ * @description
+ * The selector is read back from a rule in a scratch stylesheet, which
+ * normalizes quotes and the like the way the browser does. Whitespace around
+ * combinators and commas is then removed for DOMs that keep the text as
+ * written.
+ */
+function selectorKey(selector) {
+  let key = selectorKeys.get(selector)
+
+  if (key === undefined) {
+    key = selector
+
+    try {
+      const probe = new CSSStyleSheet()
+      probe.insertRule(`${selector} {}`, 0)
+      key = probe.cssRules[0].selectorText ?? selector
+    }
+    catch {
+      // Leave selectors the DOM cannot parse, or DOMs without constructable
+      // stylesheets, to the whitespace comparison
+    }
+
+    key = key.trim().replace(/\s+/g, ' ').replace(/\s*([>+~,])\s*/g, '$1')
+    selectorKeys.set(selector, key)
+  }
+
+  return key
+}
+
+/**
+ * Finds the grouping rule, such as a `CSSMediaRule`, written with the given
+ * prelude among the rules of a stylesheet or another grouping rule.
+ *
+ * @param {CSSStyleSheet|CSSGroupingRule} parent - Where to look.
+ * @param {string} prelude - The at-rule and its condition, e.g.
+ *   `@media (prefers-color-scheme: dark)`.
+ * @returns {CSSGroupingRule|null} The rule, or null if there is none.
+ */
+function findGroupingRule(parent, prelude) {
+  const key = preludeKey(prelude)
+
+  for (let i = 0; i < parent.cssRules.length; i++) {
+    const rule = parent.cssRules[i]
+    const { cssText } = rule
+
+    if (rule.cssRules && preludeKey(cssText.slice(0, cssText.indexOf('{'))) === key)
+      return rule
+  }
+  return null
+}
+
+/**
+ * The custom properties registered with `StyleManager.registerProperty`,
+ * keyed by name.
+ *
+ * @type {Map<string, {name: string, syntax: string, inherits: boolean,
+ *   initialValue: string|undefined}>}
+ */
+const registeredProperties = new Map()
+
+/**
+ * The batches open on each managed style element or stylesheet, see
+ * `StyleManager.batch`. Managers derived from one another share their
+ * stylesheet, so a batch opened by one covers the writes of all of them.
+ *
+ * - `depth`: How many batches are open; the outermost one flushes.
+ * - `dirty`: Whether the style element's text is out of date.
+ * - `managers`: The managers with changes to report when it closes.
+ * - `journals`: The change logs of the transactions that are open.
+ *
+ * @type {WeakMap<HTMLStyleElement|CSSStyleSheet, { depth: number, dirty: boolean, managers: Set<StyleManager>, journals: Set<Object[]> }>}
+ */
+const batches = new WeakMap()
+
+/**
+ * Matchers for the data type names allowed in a registered property's
+ * syntax. Data types not listed here are left for the browser to check.
+ *
+ * @type {Object<string, Function>}
+ */
+const dataTypes = (() => {
+  const number = '[+-]?(?:\\d+\\.?\\d*|\\.\\d+)(?:e[+-]?\\d+)?'
+  const lengthUnits = (
+    'px|cm|mm|q|in|pt|pc|r?em|r?ex|r?cap|r?ch|r?ic|r?lh|' +
+    '[sld]?v(?:w|h|i|b|min|max)|cq(?:w|h|i|b|min|max)'
+  )
+  const dimension = units => new RegExp(`^${number}(?:${units})$`, 'i')
+  const mathFunction = /^(?:calc|min|max|clamp|round|mod|rem|abs|sign)\(.*\)$/i
+  const numeric = pattern => token => pattern.test(token) || mathFunction.test(token)
+  const length = numeric(dimension(lengthUnits))
+  const percentage = numeric(new RegExp(`^${number}%$`))
+  const isZero = token => /^[+-]?0*\.?0+$/.test(token)
+  const ident = /^-?[a-z_][\w-]*$/i
+  const colorFunction = /^(?:rgba?|hsla?|hwb|(?:ok)?lab|(?:ok)?lch|color|color-mix|light-dark)\(.*\)$/i
+  const imageFunction = /^(?:url|image|image-set|cross-fade|element|(?:repeating-)?(?:linear|radial|conic)-gradient)\(.*\)$/i
+
+  return {
+    '<angle>': numeric(dimension('deg|grad|rad|turn')),
+    '<color>': token => (
+      /^#(?:[\da-f]{3,4}|[\da-f]{6}|[\da-f]{8})$/i.test(token) ||
+      colorFunction.test(token) ||
+      (ident.test(token) && (
+        typeof CSS === 'undefined' ||
+        typeof CSS.supports !== 'function' ||
+        CSS.supports('color', token)
+      ))
+    ),
+    '<custom-ident>': token => ident.test(token),
+    '<image>': token => imageFunction.test(token),
+    '<integer>': numeric(/^[+-]?\d+$/),
+    '<length>': token => isZero(token) || length(token),
+    '<length-percentage>': token => isZero(token) || length(token) || percentage(token),
+    '<number>': numeric(new RegExp(`^${number}$`, 'i')),
+    '<percentage>': percentage,
+    '<resolution>': numeric(dimension('dpi|dpcm|dppx|x')),
+    '<string>': token => /^(?:"[^"]*"|'[^']*')$/.test(token),
+    '<time>': numeric(dimension('ms|s')),
+    '<transform-function>': token => /^[a-z][\w-]*\(.*\)$/i.test(token),
+    '<url>': token => /^url\(.*\)$/i.test(token),
+  }
+})()
+
+/**
+ * Splits a CSS value on whitespace or on commas, leaving whatever is inside
+ * parentheses or quotes intact.
+ *
+ * @param {string} value - The value to split.
+ * @param {boolean} [commas=false] - Whether to split on commas instead of
+ *   whitespace.
+ * @returns {string[]} The non-empty pieces, trimmed.
+ */
+function splitValue(value, commas = false) {
+  const pieces = ['']
+  let depth = 0
+  let quote = null
+
+  for (const character of value) {
+    if (quote) {
+      quote = character === quote ? null : quote
+    }
+    else if (character === '"' || character === "'") {
+      quote = character
+    }
+    else if (character === '(') {
+      depth++
+    }
+    else if (character === ')') {
+      depth--
+    }
+    else if (!depth && (commas ? character === ',' : /\s/.test(character))) {
+      pieces.push('')
+      continue
+    }
+
+    pieces[pieces.length - 1] += character
+  }
+
+  return pieces.map(piece => piece.trim()).filter(Boolean)
+}
+
+/**
+ * Parses the syntax of a registered property into its alternatives.
+ *
+ * @param {string} syntax - The syntax, such as `'<length> | auto'`.
+ * @returns {Array<{type: string, multiplier: string}>|null} The
+ *   alternatives, or null for the universal syntax `'*'`.
+ * @throws {SyntaxError} If the syntax is not valid.
+ */
+function parseSyntax(syntax) {
+  if (syntax.trim() === '*')
+    return null
+
+  return syntax.split('|').map(alternative => {
+    const match = /^(<[a-z-]+>|-?[a-z_][\w-]*)([+#]?)$/i.exec(alternative.trim())
+
+    if (!match)
+      throw new SyntaxError(`"${syntax}" is not a valid custom property syntax`)
+
+    return { type: match[1], multiplier: match[2] }
+  })
+}
+
 export class StyleManager {
+  /**
+   * The variables changed since listeners were last told, keyed by their
+   * kebab-case names; see `onChange`.
+   *
+   * @type {Map<string, { name: string, previous: string|null, value: string|null }>}
+   * @private
+   */
+  #changes = new Map()
+
+  /**
+   * The listeners added with `onChange`.
+   *
+   * @type {Set<Function>}
+   * @private
+   */
+  #listeners = new Set()
+
+  /**
+   * Managers derived from this one by `scope()`, `media()`, `container()`
+   * and `supports()`, keyed by what they were derived with.
+   *
+   * @type {Map<string, StyleManager>}
+   * @private
+   */
+  #scopes = new Map()
+
   /**
    * Creates a new StyleManager instance.
    *
-   * @param {HTMLElement} styleElement - The style element to manage.
+   * @param {HTMLStyleElement|CSSStyleSheet} styleElement - The style element
+   *   to manage, or a constructable stylesheet such as one adopted by a
+   *   shadow root.
    * @param {boolean} [useHost=false] - Whether to use the :host selector
    *   instead of :root. The :host selector is used to target the host
    *   element of a web component.
    *
+   * @description
+   * A manager writes its variables to the rule set of its `selector`, inside
+   * the at-rules listed in its `conditions`; a new manager has none. Use
+   * `scope()`, `media()`, `container()` and `supports()` to get managers for
+   * other rule sets of the same stylesheet.
+   *
    * @example
    * const styleElement = document.createElement('style')
    * const styleManager = new StyleManager(styleElement)
@@ -14,11 +256,17 @@ export class StyleManager {
    * @example
    * const styleElement = document.createElement('style')
    * const styleManager = new StyleManager(styleElement, true)
+   *
+   * @example
+   * const sheet = new CSSStyleSheet()
+   * shadowRoot.adoptedStyleSheets = [...shadowRoot.adoptedStyleSheets, sheet]
+   * const styleManager = new StyleManager(sheet, true)
    */
   constructor(styleElement, useHost = false) {
     this.styleElement = styleElement
 
     this.selector = useHost ? ':host' : ':root'
+    this.conditions = []
     this.variables = this.buildVariablesProxy()
   }
 
@@ -42,23 +290,30 @@ export class StyleManager {
    * const myObject = {}
    * styleManager.applyVariablesTo(myObject, 'css')
    * console.log(myObject.css) // Logs the StyleManager's variables
+   *
+   * @description
+   * Assigning an object to the property sets all of its variables in one
+   * `batch`; a variable given as `undefined` is removed.
    */
   applyVariablesTo(object, as = 'variables') {
     if (!object || (typeof object !== 'object' && typeof object !== 'function'))
       return false
 
+    const manager = this
     const { variables } = this
 
     Object.defineProperty(object, as, {
       get() { return variables },
       set(value) {
         if (value && typeof value === 'object') {
-          for (const [key, val] of Object.entries(value)) {
-            if (key in variables && val === undefined)
-              delete variables[key]
-            else
-              variables[key] = val
-          }
+          manager.batch(() => {
+            for (const [key, val] of Object.entries(value)) {
+              if (key in variables && val === undefined)
+                delete variables[key]
+              else
+                variables[key] = val
+            }
+          })
         }
         return
       },
@@ -69,6 +324,39 @@ export class StyleManager {
     return true
   }
 
+  /**
+   * Runs a callback that writes variables, updating the style element once
+   * when it returns instead of after every write.
+   *
+   * @param {Function} callback - Called with this manager; it must do its
+   *   writing synchronously.
+   * @returns {*} What the callback returns.
+   *
+   * @description
+   * The batch covers the writes of every manager sharing this one's
+   * stylesheet, such as those returned by `scope()` and `media()`, and
+   * batches may be nested; the outermost one updates the style element.
+   * Change listeners are then told about every variable that ended up with
+   * a different value, once. Writes made before the callback throws are
+   * kept; use `transaction` to have them undone.
+   *
+   * @example
+   * styleManager.batch(({ variables }) => {
+   *   variables.buttonTop = 'rgb(96,107,122)'
+   *   variables.buttonBottom = 'rgb(195,201,210)'
+   * })
+   */
+  batch(callback) {
+    const batch = this.#open()
+
+    try {
+      return callback(this)
+    }
+    finally {
+      this.#close(batch)
+    }
+  }
+
   /**
    * Creates a proxy object that allows getting, setting, and checking for
    * the existence of CSS variables.
@@ -82,7 +370,7 @@ export class StyleManager {
    * const hasPrimaryColor = '--primary-color' in styleManager.variables
    */
   buildVariablesProxy() {
-    return Object.setPrototypeOf({}, new Proxy({}, {
+    return new Proxy({}, {
       /**
        * Proxy handler for defining a new CSS property on the style element.
        *
@@ -126,8 +414,9 @@ export class StyleManager {
        *
        * @param {Object} _ - The target object (not used).
        * @param {string|Symbol} prop - The property key to get.
-       * @returns {string|'StyleManager'} The CSS variable value or
-       * 'StyleManager' if the property is Symbol.toStringTag.
+       * @returns {string|'StyleManager'|undefined} The CSS variable value,
+       * 'StyleManager' if the property is Symbol.toStringTag, or undefined
+       * for any other symbol.
        *
        * @example
        * const styleManager = new StyleManager(styleElement);
@@ -138,6 +427,10 @@ export class StyleManager {
           return 'StyleManager'
         }
 
+        if (typeof prop === 'symbol') {
+          return undefined
+        }
+
         return this.getVariable(this.normalizeProp(prop))
       },
 
@@ -207,7 +500,23 @@ export class StyleManager {
 
         return true
       },
-    }));
+    });
+  }
+
+  /**
+   * Returns a StyleManager for the variables of this one's selector inside
+   * an `@container` query.
+   *
+   * @param {string} query - The container query, optionally preceded by a
+   *   container name.
+   * @returns {StyleManager} The manager of the scoped variables; the same
+   *   one is returned for the same query.
+   *
+   * @example
+   * styleManager.container('card (min-width: 400px)').variables.buttonHeight = '32px'
+   */
+  container(query) {
+    return this.#derive(this.selector, `@container ${query}`)
   }
 
   /**
@@ -217,14 +526,39 @@ export class StyleManager {
    * @param {string} selector - The CSS selector for the new rule.
    * @returns {CSSStyleRule} The newly created CSSStyleRule object.
    *
+   * @description
+   * The rule is created inside this manager's `conditions`. Any of their
+   * grouping rules that do not exist yet are created along with it.
+   *
    * @example
    * const newRule = styleManager.createRuleSet(':host')
    * newRule.style.setProperty('--host-color', '#000')
    */
   createRuleSet(selector) {
-    const index = this.styleElement.sheet.cssRules.length
-    this.styleElement.sheet.insertRule(`${selector} {}`, index)
-    return this.styleElement.sheet.cssRules[index]
+    let parent = this.sheet
+    let missing = this.conditions
+
+    for (const [index, condition] of this.conditions.entries()) {
+      const group = findGroupingRule(parent, condition)
+
+      if (!group)
+        break
+
+      parent = group
+      missing = this.conditions.slice(index + 1)
+    }
+
+    const index = parent.cssRules.length
+    parent.insertRule(
+      missing.reduceRight((rule, condition) => `${condition} { ${rule} }`, `${selector} {}`),
+      index
+    )
+
+    let rule = parent.cssRules[index]
+    for (let i = 0; i < missing.length; i++)
+      rule = rule.cssRules[0]
+
+    return rule
   }
 
   /**
@@ -243,14 +577,41 @@ export class StyleManager {
     return prop.replace(/-([a-z])/g, (g) => g[1].toUpperCase())
   }
 
+  /**
+   * Returns the list of rules this manager's rule set lives in: the
+   * stylesheet itself, or the innermost grouping rule of its `conditions`.
+   *
+   * @returns {CSSStyleSheet|CSSGroupingRule|null} The stylesheet or rule,
+   *   or null if the stylesheet or one of the grouping rules does not exist.
+   *
+   * @example
+   * styleManager.media('print').getRuleList() // CSSMediaRule or null
+   */
+  getRuleList() {
+    let parent = this.sheet
+
+    for (const condition of this.conditions) {
+      if (!parent)
+        break
+
+      parent = findGroupingRule(parent, condition)
+    }
+
+    return parent ?? null
+  }
+
   /**
    * Retrieves the CSSStyleRule object for the given selector from the
-   * associated CSSStyleSheet.
+   * associated CSSStyleSheet, inside this manager's `conditions`.
    *
    * @param {string} selector - The CSS selector to search for.
    * @returns {CSSStyleRule|null} The CSSStyleRule object for the given
    * selector, or null if not found.
    *
+   * @description
+   * Selectors are compared the way the browser serializes them, so
+   * `.a>.b` finds the rule it stores as `.a > .b`.
+   *
    * @example
    * const ruleSet = styleManager.getRuleSet(':root')
    * if (ruleSet) {
@@ -258,12 +619,16 @@ export class StyleManager {
    * }
    */
   getRuleSet(selector) {
-    if (!this.styleElement.isConnected)
+    const rules = this.getRuleList()
+
+    if (!rules)
       return null
 
-    for (let i = 0; i < this.styleElement.sheet.cssRules.length; i++) {
-      const rule = this.styleElement.sheet.cssRules[i]
-      if (rule.selectorText === selector) {
+    const key = selectorKey(selector)
+
+    for (let i = 0; i < rules.cssRules.length; i++) {
+      const rule = rules.cssRules[i]
+      if (rule.selectorText !== undefined && selectorKey(rule.selectorText) === key) {
         return rule
       }
     }
@@ -330,6 +695,22 @@ export class StyleManager {
       : false
   }
 
+  /**
+   * Returns a StyleManager for the variables of this one's selector inside
+   * an `@media` query.
+   *
+   * @param {string} query - The media query.
+   * @returns {StyleManager} The manager of the scoped variables; the same
+   *   one is returned for the same query.
+   *
+   * @example
+   * const dark = styleManager.media('(prefers-color-scheme: dark)')
+   * dark.variables.buttonTextColor = 'rgb(230,230,230)'
+   */
+  media(query) {
+    return this.#derive(this.selector, `@media ${query}`)
+  }
+
   /**
    * Normalizes a CSS property name to kebab-case.
    *
@@ -349,6 +730,33 @@ export class StyleManager {
     return prop.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)
   }
 
+  /**
+   * Adds a listener told about the variables this manager changes.
+   *
+   * @param {Function} listener - Called with an array of the changes and
+   *   this manager. Each change is an object with the camelCase `name` of
+   *   the variable, its `previous` value and its new `value`; either is
+   *   `null` when the variable was not set.
+   * @returns {Function} A function that removes the listener.
+   *
+   * @description
+   * A write outside of a `batch` is reported right away. Inside one, the
+   * changes are reported when the batch ends, with a variable written
+   * several times listed once and one set back to its previous value left
+   * out.
+   *
+   * @example
+   * const stop = styleManager.onChange(changes => {
+   *   for (const { name, previous, value } of changes)
+   *     console.log(`${name}: ${previous} -> ${value}`)
+   * })
+   */
+  onChange(listener) {
+    this.#listeners.add(listener)
+
+    return () => { this.#listeners.delete(listener) }
+  }
+
   /**
    * Removes a CSS variable from the associated style element.
    *
@@ -363,31 +771,112 @@ export class StyleManager {
   removeVariable(name) {
     const ruleSet = this.getRuleSet(this.selector)
     if (ruleSet) {
+      const previous = this.hasVariable(name) ? this.getVariable(name) : null
+
       ruleSet.style.removeProperty(`--${name}`)
       this.updateStyleElement()
+      this.#record(name, previous, null)
       return true
     }
     return false
   }
 
+  /**
+   * Returns a StyleManager for the variables of another selector, such as a
+   * state of the host, within the same stylesheet and conditions.
+   *
+   * @param {string} selector - The selector of the variables' rule set.
+   * @returns {StyleManager} The manager of the scoped variables; the same
+   *   one is returned for the same selector.
+   *
+   * @example
+   * styleManager.scope(':host([disabled])').variables.buttonTextColor = 'gray'
+   *
+   * @example
+   * // Scopes combine; this writes
+   * // @media (prefers-color-scheme: dark) { :host(:hover) { ... } }
+   * styleManager
+   *   .media('(prefers-color-scheme: dark)')
+   *   .scope(':host(:hover)')
+   *   .variables.buttonBackground = 'rgb(60,60,60)'
+   */
+  scope(selector) {
+    return this.#derive(selector)
+  }
+
   /**
    * Sets a CSS variable in the associated style element.
    *
    * @param {string} name - The name of the CSS variable to set, without the
    *   leading '--'.
    * @param {string} value - The value to set for the CSS variable.
+   * @returns {boolean} True if the variable was set, false if the value was
+   *   refused.
+   *
+   * @description
+   * A variable registered with `StyleManager.registerProperty` only takes
+   * values matching its syntax; any other value is refused with a warning
+   * and the variable keeps its current value.
    *
    * @example
    * const styleManager = new StyleManager(styleElement)
    * styleManager.setVariable('primary-color', '#ff0000')
    */
   setVariable(name, value) {
+    const registered = registeredProperties.get(`--${name}`)
+
+    if (registered && !StyleManager.matchesSyntax(value, registered.syntax)) {
+      console.warn(
+        '<StyleManager> %o is not a valid %s for --%s; the value was not set',
+        value, registered.syntax, name
+      )
+
+      return false
+    }
+
+    const previous = this.hasVariable(name) ? this.getVariable(name) : null
     const ruleSet = (
       this.getRuleSet(this.selector) ||
       this.createRuleSet(this.selector)
     )
     ruleSet.style.setProperty(`--${name}`, value)
     this.updateStyleElement()
+    this.#record(name, previous, this.hasVariable(name) ? this.getVariable(name) : null)
+
+    return true
+  }
+
+  /**
+   * Returns a StyleManager for the variables of this one's selector inside
+   * an `@supports` block.
+   *
+   * @param {string} condition - The feature condition.
+   * @returns {StyleManager} The manager of the scoped variables; the same
+   *   one is returned for the same condition.
+   *
+   * @example
+   * styleManager.supports('(backdrop-filter: blur(2px))')
+   *   .variables.buttonBackground = 'rgba(255,255,255,0.4)'
+   */
+  supports(condition) {
+    return this.#derive(this.selector, `@supports ${condition}`)
+  }
+
+  /**
+   * Returns the CSSStyleSheet holding the managed rules.
+   *
+   * @returns {CSSStyleSheet|null} The managed stylesheet itself, or the
+   *   `sheet` of the managed style element, which is `null` while that
+   *   element is not connected to a document.
+   *
+   * @example
+   * const styleManager = new StyleManager(new CSSStyleSheet(), true)
+   * styleManager.sheet.cssRules.length // 0
+   */
+  get sheet() {
+    return 'cssRules' in this.styleElement
+      ? this.styleElement
+      : this.styleElement.sheet
   }
 
   /**
@@ -408,7 +897,7 @@ export class StyleManager {
    * }
    */
   *[Symbol.iterator]() {
-    return Object.entries(this.variables)
+    yield* Object.entries(this.variables)
   }
 
   /**
@@ -443,22 +932,370 @@ export class StyleManager {
    * console.log(cssText) // Outputs the CSS rules as a string
    */
   toString() {
+    const { sheet } = this
+
     let cssText = ''
-    for (let i = 0; i < this.styleElement.sheet.cssRules.length; i++) {
-      cssText += this.styleElement.sheet.cssRules[i].cssText + '\n'
+    for (let i = 0; i < (sheet?.cssRules.length ?? 0); i++) {
+      cssText += sheet.cssRules[i].cssText + '\n'
     }
     return cssText
   }
 
+  /**
+   * Runs a callback that writes variables as a `batch` that can be undone.
+   *
+   * @param {Function} callback - Called with this manager; it must do its
+   *   writing synchronously.
+   * @returns {{changes: Object[], undo: Function}} The changes made, as
+   *   reported to `onChange` listeners, and a function that restores the
+   *   values the variables had before, in one batch.
+   * @throws {*} Whatever the callback throws, after undoing its writes.
+   *
+   * @description
+   * Writes made through managers sharing this one's stylesheet, such as
+   * those returned by `scope()`, are undone too.
+   *
+   * @example
+   * // Preview a theme, then put things back if it is not kept
+   * const preview = styleManager.transaction(({ variables }) => {
+   *   Object.assign(variables, themes.tokensOf('graphite'))
+   * })
+   *
+   * cancelButton.addEventListener('click', preview.undo)
+   */
+  transaction(callback) {
+    const journal = []
+    const undo = () => this.batch(() => {
+      for (const { manager, name, previous } of journal.toReversed()) {
+        if (previous === null)
+          manager.removeVariable(name)
+        else
+          manager.setVariable(name, previous)
+      }
+    })
+    const batch = this.#open()
+
+    batch.journals.add(journal)
+
+    try {
+      callback(this)
+    }
+    catch (error) {
+      undo()
+      throw error
+    }
+    finally {
+      batch.journals.delete(journal)
+      this.#close(batch)
+    }
+
+    const changes = new Map()
+
+    for (const { manager, name, previous, value } of journal) {
+      const key = `${manager.conditions.join('\n')}\n${manager.selector}\n${name}`
+      const change = changes.get(key) ?? { name: this.denormalizeProp(name), previous }
+
+      change.value = value
+      changes.set(key, change)
+    }
+
+    return {
+      changes: [...changes.values()].filter(({ previous, value }) => previous !== value),
+      undo,
+    }
+  }
+
+  /**
+   * Ends a batch opened by `#open`. The outermost one updates the style
+   * element and tells the listeners of the managers written to.
+   *
+   * @param {Object} batch - The batch state returned by `#open`.
+   * @private
+   */
+  #close(batch) {
+    if (--batch.depth)
+      return
+
+    batches.delete(this.styleElement)
+
+    if (batch.dirty)
+      this.updateStyleElement()
+
+    for (const manager of batch.managers)
+      manager.#notify()
+  }
+
+  /**
+   * Creates, or returns the already created, manager for a selector inside
+   * this manager's conditions and an optional further one.
+   *
+   * @param {string} selector - The selector of the derived manager.
+   * @param {string} [condition] - An at-rule prelude to add to the
+   *   conditions, e.g. `@media print`.
+   * @returns {StyleManager} The derived manager, sharing this one's style
+   *   element.
+   * @private
+   */
+  #derive(selector, condition) {
+    const key = condition ? `${condition}\n${selector}` : selector
+
+    if (!this.#scopes.has(key)) {
+      const scoped = new this.constructor(this.styleElement)
+
+      scoped.selector = selector
+      scoped.conditions = condition ? [...this.conditions, condition] : [...this.conditions]
+      this.#scopes.set(key, scoped)
+    }
+
+    return this.#scopes.get(key)
+  }
+
+  /**
+   * Tells the listeners about the changes recorded since they were last
+   * told, leaving out variables that are back to their previous value.
+   *
+   * @private
+   */
+  #notify() {
+    const changes = [...this.#changes.values()]
+      .filter(({ previous, value }) => previous !== value)
+
+    this.#changes.clear()
+
+    if (!changes.length)
+      return
+
+    for (const listener of [...this.#listeners])
+      listener(changes, this)
+  }
+
+  /**
+   * Opens a batch on this manager's stylesheet, or nests in the open one.
+   *
+   * @returns {Object} The batch state; see `batches`.
+   * @private
+   */
+  #open() {
+    const batch = batches.get(this.styleElement) ?? {
+      depth: 0,
+      dirty: false,
+      managers: new Set(),
+      journals: new Set(),
+    }
+
+    batch.depth++
+    batches.set(this.styleElement, batch)
+
+    return batch
+  }
+
+  /**
+   * Records a variable's change for the open transactions and the change
+   * listeners, who are told right away unless a batch is open.
+   *
+   * @param {string} name - The kebab-case name of the variable.
+   * @param {string|null} previous - Its value before the change.
+   * @param {string|null} value - Its value after the change.
+   * @private
+   */
+  #record(name, previous, value) {
+    if (previous === value)
+      return
+
+    const batch = batches.get(this.styleElement)
+
+    for (const journal of batch?.journals ?? [])
+      journal.push({ manager: this, name, previous, value })
+
+    const change = this.#changes.get(name) ?? { name: this.denormalizeProp(name), previous }
+
+    change.value = value
+    this.#changes.set(name, change)
+
+    if (batch)
+      batch.managers.add(this)
+    else
+      this.#notify()
+  }
+
   /**
    * Updates the textContent of the associated style element with the
    * current CSS rules.
    *
+   * @description
+   * A constructable stylesheet has no text to keep in sync; its rules are
+   * the only copy, so nothing is done when one is managed. Inside a
+   * `batch`, the update waits until the batch ends.
+   *
    * @example
    * styleManager.setVariable('--primary-color', '#ff0000')
    * styleManager.updateStyleElement()
    */
   updateStyleElement() {
+    if (this.sheet === this.styleElement)
+      return
+
+    const batch = batches.get(this.styleElement)
+
+    if (batch) {
+      batch.dirty = true
+      return
+    }
+
     this.styleElement.textContent = this.toString()
   }
-}
\ No newline at end of file
+
+  /**
+   * Returns the definition a custom property was registered with.
+   *
+   * @param {string} name - The property name, including the leading `--`.
+   * @returns {Object|undefined} The definition passed to `registerProperty`,
+   *   or undefined if the property was not registered.
+   *
+   * @example
+   * StyleManager.getPropertyDefinition('--button-height').syntax // '<length>'
+   */
+  static getPropertyDefinition(name) {
+    return registeredProperties.get(name)
+  }
+
+  /**
+   * Checks a value against the syntax of a registered custom property.
+   *
+   * @param {string} value - The value to check.
+   * @param {string} syntax - The syntax, as passed to `registerProperty`.
+   * @param {boolean} [independent=false] - Whether the value must also be
+   *   computationally independent, as initial values must be: free of
+   *   `var()` and `env()` references and of lengths relative to fonts or
+   *   the viewport.
+   * @returns {boolean} True if the value matches the syntax.
+   * @throws {SyntaxError} If the syntax is not valid.
+   *
+   * @description
+   * Values referencing other variables with `var()` or `env()` cannot be
+   * checked until the browser computes them, so they are accepted unless
+   * `independent` is set. Data types this method does not know, such as
+   * `<transform-list>`, are left for the browser to check as well.
+   *
+   * @example
+   * StyleManager.matchesSyntax('10px', '<length>')            // true
+   * StyleManager.matchesSyntax('"10px"', '<length>')          // false
+   * StyleManager.matchesSyntax('red, blue', '<color>#')       // true
+   * StyleManager.matchesSyntax('var(--gap)', '<length>')      // true
+   * StyleManager.matchesSyntax('2em', '<length>', true)       // false
+   */
+  static matchesSyntax(value, syntax, independent = false) {
+    const alternatives = parseSyntax(syntax)
+
+    value = String(value).trim()
+
+    if (/\b(?:var|env|attr)\(/i.test(value))
+      return !independent
+
+    if (independent && /\d(?:r?em|r?ex|r?cap|r?ch|r?ic|r?lh|[sld]?v(?:w|h|i|b|min|max)|cq(?:w|h|i|b|min|max))\b/i.test(value))
+      return false
+
+    if (!alternatives)
+      return true
+
+    return alternatives.some(({ type, multiplier }) => {
+      const tokens = multiplier === '#'
+        ? splitValue(value, true)
+        : splitValue(value)
+
+      if (!tokens.length || (!multiplier && tokens.length > 1))
+        return false
+
+      if (multiplier === '#' && tokens.some(token => splitValue(token).length > 1))
+        return false
+
+      return tokens.every(token => {
+        if (!type.startsWith('<'))
+          return token === type
+
+        return dataTypes[type]?.(token) ?? true
+      })
+    })
+  }
+
+  /**
+   * Registers a typed custom property with the browser, once per document.
+   *
+   * @param {Object} definition - The property definition.
+   * @param {string} definition.name - The property name, including the
+   *   leading `--`.
+   * @param {string} [definition.syntax='*'] - The values the property
+   *   accepts, such as `'<length>'`, `'<color>#'` or `'<length> | auto'`.
+   * @param {boolean} [definition.inherits=false] - Whether the property
+   *   inherits. Variables set on a component's `:host` and read inside its
+   *   shadow DOM must inherit.
+   * @param {string} [definition.initialValue] - The value used when the
+   *   property is not set or holds an invalid value. Required unless the
+   *   syntax is `'*'`.
+   * @returns {boolean} True if the property was registered, false if a
+   *   property of that name was registered before.
+   * @throws {SyntaxError} If the name, the syntax or the initial value is
+   *   not valid.
+   *
+   * @description
+   * `@property` rules only take effect in the document's own stylesheets;
+   * inside a shadow root they are ignored. Registering the property with
+   * `CSS.registerProperty` instead makes it typed everywhere, so the
+   * browser can animate it, for instance between the colors of a gradient.
+   *
+   * A document can only register a name once, so later calls for the same
+   * name are ignored; one with a different definition is warned about. Where
+   * `CSS.registerProperty` is not available, or the page already declares
+   * the property with its own `@property` rule, the definition is still
+   * kept, and `setVariable` checks values against its syntax either way.
+   *
+   * @example
+   * StyleManager.registerProperty({
+   *   name: '--button-top',
+   *   syntax: '<color>',
+   *   inherits: true,
+   *   initialValue: 'transparent',
+   * })
+   */
+  static registerProperty({ name, syntax = '*', inherits = false, initialValue }) {
+    const definition = { name, syntax, inherits: !!inherits, initialValue }
+    const existing = registeredProperties.get(name)
+
+    if (existing) {
+      if (JSON.stringify(existing) !== JSON.stringify(definition)) {
+        console.warn(
+          '<StyleManager> %s is already registered as %o; %o was ignored',
+          name, existing, definition
+        )
+      }
+
+      return false
+    }
+
+    if (typeof name !== 'string' || !/^--[\w-]+$/.test(name))
+      throw new SyntaxError(`"${name}" is not a custom property name`)
+
+    if (initialValue === undefined) {
+      if (parseSyntax(syntax))
+        throw new SyntaxError(`${name} needs an initial value for the syntax "${syntax}"`)
+    }
+    else if (!StyleManager.matchesSyntax(initialValue, syntax, true)) {
+      throw new SyntaxError(
+        `"${initialValue}" is not a valid, computationally independent ` +
+        `initial value for ${name} with the syntax "${syntax}"`
+      )
+    }
+
+    try {
+      globalThis.CSS?.registerProperty?.(definition)
+    }
+    catch (error) {
+      if (error?.name !== 'InvalidModificationError')
+        throw error
+    }
+
+    registeredProperties.set(name, definition)
+
+    return true
+  }
+}
@@ -0,0 +1,493 @@
+import { StyleManager } from './stylemanager.js'
+
+/**
+ * The attribute marking the element a theme is applied to.
+ *
+ * @type {string}
+ */
+const themeAttribute = 'data-aqua-theme'
+
+/**
+ * Converts a token name to the CSS variable holding it.
+ *
+ * @param {string} name - The token name, in camelCase or kebab-case, with
+ *   or without the leading `--`.
+ * @returns {string} The variable name, e.g. `--aqua-blue-top`.
+ */
+function variableName(name) {
+  const kebab = name
+    .replace(/^--/, '')
+    .replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)
+
+  return `--${kebab}`
+}
+
+/**
+ * Registers design-token themes and applies them to the page or to parts
+ * of it.
+ *
+ * @description
+ * A theme is a plain object, or the same object as JSON:
+ *
+ * ```js
+ * {
+ *   name: 'graphite',
+ *   label: 'Graphite',
+ *   extends: 'aqua-blue',
+ *   tokens: { aquaShadowColor: 'rgb(0 0 0 / 40%)' },
+ *   components: {
+ *     'aqua-button': { aquaBlueTop: 'rgb(96,107,122)' },
+ *   },
+ * }
+ * ```
+ *
+ * `tokens` holds the tokens shared by every component and `components` the
+ * tokens of each one; token names carry their component's prefix, so both
+ * end up as CSS variables side by side. A theme that `extends` another
+ * only lists the tokens it changes.
+ *
+ * Applying a theme marks the target element with a `data-aqua-theme`
+ * attribute and writes the theme's variables for that attribute to a
+ * stylesheet in the target's root: the document's head, or the shadow root
+ * the target is in, since rules from outside do not reach into shadow
+ * roots. The variables inherit, into shadow roots too, so a subtree can use
+ * a different theme than the page, and the closest theme wins.
+ *
+ * Components read tokens with `token()`, which falls back to the default
+ * theme's value, so they look the same with no theme applied.
+ *
+ * @example
+ * themes.apply('graphite')
+ * themes.apply('high-contrast', document.querySelector('.toolbar'))
+ *
+ * document.addEventListener('theme-change', ({ detail }) => {
+ *   console.log(`${detail.previous} -> ${detail.theme}`)
+ * })
+ */
+export class ThemeRegistry {
+  /**
+   * The name of the theme components fall back to.
+   *
+   * @type {string}
+   */
+  defaultTheme = 'aqua-blue'
+
+  /**
+   * The registered themes, keyed by name.
+   *
+   * @type {Map<string, Object>}
+   * @private
+   */
+  #themes = new Map()
+
+  /**
+   * The roots that themes have been written to, held weakly so shadow roots
+   * of removed components can be collected.
+   *
+   * @type {Set<WeakRef<Document|ShadowRoot>>}
+   * @private
+   */
+  #roots = new Set()
+
+  /**
+   * The stylesheet holding the variables of the themes applied in each
+   * root, and the names of the themes written to it.
+   *
+   * @type {WeakMap<Document|ShadowRoot, { styleManager: StyleManager, written: Set<string> }>}
+   * @private
+   */
+  #sheets = new WeakMap()
+
+  /**
+   * Applies a theme to the page or to an element and its descendants.
+   *
+   * @param {string} name - The name of a registered theme.
+   * @param {Element} [target=document.documentElement] - The element to
+   *   theme.
+   * @returns {string|null} The name of the theme previously applied to
+   *   `target`, if any.
+   * @throws {TypeError} If no theme is registered under `name`.
+   *
+   * @description
+   * The theme's variables are written to the root `target` is in when the
+   * theme is applied, so an element inside a shadow root can be themed
+   * too. A target that is not in a document yet is themed for the
+   * document; apply the theme again after moving it into a shadow root.
+   *
+   * When the theme changes, a `theme-change` event bubbles from `target`
+   * with the new and the previous theme names in its `detail`.
+   *
+   * @example
+   * themes.apply('graphite')
+   *
+   * @example
+   * themes.apply('high-contrast', component.renderRoot.querySelector('.panel'))
+   */
+  apply(name, target = document.documentElement) {
+    if (!this.#themes.has(name))
+      throw new TypeError(`There is no theme named "${name}"`)
+
+    const previous = target.getAttribute(themeAttribute)
+
+    this.#write(name, target.getRootNode())
+    target.setAttribute(themeAttribute, name)
+
+    if (previous !== name)
+      this.#emit(target, name, previous)
+
+    return previous
+  }
+
+  /**
+   * Removes the theme applied to an element, so it follows the theme of its
+   * ancestors again.
+   *
+   * @param {Element} [target=document.documentElement] - The themed element.
+   * @returns {string|null} The name of the removed theme, if any.
+   */
+  clear(target = document.documentElement) {
+    const previous = target.getAttribute(themeAttribute)
+
+    if (previous !== null) {
+      target.removeAttribute(themeAttribute)
+      this.#emit(target, null, previous)
+    }
+
+    return previous
+  }
+
+  /**
+   * Returns the name of the theme in effect for an element.
+   *
+   * @param {Element} [element=document.documentElement] - The element.
+   * @returns {string} The theme applied to the element or its closest
+   *   themed ancestor, looking past shadow roots to their hosts, or the
+   *   default theme.
+   *
+   * @example
+   * themes.current(button) // 'graphite'
+   */
+  current(element = document.documentElement) {
+    for (
+      let node = element;
+      node;
+      node = node.parentElement ?? node.getRootNode().host
+    ) {
+      if (node.hasAttribute(themeAttribute))
+        return node.getAttribute(themeAttribute)
+    }
+
+    return this.defaultTheme
+  }
+
+  /**
+   * Returns a registered theme.
+   *
+   * @param {string} name - The theme's name.
+   * @returns {Object|null} The theme, or `null` if none has that name.
+   */
+  get(name) {
+    return this.#themes.get(name) ?? null
+  }
+
+  /**
+   * Fetches a theme written as JSON and registers it.
+   *
+   * @param {string|URL} url - Where to fetch the theme from.
+   * @returns {Promise<Object>} The registered theme.
+   * @throws {Error} If the theme could not be fetched.
+   *
+   * @example
+   * await themes.load('/themes/brand.json')
+   * themes.apply('brand')
+   */
+  async load(url) {
+    const response = await fetch(url)
+
+    if (!response.ok)
+      throw new Error(`Could not load the theme at ${url}: ${response.status}`)
+
+    return this.register(await response.json())
+  }
+
+  /**
+   * Returns the names of the registered themes.
+   *
+   * @returns {string[]} The names, in the order they were registered.
+   */
+  names() {
+    return [...this.#themes.keys()]
+  }
+
+  /**
+   * Registers a theme, replacing any theme of the same name.
+   *
+   * @param {Object} theme - The theme; see the class description.
+   * @returns {Object} The theme.
+   * @throws {TypeError} If the theme has no name, or extends a theme that
+   *   is not registered.
+   *
+   * @description
+   * Replacing a theme that is already applied updates the page right away.
+   */
+  register(theme) {
+    if (!theme || typeof theme.name !== 'string' || !theme.name)
+      throw new TypeError('A theme needs a name')
+
+    if (theme.extends && !this.#themes.has(theme.extends))
+      throw new TypeError(`${theme.name} extends "${theme.extends}", which is not registered`)
+
+    this.#themes.set(theme.name, theme)
+
+    for (const ref of this.#roots) {
+      const root = ref.deref()
+
+      if (!root)
+        this.#roots.delete(ref)
+      else if (this.#sheets.get(root).written.delete(theme.name))
+        this.#write(theme.name, root)
+    }
+
+    return theme
+  }
+
+  /**
+   * Returns a CSS `var()` reading a token, with the default theme's value as
+   * the fallback.
+   *
+   * @param {string} name - The token name, e.g. `'aquaBlueTop'`.
+   * @param {boolean} [withFallback=true] - Whether to include the fallback.
+   *   Leave it out for tokens registered as typed properties, whose initial
+   *   value serves as the fallback.
+   * @returns {string} E.g. `var(--aqua-blue-top, rgb(75,95,146))`.
+   *
+   * @example
+   * this.variables.buttonTop = themes.token('aquaBlueTop')
+   */
+  token(name, withFallback = true) {
+    const fallback = this.tokensOf(this.defaultTheme)[name]
+
+    return fallback === undefined || !withFallback
+      ? `var(${variableName(name)})`
+      : `var(${variableName(name)}, ${fallback})`
+  }
+
+  /**
+   * Returns every token of a theme, including those it inherits.
+   *
+   * @param {string} name - The theme's name.
+   * @returns {Object<string, string>} The tokens, keyed by name; empty if
+   *   no theme has that name.
+   *
+   * @example
+   * themes.tokensOf('graphite').aquaGrayTop // inherited from aqua-blue
+   */
+  tokensOf(name) {
+    const theme = this.#themes.get(name)
+
+    if (!theme)
+      return {}
+
+    return Object.assign(
+      theme.extends ? this.tokensOf(theme.extends) : {},
+      theme.tokens,
+      ...Object.values(theme.components ?? {})
+    )
+  }
+
+  /**
+   * Dispatches a `theme-change` event.
+   *
+   * @param {Element} target - The element whose theme changed.
+   * @param {string|null} theme - The new theme, or `null` if it was cleared.
+   * @param {string|null} previous - The previous theme, if any.
+   * @private
+   */
+  #emit(target, theme, previous) {
+    target.dispatchEvent(new CustomEvent('theme-change', {
+      bubbles: true,
+      composed: true,
+      detail: { theme, previous },
+    }))
+  }
+
+  /**
+   * Writes a theme's variables to the theme stylesheet of a root, unless
+   * they have been written there already.
+   *
+   * @param {string} name - The theme's name.
+   * @param {Node} root - The root node of the themed element; anything
+   *   other than a shadow root means the document.
+   * @private
+   */
+  #write(name, root) {
+    if (!(root instanceof ShadowRoot))
+      root = document
+
+    let sheet = this.#sheets.get(root)
+
+    if (sheet?.styleManager.styleElement.getRootNode() !== root) {
+      const style = document.createElement('style')
+      const parent = root === document ? document.head : root
+
+      style.setAttribute('data-aqua-themes', '')
+      parent.append(style)
+
+      if (!sheet)
+        this.#roots.add(new WeakRef(root))
+
+      sheet = { styleManager: new StyleManager(style), written: new Set() }
+      this.#sheets.set(root, sheet)
+    }
+
+    if (sheet.written.has(name))
+      return
+
+    sheet.styleManager.scope(`[${themeAttribute}="${name}"]`).batch(({ variables }) => {
+      for (const key of Object.keys(variables))
+        delete variables[key]
+
+      Object.assign(variables, this.tokensOf(name))
+    })
+    sheet.written.add(name)
+  }
+}
+
+/**
+ * The look of early Mac OS X, and the default theme.
+ *
+ * @type {Object}
+ */
+export const aquaBlue = {
+  name: 'aqua-blue',
+  label: 'Aqua Blue',
+  tokens: {
+    aquaFontFamily: "'Tenorite Display', 'Grandview Display', 'Aptos Display'",
+    aquaShadowColor: 'rgb(0 0 0 / 50%)',
+  },
+  components: {
+    'aqua-button': {
+      aquaBlueTextColor: 'rgb(255,255,255)',
+      aquaBlueTextShadow: '0px 1px 3px rgb(0 0 0/ 50%)',
+      aquaBlueTop: 'rgb(75,95,146)',
+      aquaBlueTopBorder: 'rgb(42, 61, 121)',
+      aquaBlueBottomBorder: 'rgb(176, 212, 246)',
+      aquaBlueBottom: 'rgb(189,226,252)',
+      aquaBlueTopBright: 'rgb(88,111,171)',
+      aquaBlueBottomBright: 'rgb(191,229,255)',
+
+      aquaGrayTextColor: 'rgb(98,98,98)',
+      aquaGrayTextShadow: '0px 1px 3px rgb(255 255 255/ 50%)',
+      aquaGrayTop: 'rgb(124,124,124)',
+      aquaGrayTopBorder: 'rgb(124,124,124)',
+      aquaGrayBottomBorder: 'rgb(126,125,124)',
+      aquaGrayBottom: 'rgb(249,249,249)',
+      aquaGrayTopBright: 'rgb(148,148,148)',
+      aquaGrayBottomBright: 'rgb(255,255,255)',
+    },
+    'aqua-hr': {
+      hrBorderColor: 'rgb(38,85,169)',
+      hrGradient: (
+        'rgb(170,193,225), rgb(190,211,237), rgb(133,174,233), ' +
+        'rgb(167,205,251), rgb(198,237,252)'
+      ),
+      hrShadowColor: 'rgba(111,111,111,0.33)',
+    },
+    'aqua-trafficlight': {
+      trafficlightRed: '#f24443',
+      trafficlightYellow: '#f0aa5a',
+      trafficlightGreen: '#88be72',
+    },
+  },
+}
+
+/**
+ * The Graphite appearance, trading the blue for a muted blue-gray.
+ *
+ * @type {Object}
+ */
+export const graphite = {
+  name: 'graphite',
+  label: 'Graphite',
+  extends: 'aqua-blue',
+  components: {
+    'aqua-button': {
+      aquaBlueTop: 'rgb(96,107,122)',
+      aquaBlueTopBorder: 'rgb(66,74,86)',
+      aquaBlueBottomBorder: 'rgb(196,204,214)',
+      aquaBlueBottom: 'rgb(205,212,222)',
+      aquaBlueTopBright: 'rgb(112,124,141)',
+      aquaBlueBottomBright: 'rgb(216,222,231)',
+    },
+    'aqua-hr': {
+      hrBorderColor: 'rgb(86,96,110)',
+      hrGradient: (
+        'rgb(190,196,204), rgb(206,211,218), rgb(160,168,179), ' +
+        'rgb(188,195,205), rgb(222,226,231)'
+      ),
+    },
+    'aqua-trafficlight': {
+      trafficlightRed: '#8d939b',
+      trafficlightYellow: '#a4a9b0',
+      trafficlightGreen: '#bcc0c6',
+    },
+  },
+}
+
+/**
+ * Solid colors, black borders and no glow, for readability.
+ *
+ * @type {Object}
+ */
+export const highContrast = {
+  name: 'high-contrast',
+  label: 'High Contrast',
+  extends: 'aqua-blue',
+  tokens: {
+    aquaShadowColor: 'rgb(0 0 0)',
+  },
+  components: {
+    'aqua-button': {
+      aquaBlueTextColor: 'rgb(255,255,255)',
+      aquaBlueTextShadow: 'none',
+      aquaBlueTop: 'rgb(0,40,140)',
+      aquaBlueTopBorder: 'rgb(0,0,0)',
+      aquaBlueBottomBorder: 'rgb(0,0,0)',
+      aquaBlueBottom: 'rgb(0,40,140)',
+      aquaBlueTopBright: 'rgb(0,60,200)',
+      aquaBlueBottomBright: 'rgb(0,60,200)',
+
+      aquaGrayTextColor: 'rgb(0,0,0)',
+      aquaGrayTextShadow: 'none',
+      aquaGrayTop: 'rgb(255,255,255)',
+      aquaGrayTopBorder: 'rgb(0,0,0)',
+      aquaGrayBottomBorder: 'rgb(0,0,0)',
+      aquaGrayBottom: 'rgb(255,255,255)',
+      aquaGrayTopBright: 'rgb(230,230,230)',
+      aquaGrayBottomBright: 'rgb(230,230,230)',
+    },
+    'aqua-hr': {
+      hrBorderColor: 'rgb(0,0,0)',
+      hrGradient: 'rgb(0,0,0), rgb(0,0,0)',
+      hrShadowColor: 'transparent',
+    },
+    'aqua-trafficlight': {
+      trafficlightRed: '#ff0000',
+      trafficlightYellow: '#ffd700',
+      trafficlightGreen: '#00b000',
+    },
+  },
+}
+
+/**
+ * The shared theme registry, holding the built-in themes.
+ *
+ * @type {ThemeRegistry}
+ */
+export const themes = new ThemeRegistry()
+
+themes.register(aquaBlue)
+themes.register(graphite)
+themes.register(highContrast)
+
+export default { ThemeRegistry, themes, aquaBlue, graphite, highContrast }
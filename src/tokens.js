@@ -0,0 +1,361 @@
+import { StyleManager } from './stylemanager.js'
+import { Toolbelt } from './toolbelt.js'
+import { themes } from './themes.js'
+
+const { camelToKebabCase, kebabToCamelCase } = Toolbelt
+
+/**
+ * The formats tokens can be exported to and imported from.
+ *
+ * @type {string[]}
+ */
+export const formats = ['css', 'json', 'scss']
+
+/**
+ * Converts a token name as written in any of the formats, such as
+ * `--aqua-blue-top`, `$aqua-blue-top` or `aqua-blue-top`, to the camelCase
+ * name used by themes and `StyleManager` variables.
+ *
+ * @param {string} name - The name.
+ * @returns {string} The camelCase name, e.g. `aquaBlueTop`.
+ */
+function tokenName(name) {
+  name = String(name).trim().replace(/^(?:--|\$)/, '')
+
+  return name.includes('-') ? kebabToCamelCase(name) : name
+}
+
+/**
+ * Returns the tokens of whatever they are exported from.
+ *
+ * @param {string|StyleManager|HTMLElement|Object} source - See
+ *   `exportTokens`.
+ * @returns {Object<string, string>} The tokens, keyed in camelCase.
+ * @throws {TypeError} If `source` names no registered theme.
+ */
+function tokensFrom(source) {
+  if (typeof source === 'string') {
+    if (!themes.get(source))
+      throw new TypeError(`There is no theme named "${source}"`)
+
+    return themes.tokensOf(source)
+  }
+
+  const manager = source instanceof StyleManager ? source : source?.styleManager
+
+  if (manager instanceof StyleManager)
+    return Object.fromEntries(manager)
+
+  return { ...source }
+}
+
+/**
+ * Reads a value from `start` up to the `;` or closing bracket ending it,
+ * skipping over anything in parentheses or quotes.
+ *
+ * @param {string} text - The text to read from.
+ * @param {number} start - Where the value starts.
+ * @param {string} ends - The characters that end the value.
+ * @returns {{value: string, end: number}} The trimmed value and the index
+ *   of the character ending it.
+ */
+function readValue(text, start, ends) {
+  let depth = 0
+  let quote = null
+  let index = start
+
+  for (; index < text.length; index++) {
+    const character = text[index]
+
+    if (quote)
+      quote = character === quote ? null : quote
+    else if (character === '"' || character === "'")
+      quote = character
+    else if (character === '(')
+      depth++
+    else if (character === ')' && depth)
+      depth--
+    else if (!depth && ends.includes(character))
+      break
+  }
+
+  return { value: text.slice(start, index).trim(), end: index }
+}
+
+/**
+ * Removes `/* *\/` comments, and `//` comments that take up a whole line.
+ *
+ * @param {string} text - CSS or SCSS.
+ * @returns {string} The text without comments.
+ */
+function stripComments(text) {
+  return text
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .replace(/^\s*\/\/.*$/gm, '')
+}
+
+/**
+ * Writes tokens as a rule of CSS custom properties.
+ *
+ * @param {Object<string, string>} tokens - The tokens.
+ * @param {string} selector - The rule's selector.
+ * @returns {string} The CSS.
+ */
+function toCSS(tokens, selector) {
+  const declarations = Object.entries(tokens)
+    .map(([name, value]) => `  --${camelToKebabCase(name)}: ${value};`)
+
+  return `${selector} {\n${declarations.join('\n')}\n}\n`
+}
+
+/**
+ * Writes tokens as a flat JSON object keyed by their kebab-case names.
+ *
+ * @param {Object<string, string>} tokens - The tokens.
+ * @returns {string} The JSON.
+ */
+function toJSON(tokens) {
+  const entries = Object.entries(tokens)
+    .map(([name, value]) => [camelToKebabCase(name), String(value)])
+
+  return `${JSON.stringify(Object.fromEntries(entries), null, 2)}\n`
+}
+
+/**
+ * Writes tokens as an SCSS map. Values that are lists, such as gradients
+ * or font stacks, are wrapped in parentheses so they stay one map value.
+ *
+ * @param {Object<string, string>} tokens - The tokens.
+ * @param {string} mapName - The map's variable name, without the `$`.
+ * @returns {string} The SCSS.
+ */
+function toSCSS(tokens, mapName) {
+  const entries = Object.entries(tokens).map(([name, value]) => {
+    value = String(value)
+
+    if (readValue(value, 0, ',').end < value.length)
+      value = `(${value})`
+
+    return `  "${camelToKebabCase(name)}": ${value},`
+  })
+
+  return `$${mapName}: (\n${entries.join('\n')}\n);\n`
+}
+
+/**
+ * Reads the custom properties declared anywhere in a piece of CSS.
+ *
+ * @param {string} text - The CSS.
+ * @returns {Object<string, string>} The tokens; a property declared twice
+ *   keeps its last value.
+ */
+function fromCSS(text) {
+  const tokens = {}
+  const declaration = /(?:^|[{;\s])--([\w-]+)\s*:/g
+
+  text = stripComments(text)
+
+  for (let match; (match = declaration.exec(text));) {
+    const { value, end } = readValue(text, declaration.lastIndex, ';}')
+
+    tokens[tokenName(match[1])] = value
+    declaration.lastIndex = end
+  }
+
+  return tokens
+}
+
+/**
+ * Reads tokens from JSON. A flat object is expected; nested groups are
+ * flattened by joining their keys with `-`, and a group holding a `$value`
+ * or `value` is read as a single token, as design tools write them.
+ *
+ * @param {string|Object} json - The JSON, or the object it describes.
+ * @returns {Object<string, string>} The tokens.
+ * @throws {TypeError} If a token's value is not a string or a number.
+ */
+function fromJSON(json) {
+  const tokens = {}
+  const read = (object, prefix) => {
+    for (const [key, entry] of Object.entries(object)) {
+      const name = prefix ? `${prefix}-${key}` : key
+      const value = entry && typeof entry === 'object'
+        ? entry.$value ?? entry.value ?? entry
+        : entry
+
+      if (value && typeof value === 'object')
+        read(value, name)
+      else if (typeof value === 'string' || typeof value === 'number')
+        tokens[tokenName(name)] = String(value)
+      else
+        throw new TypeError(`The token "${name}" has no string or number value`)
+    }
+  }
+
+  read(typeof json === 'string' ? JSON.parse(json) : json, '')
+
+  return tokens
+}
+
+/**
+ * Reads tokens from SCSS: the entries of maps such as the one `toSCSS`
+ * writes, and plain `$variable: value;` declarations.
+ *
+ * @param {string} text - The SCSS.
+ * @returns {Object<string, string>} The tokens.
+ */
+function fromSCSS(text) {
+  const tokens = {}
+  const variable = /\$([\w-]+)\s*:/g
+  const unwrap = value => (
+    /^\(.*\)$/s.test(value) && readValue(value, 1, ')').end === value.length - 1
+      ? value.slice(1, -1).trim()
+      : value
+  )
+
+  text = stripComments(text)
+
+  for (let match; (match = variable.exec(text));) {
+    const { value, end } = readValue(text, variable.lastIndex, ';')
+    const isMap = /^\([\s\S]*\)(?:\s*!default)?$/.test(value) &&
+      /^\(\s*["']?[\w-]+["']?\s*:/.test(value)
+
+    if (isMap) {
+      const body = value.replace(/\s*!default$/, '').slice(1, -1)
+
+      for (let start = 0; start < body.length;) {
+        const { value: entry, end: entryEnd } = readValue(body, start, ',')
+        const separator = entry.indexOf(':')
+
+        if (separator > 0) {
+          const key = entry.slice(0, separator).trim().replace(/^["']|["']$/g, '')
+          tokens[tokenName(key)] = unwrap(entry.slice(separator + 1).trim())
+        }
+
+        start = entryEnd + 1
+      }
+    }
+    else {
+      tokens[tokenName(match[1])] = unwrap(value.replace(/\s*!default$/, ''))
+    }
+
+    variable.lastIndex = end
+  }
+
+  return tokens
+}
+
+/**
+ * Exports tokens as a CSS, JSON or SCSS file.
+ *
+ * @param {string|StyleManager|HTMLElement|Object} source - What to export:
+ *   the name of a registered theme, a `StyleManager`, a component (its
+ *   `styleManager` is exported) or an object of tokens.
+ * @param {string} [format='css'] - One of `formats`.
+ * @param {Object} [options={}] - Options for the format.
+ * @param {string} [options.selector=':root'] - The selector of the CSS
+ *   rule.
+ * @param {string} [options.mapName='tokens'] - The name of the SCSS map.
+ * @returns {string} The file's content.
+ * @throws {TypeError} If the format is unknown or `source` names no theme.
+ *
+ * @description
+ * The CSS is a single rule of custom properties; the JSON is a flat object
+ * and the SCSS a map, both keyed by the kebab-case token names without
+ * `--`. `parseTokens` reads all three back.
+ *
+ * @example
+ * exportTokens('graphite', 'scss', { mapName: 'graphite' })
+ * // $graphite: (
+ * //   "aqua-font-family": ('Tenorite Display', 'Grandview Display', ...),
+ * //   ...
+ * // );
+ *
+ * @example
+ * exportTokens(document.querySelector('aqua-hr'), 'css', { selector: 'aqua-hr' })
+ */
+export function exportTokens(source, format = 'css', options = {}) {
+  const tokens = tokensFrom(source)
+  const { selector = ':root', mapName = 'tokens' } = options
+
+  switch (format) {
+    case 'css':
+      return toCSS(tokens, selector)
+
+    case 'json':
+      return toJSON(tokens)
+
+    case 'scss':
+      return toSCSS(tokens, mapName)
+
+    default:
+      throw new TypeError(`Tokens cannot be exported as "${format}"; use one of ${formats.join(', ')}`)
+  }
+}
+
+/**
+ * Reads tokens from a CSS, JSON or SCSS file.
+ *
+ * @param {string|Object} text - The file's content; for JSON, the parsed
+ *   object works too.
+ * @param {string} format - One of `formats`.
+ * @returns {Object<string, string>} The tokens, keyed in camelCase, ready
+ *   to be used in a theme or assigned to a `StyleManager`'s `variables`.
+ * @throws {TypeError} If the format is unknown or a JSON token has no
+ *   usable value.
+ * @throws {SyntaxError} If the JSON cannot be parsed.
+ *
+ * @example
+ * const response = await fetch('/design/tokens/brand.scss')
+ *
+ * themes.register({
+ *   name: 'brand',
+ *   extends: 'aqua-blue',
+ *   tokens: parseTokens(await response.text(), 'scss'),
+ * })
+ */
+export function parseTokens(text, format) {
+  switch (format) {
+    case 'css':
+      return fromCSS(text)
+
+    case 'json':
+      return fromJSON(text)
+
+    case 'scss':
+      return fromSCSS(text)
+
+    default:
+      throw new TypeError(`Tokens cannot be imported from "${format}"; use one of ${formats.join(', ')}`)
+  }
+}
+
+/**
+ * Reads tokens from a CSS, JSON or SCSS file and sets them as variables of
+ * a component or `StyleManager`.
+ *
+ * @param {StyleManager|HTMLElement} target - A `StyleManager`, or a
+ *   component whose `styleManager` receives the variables.
+ * @param {string|Object} text - The file's content.
+ * @param {string} format - One of `formats`.
+ * @returns {Object<string, string>} The tokens that were read.
+ * @throws {TypeError} If `target` has no `StyleManager`, or see
+ *   `parseTokens`.
+ *
+ * @example
+ * importTokens(button, ':root { --button-text-color: white; }', 'css')
+ */
+export function importTokens(target, text, format) {
+  const manager = target instanceof StyleManager ? target : target?.styleManager
+
+  if (!(manager instanceof StyleManager))
+    throw new TypeError('Tokens can only be imported into a StyleManager or a component')
+
+  const tokens = parseTokens(text, format)
+
+  Object.assign(manager.variables, tokens)
+
+  return tokens
+}
+
+export default { exportTokens, formats, importTokens, parseTokens }
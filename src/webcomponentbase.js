@@ -1,7 +1,151 @@
 import { StyleManager } from './stylemanager.js'
+import { instances } from './instanceregistry.js'
+import { themes } from './themes.js'
 import { Toolbelt } from './toolbelt.js'
+import { TemplateResult, render as renderTemplate } from './html.js'
 
-const { camelIfKebab } = Toolbelt
+const { camelIfKebab, camelToKebabCase } = Toolbelt
+
+/**
+ * Normalized property declarations, keyed by the component class that
+ * declared them. Entries are created the first time a class is finalized
+ * (see `WebComponentBase.propertyDeclarations`) so the work of walking
+ * `static get properties()` and defining accessors happens once per class.
+ *
+ * @type {WeakMap<Function, Map<string, Object>>}
+ */
+const declarationsByClass = new WeakMap()
+
+/**
+ * The stylesheet built from `styles()`, keyed by the component class whose
+ * instances adopt it.
+ *
+ * @type {WeakMap<Function, CSSStyleSheet>}
+ */
+const sharedSheetsByClass = new WeakMap()
+
+/**
+ * The prefix that replaces the first segment of each component's
+ * `customElementName` when it is defined without an explicit tag name.
+ * `null` keeps the names as they are. See `WebComponentBase.tagPrefix`.
+ *
+ * @type {string|null}
+ */
+let tagPrefix = null
+
+/**
+ * Whether attribute values are checked against `attributeSchema`. See
+ * `WebComponentBase.devMode`.
+ *
+ * @type {boolean}
+ */
+let devMode = true
+
+/**
+ * The global error hook. See `WebComponentBase.onError`.
+ *
+ * @type {Function|null}
+ */
+let errorHandler = null
+
+/**
+ * Whether shadow roots can adopt constructable stylesheets. Where they
+ * cannot, each instance falls back to its own `<style>` element.
+ *
+ * @type {boolean}
+ */
+const supportsAdoptedStyleSheets = (
+  typeof ShadowRoot !== 'undefined' &&
+  typeof CSSStyleSheet !== 'undefined' &&
+  'adoptedStyleSheets' in ShadowRoot.prototype &&
+  'replaceSync' in CSSStyleSheet.prototype
+)
+
+/**
+ * Retries for context requests that no provider answered, keyed by context
+ * key. When a component starts providing a key, or is connected while
+ * providing it, the retries for that key run so consumers that were
+ * connected before their provider existed still find it.
+ *
+ * @type {Map<string, Set<Function>>}
+ */
+const unansweredContextRequests = new Map()
+
+/**
+ * Runs the retries for context requests for a key that went unanswered.
+ *
+ * @param {string} key - The context key now being provided.
+ */
+function retryContextRequests(key) {
+  for (const retry of [...(unansweredContextRequests.get(key) ?? [])])
+    retry()
+}
+
+/**
+ * Events that do not bubble, and so can only be delegated from the shadow
+ * root in the capture phase.
+ *
+ * @type {Set<string>}
+ */
+const nonBubblingEvents = new Set([
+  'blur', 'focus', 'load', 'error', 'scroll', 'mouseenter', 'mouseleave',
+  'pointerenter', 'pointerleave', 'invalid', 'toggle',
+])
+
+/**
+ * Determines whether a delegated listener must run in the capture phase.
+ *
+ * @param {string} eventName - The event the listener is for.
+ * @param {Object} options - The listener options.
+ * @returns {boolean} `true` if capture was requested or the event does not
+ *   bubble.
+ */
+function delegatesInCapture(eventName, options) {
+  return !!options?.capture || nonBubblingEvents.has(eventName)
+}
+
+/**
+ * Creates a promise along with the function that resolves it.
+ *
+ * @returns {{ promise: Promise, resolve: Function }} The pending promise
+ *   and its resolver.
+ */
+function deferred() {
+  let resolve
+  const promise = new Promise(resolver => { resolve = resolver })
+
+  return { promise, resolve }
+}
+
+/**
+ * Sorts out the optional selector argument shared by `on` and `off`.
+ *
+ * @param {string|Function|Object} [selector] - A selector, or the handler.
+ * @param {Function|Object|boolean} [handler] - The handler, or the options.
+ * @param {Object|boolean} [options] - The options.
+ * @returns {{ selector: string|undefined, handler: Function|Object|undefined, options: Object|undefined }}
+ *   The arguments with boolean capture flags expanded into an options
+ *   object.
+ */
+function normalizeListenerArguments(selector, handler, options) {
+  if (
+    typeof selector === 'function' ||
+    (selector && typeof selector === 'object')
+  ) {
+    options = handler
+    handler = selector
+    selector = undefined
+  }
+
+  if (typeof options === 'boolean')
+    options = { capture: options }
+
+  return {
+    selector: selector ?? undefined,
+    handler: handler ?? undefined,
+    options: options ?? undefined,
+  }
+}
 
 export class WebComponentBase extends HTMLElement {
   /**
@@ -12,12 +156,24 @@ export class WebComponentBase extends HTMLElement {
    * class is created. It performs several initialization tasks:
    *
    * 1. Calls the `super()` method to initialize the parent class.
-   * 2. Attaches a new `ShadowRoot` to the element with the `open` mode.
-   * 3. Initializes the component's attributes by calling `initializeAttributes()`.
-   * 4. Patches the component's methods by calling `patchElementMethods()`.
-   * 5. Builds proxies for the component's state by calling `buildProxies()`.
-   * 6. Builds the component's styles by calling `buildStyles()`.
-   * 7. Builds the component's DOM structure by calling `buildDOM()`.
+   * 2. Registers the instance with `WebComponentBase.instances`.
+   * 3. Attaches `ElementInternals` for classes whose static
+   *    `formAssociated` is true, so the element can take part in forms,
+   *    and for any class while `shadowRoot` is `null`, since a closed
+   *    declarative shadow root can only be found through them. Then
+   *    attaches a new `ShadowRoot` with the static `shadowRootOptions`,
+   *    unless a declarative shadow root (see `renderToString` in `ssr.js`)
+   *    is already attached. Either way the root is kept as `renderRoot`,
+   *    which works in `closed` mode too. The internals attached here are
+   *    handed to the first call of `attachInternals()`.
+   * 4. Initializes the component's attributes by calling `initializeAttributes()`.
+   * 5. Patches the component's methods by calling `patchElementMethods()`.
+   * 6. Builds proxies for the component's state by calling `buildProxies()`.
+   * 7. Builds the component's styles by calling `buildStyles()`, then
+   *    writes the seeded values of declared properties that have a
+   *    `variable` to their CSS variables.
+   * 8. Builds the component's DOM structure by calling `buildDOM()`.
+   * 9. Starts observing `<slot>` changes by calling `observeSlots()`.
    *
    * This constructor sets up the initial state and behavior of the
    * WebComponentBase instance, ensuring that it is ready for rendering and
@@ -37,12 +193,79 @@ export class WebComponentBase extends HTMLElement {
    */
   constructor() {
     super()
-    this.attachShadow({ mode: 'open' })
+    instances.register(this)
+
+    // A closed declarative shadow root is only reachable through internals
+    if (
+      typeof super.attachInternals === 'function' &&
+      (this.constructor.formAssociated || !this.shadowRoot)
+    ) {
+      this.#internals = super.attachInternals()
+    }
+
+    this.#shadowRoot = this.shadowRoot ?? this.#internals?.shadowRoot ?? null
+
+    if (this.#shadowRoot)
+      this.#hydrating = true
+    else
+      this.#shadowRoot = this.attachShadow(this.constructor.shadowRootOptions)
+
     this.initializeAttributes()
     this.patchElementMethods()
     this.buildProxies()
     this.buildStyles()
+    this.#writeDeclaredVariables()
     this.buildDOM()
+    this.observeSlots()
+  }
+
+  /**
+   * Attaches a reactive controller to the component.
+   *
+   * @param {Object} controller - An object implementing any of
+   *   `hostConnected`, `hostDisconnected`, `hostUpdate` and `hostUpdated`.
+   * @returns {Object} The controller, for chaining.
+   *
+   * @description
+   * Controllers package behavior that several components share, such as
+   * tracking presses or observing size, without a subclass per component.
+   * The component calls, with the controller as `this`:
+   *
+   * - `hostConnected()` when it is connected, or right away if it already
+   *   is;
+   * - `hostDisconnected()` when it is disconnected;
+   * - `hostUpdate()` before every render, after `willUpdate`;
+   * - `hostUpdated()` after every render, after `updated`.
+   *
+   * Controllers usually call `host.requestUpdate()` when their own values
+   * change so the component renders with them. Errors thrown by a
+   * controller are reported with `reportError` in the `'controller'` phase
+   * and do not affect other controllers. See
+   * `controllers.js` for the built-in controllers.
+   *
+   * @example
+   * class ClockController {
+   *   constructor(host) {
+   *     this.host = host
+   *     host.addController(this)
+   *   }
+   *
+   *   hostConnected() {
+   *     this.timer = setInterval(() => this.host.requestUpdate('now'), 1000)
+   *   }
+   *
+   *   hostDisconnected() {
+   *     clearInterval(this.timer)
+   *   }
+   * }
+   */
+  addController(controller) {
+    this.#controllers.add(controller)
+
+    if (this.isConnected)
+      this.#notifyControllers('hostConnected', [controller])
+
+    return controller
   }
 
   /**
@@ -52,8 +275,8 @@ export class WebComponentBase extends HTMLElement {
    * @description
    * The `adoptedCallback` is a lifecycle method of the custom element that
    * is called when the element is moved to a new document. This method is
-   * used to trigger the rendering of the component in the new document
-   * context by calling the `render` method.
+   * used to schedule a render of the component in the new document
+   * context by calling the `requestUpdate` method.
    *
    * @example
    * // When the custom element is moved to a new document, the
@@ -62,64 +285,149 @@ export class WebComponentBase extends HTMLElement {
    * document.body.appendChild(component) // Triggers `adoptedCallback`
    */
   adoptedCallback() {
-    this.render()
+    this.requestUpdate()
   }
 
   /**
-   * Attaches event listeners to elements within the component's shadow root.
+   * Attaches the event listeners registered with `on` to the component.
    *
    * @description
    * This method iterates over the `#listeners` private field, which is a Map
-   * containing event listeners registered for the component. For each event
-   * name and its associated listeners, it checks if a selector is provided.
-   * If a selector is provided, it queries the shadow root for elements
-   * matching the selector and attaches the event listener to each matched
-   * element. If no selector is provided, it attaches the event listener
-   * directly to the component itself using the `_addEventListener` method.
+   * containing event listeners registered for the component. Listeners
+   * without a selector are attached directly to the component itself using
+   * the `_addEventListener` method. Listeners with a selector are not
+   * attached to any element; instead one delegating listener per event name
+   * (and capture phase) is attached to the component's shadow root, which
+   * dispatches to every registered listener whose selector matches an
+   * element on the event's composed path. Elements added to the shadow DOM
+   * later are therefore covered as well.
    *
    * The `#listeners` Map is expected to have the following structure:
    *
    * ```js
    * #listeners = new Map([
    *   ['click', [
-   *     { selector: '.button', handler: handleButtonClick, options: {} },
-   *     { handler: handleComponentClick, options: { capture: true } }
+   *     { selector: '.button', handler: handleButtonClick, options: {}, listener },
+   *     { handler: handleComponentClick, options: { capture: true }, listener }
    *   ]],
-   *   ['input', [
-   *     { selector: 'input', handler: handleInputChange, options: {} }
-   *   ]]
    * ])
    * ```
    *
+   * It is called by `connectedCallback`; listeners registered while the
+   * component is connected are attached immediately by `on`.
+   *
    * @example
-   * // Assuming the component has a button and an input field
-   * this.#listeners.set('click', [
-   *   { selector: 'button', handler: this.handleButtonClick },
-   *   { handler: this.handleComponentClick, options: { capture: true } }
-   * ])
-   * this.#listeners.set('input', [
-   *   { selector: 'input', handler: this.handleInputChange }
-   * ])
+   * this.on('click', '.button', this.handleButtonClick)
+   * this.on('click', this.handleComponentClick, { capture: true })
    *
    * this.attachEventListeners()
-   * // Attaches click event listeners to the button and the component
-   * // Attaches input event listener to the input field
+   * // Attaches the click listener to the component and one delegating
+   * // click listener to the shadow root
    */
   attachEventListeners() {
-    this.#listeners.forEach((listeners, eventName) => {
-      listeners.forEach(({ selector, handler, options }) => {
-        if (selector) {
-          this.shadowRoot.querySelectorAll(selector).forEach(element => {
-            element.addEventListener(eventName, handler, options)
-          })
-        }
-        else {
-          this._addEventListener(eventName, handler, options)
-        }
-      })
+    this.#listeners.forEach((entries, eventName) => {
+      entries.forEach(entry => this.#attachEntry(eventName, entry))
     })
   }
 
+  /**
+   * Attaches the component's `ElementInternals` and returns them.
+   *
+   * @returns {ElementInternals} The component's internals.
+   * @throws {DOMException} A `NotSupportedError` when called more than once,
+   *   as with the native method.
+   *
+   * @description
+   * The constructor may already have attached the internals, to find a
+   * closed declarative shadow root or for a form associated class. The
+   * first call returns those, so subclasses and consumers can still call
+   * `attachInternals()` once, as they would on any custom element.
+   *
+   * @example
+   * constructor() {
+   *   super()
+   *   this.attachInternals().role = 'toolbar'
+   * }
+   */
+  attachInternals() {
+    if (this.#internalsClaimed)
+      return super.attachInternals()
+
+    this.#internalsClaimed = true
+    this.#internals ??= super.attachInternals()
+
+    return this.#internals
+  }
+
+  /**
+   * The registry of live component instances.
+   *
+   * @type {InstanceRegistry}
+   *
+   * @description
+   * Every component registers itself here when it is constructed. The
+   * registry holds instances weakly and can look them up by `instanceId`
+   * or by tag, which is mostly useful from the browser console and in
+   * tools such as `<aqua-inspector>`.
+   *
+   * @example
+   * WebComponentBase.instances.byTag('aqua-button').length
+   */
+  static get instances() {
+    return instances
+  }
+
+  /**
+   * The registry of design-token themes.
+   *
+   * @type {ThemeRegistry}
+   *
+   * @description
+   * Components read their colors from theme tokens, so applying a theme
+   * restyles every component in the themed element, shadow roots included.
+   *
+   * @example
+   * WebComponentBase.themes.apply('graphite')
+   */
+  static get themes() {
+    return themes
+  }
+
+  /**
+   * Checks a value against an `attributeSchema` rule.
+   *
+   * @param {string} value - The value to check.
+   * @param {Object} rule - The rule.
+   * @returns {boolean} `true` if the value passes every check of the rule.
+   *
+   * @example
+   * WebComponentBase.matchesRule('Gray', { values: ['gray'], ignoreCase: true })
+   * // true
+   */
+  static matchesRule(value, rule) {
+    if (rule.values) {
+      const compare = rule.ignoreCase ? value.toLowerCase() : value
+      const allowed = rule.ignoreCase
+        ? rule.values.map(allowed => String(allowed).toLowerCase())
+        : rule.values.map(String)
+
+      if (!allowed.includes(compare))
+        return false
+    }
+
+    if (rule.pattern) {
+      const { source, flags } = rule.pattern
+
+      if (!new RegExp(`^(?:${source})$`, flags).test(value))
+        return false
+    }
+
+    if (rule.validate && !rule.validate(value))
+      return false
+
+    return true
+  }
+
   /**
    * Callback function invoked when an observed attribute of the custom element
    * has been added, removed, updated, or replaced.
@@ -140,8 +448,19 @@ export class WebComponentBase extends HTMLElement {
    *    `attributeHandlers` Map.
    * 3. If a handler is found, it calls the handler with the `oldValue` and
    *    `newValue` as arguments. If an error occurs during the handler
-   *    execution, it logs the error to the console.
-   * 4. Calls the `render` method to update the component's rendering.
+   *    execution, it is reported with `reportError` in the `'attribute'`
+   *    phase.
+   * 4. Calls `requestUpdate` so the component renders once the current
+   *    batch of changes has been applied.
+   *
+   * Attributes that belong to a property declared in `static get properties()`
+   * are coerced to the declared type first and stored under the property
+   * name; their handlers receive the coerced old and new values.
+   *
+   * In development mode (see `WebComponentBase.devMode`) the new value is
+   * first checked with `validateAttribute` against the component's
+   * `attributeSchema`. Invalid values are still handed on as before; the
+   * check only warns.
    *
    * @example
    * // Assuming the component has an observed attribute 'color'
@@ -152,7 +471,7 @@ export class WebComponentBase extends HTMLElement {
    * // 1. Updates the internal state with the new value 'blue'
    * // 2. Finds the 'onColorChanged' method
    * // 3. Calls 'onColorChanged('red', 'blue')'
-   * // 4. Calls 'render()' to update the component's rendering
+   * // 4. Calls 'requestUpdate('color')' to schedule a render
    *
    * @example
    * // Subclassing WebComponentBase with a custom element that expected
@@ -170,6 +489,27 @@ export class WebComponentBase extends HTMLElement {
    * }
    */
   attributeChangedCallback(name, oldValue, newValue) {
+    if (this.#reflecting)
+      return
+
+    if (devMode)
+      this.validateAttribute(name, newValue)
+
+    const declared = this.constructor.propertyForAttribute(name)
+
+    if (declared) {
+      const [property, options] = declared
+      this.#updateProperty(
+        property,
+        WebComponentBase.fromAttribute(newValue, options),
+        false,
+        true
+      )
+      this.requestUpdate(property)
+      return
+    }
+
+    const previous = this.#state.get(name)
     this.#state.set(name, newValue)
 
     const property = String(name).toLowerCase()
@@ -185,12 +525,15 @@ export class WebComponentBase extends HTMLElement {
       try {
         handler(oldValue, newValue)
       }
-      catch (ignore) {
-        console.error(ignore)
+      catch (error) {
+        this.reportError(error, 'attribute')
       }
     }
 
-    this.render()
+    if (!Object.is(previous, newValue))
+      this.#stateChanged(name, previous, newValue)
+
+    this.requestUpdate(name)
   }
 
   /**
@@ -238,11 +581,21 @@ export class WebComponentBase extends HTMLElement {
         if (self.observedAttributes.includes(property)) {
           self.removeAttribute(property)
         }
-        return target.delete(property)
+
+        const oldValue = target.get(property)
+        const deleted = target.delete(property)
+
+        if (deleted && oldValue !== undefined)
+          self.#stateChanged(property, oldValue, undefined)
+
+        return deleted
       },
       get(target, property, receiver) { return self.getState(property) },
       has(target, property) { return self.getAttributeNames().includes(property) },
-      set(target, property, value, receiver) { self.setState(property, value, true) },
+      set(target, property, value, receiver) {
+        self.setState(property, value, true)
+        return true
+      },
     })
   }
 
@@ -250,32 +603,52 @@ export class WebComponentBase extends HTMLElement {
    * Builds the styles for the web component.
    *
    * @description
-   * This method creates a new `<style>` element and sets its `textContent`
-   * to the result of calling the `styles()` method. It then appends this
-   * `<style>` element to the component's `shadowRoot`.
-   *
-   * Next, it creates a new instance of the `StyleManager` class, passing in
-   * the `<style>` element and `true` as arguments. The `StyleManager` is
-   * responsible for managing the component's styles and applying CSS
-   * variables.
+   * The CSS returned by `styles()` is the same for every instance of a
+   * component, so it is parsed only once per class into a `CSSStyleSheet`
+   * that every instance's `shadowRoot` adopts. `styles()` is therefore
+   * called for the first instance only and must not depend on instance
+   * state; per-instance differences belong in CSS variables.
+   *
+   * Each instance also gets a small sheet of its own, stored in
+   * `this.stylesheet`, which is adopted after the shared one. A new
+   * `StyleManager` is created for it with `true` as its second argument, so
+   * the variables it manages are written to a `:host` rule that applies to
+   * this instance only and overrides the shared defaults.
    *
    * Finally, it calls the `applyVariablesTo()` method on the `styleManager`
    * instance, passing in `this` (the component instance) as an argument.
-   * This applies the component's CSS variables to the component itself.
+   * This exposes the component's CSS variables as `this.variables`.
+   *
+   * In browsers that cannot adopt constructable stylesheets, a `<style>`
+   * element containing the result of `styles()` is created for, and
+   * appended to the `shadowRoot` of, every instance instead, and that
+   * element is managed by the `StyleManager`.
    *
    * @example
    * // Within the component's constructor or lifecycle method
    * this.buildStyles()
    *
-   * // This will create a `<style>` element with the component's styles
-   * // and append it to the component's `shadowRoot`. It will also create
-   * // a `StyleManager` instance and apply the component's CSS variables
-   * // to the component itself.
+   * // 300 <aqua-trafficlight> elements share one parsed copy of their CSS
+   * // while each can still set its own --size through this.variables
    */
   buildStyles() {
-    this.stylesheet = document.createElement('style')
-    this.stylesheet.textContent = this.styles()
-    this.shadowRoot.append(this.stylesheet)
+    if (supportsAdoptedStyleSheets) {
+      let shared = sharedSheetsByClass.get(this.constructor)
+
+      if (!shared) {
+        shared = new CSSStyleSheet()
+        shared.replaceSync(this.styles())
+        sharedSheetsByClass.set(this.constructor, shared)
+      }
+
+      this.stylesheet = new CSSStyleSheet()
+      this.#shadowRoot.adoptedStyleSheets = [shared, this.stylesheet]
+    }
+    else {
+      this.stylesheet = document.createElement('style')
+      this.stylesheet.textContent = this.styles()
+      this.#shadowRoot.append(this.stylesheet)
+    }
 
     this.styleManager = new StyleManager(this.stylesheet, true)
     this.styleManager.applyVariablesTo(this)
@@ -287,7 +660,8 @@ export class WebComponentBase extends HTMLElement {
    * @description
    * This method is responsible for constructing the DOM structure of the web
    * component. It first removes all existing child nodes from the component's
-   * `shadowRoot`. Then, it appends the component's stylesheet (`this.stylesheet`)
+   * `shadowRoot`. Then, when the component's stylesheet (`this.stylesheet`)
+   * is a `<style>` element rather than an adopted stylesheet, it appends it
    * to the `shadowRoot`.
    *
    * Next, it creates a temporary `div` element (`storage`) and sets its
@@ -298,28 +672,112 @@ export class WebComponentBase extends HTMLElement {
    * This method effectively clears the existing DOM structure of the component
    * and rebuilds it based on the template returned by the `template()` method.
    *
+   * When `template()` returns the result of an `html` tagged template instead
+   * of a string, the result is rendered into the `shadowRoot` after the
+   * stylesheet. Such components are re-rendered on every update; only the
+   * bindings whose values changed are written to the DOM.
+   *
+   * A component rendered on the server (see `renderToString` in `ssr.js`)
+   * arrives with its shadow root already attached and filled. When its
+   * `template()` returns a string, that content is kept as it is and only
+   * the server's `<style>` element is replaced by the component's own
+   * stylesheet, so nothing is re-created or repainted. Content rendered by
+   * an `html` tagged template is replaced, since its bindings have to be
+   * recreated.
+   *
    * @example
    * // Within the component's constructor or lifecycle method
    * this.buildDOM()
    *
    * // This will remove all existing child nodes from the component's `shadowRoot`
-   * // Append the component's stylesheet to the `shadowRoot`
+   * // Append the component's stylesheet to the `shadowRoot`, if it is a <style>
    * // Construct the DOM structure based on the template returned by `template()`
    * // And append the resulting nodes to the `shadowRoot`
    */
   buildDOM() {
     const storage = document.createElement('div')
+    const content = this.template()
+    const hydrating = this.#hydrating && !(content instanceof TemplateResult)
+
+    this.#hydrating = false
 
-    for (let child of this.shadowRoot.childNodes) {
-      this.shadowRoot.removeChild(child)
+    for (const child of [...this.#shadowRoot.childNodes]) {
+      if (!hydrating || child.localName === 'style')
+        this.#shadowRoot.removeChild(child)
     }
 
-    this.shadowRoot.append(this.stylesheet)
-    storage.innerHTML = this.template()
+    if (this.stylesheet instanceof Node)
+      this.#shadowRoot.prepend(this.stylesheet)
 
-    for (const child of storage.children) {
-      this.shadowRoot.append(child)
+    if (hydrating)
+      return
+
+    if (content instanceof TemplateResult) {
+      this.#reactiveTemplate = true
+      renderTemplate(content, this.#shadowRoot, { host: this })
+      return
     }
+
+    storage.innerHTML = content
+    this.#shadowRoot.append(...storage.children)
+  }
+
+  /**
+   * Checks whether the component satisfies its validity constraints.
+   *
+   * @returns {boolean} `true` if the component is valid or is not form
+   *   associated, `false` otherwise.
+   *
+   * @description
+   * Delegates to `ElementInternals.checkValidity()`, which fires an
+   * `invalid` event at the component when it is not valid.
+   *
+   * @example
+   * if (!field.checkValidity()) {
+   *   // handle the invalid field
+   * }
+   */
+  checkValidity() {
+    return this.#formInternals?.checkValidity() ?? true
+  }
+
+  /**
+   * Defines a state entry derived from other state entries.
+   *
+   * @param {string} key - The state key to store the derived value under.
+   * @param {string|Array<string>} dependencies - The state keys the value is
+   *   derived from.
+   * @param {Function} compute - Called with the values of `dependencies`, in
+   *   order, and `this` bound to the component; returns the derived value.
+   * @returns {*} The value computed right away.
+   *
+   * @description
+   * The value is stored in the component's state like any other entry, so
+   * it can be read with `getState`, through `state`, watched with `watch`
+   * and used when rendering. Whenever a dependency changes it is
+   * recomputed, and when the result differs it is treated as a change of
+   * its own: watchers are called, a `state-change` event is emitted and a
+   * render is requested. Computed entries can depend on other computed
+   * entries. Values written to a computed key directly are replaced the
+   * next time a dependency changes.
+   *
+   * @example
+   * constructor() {
+   *   super()
+   *   this.computed('interactive', ['disabled', 'hidden'],
+   *     (disabled, hidden) => !disabled && !hidden
+   *   )
+   * }
+   */
+  computed(key, dependencies, compute) {
+    this.#computed.set(key, {
+      dependencies: [dependencies].flat(),
+      compute,
+    })
+
+    this.#recompute(key)
+
+    return this.#state.get(key)
   }
 
   /**
@@ -329,9 +787,21 @@ export class WebComponentBase extends HTMLElement {
    * 1. Attaches event listeners to the custom element by calling the
    *    `attachEventListeners` method.
    * 2. Executes any queued commands that were added to the `queuedCommands`
-   *    array before the element was connected to the DOM. If any command
-   *    throws an error, it is caught and ignored.
-   * 3. Renders the custom element by calling the `render` method.
+   *    array before the element was connected to the DOM. Errors thrown by
+   *    the commands, whether queued with `queueCommand` or pushed onto the
+   *    array directly, are reported with `reportError` in the
+   *    `'queued-command'` phase.
+   * 3. Requests the context values registered with `consume` from the
+   *    nearest providers, and answers consumers that were waiting for the
+   *    values this component provides.
+   * 4. Calls `hostConnected` on each controller added with `addController`.
+   * 5. Resolves the promise returned by `whenConnected`.
+   * 6. Schedules a render of the custom element by calling the
+   *    `requestUpdate` method. The first time, this is the render that
+   *    was held back: changes made before the component was connected,
+   *    such as in its constructor, are all rendered then, so `render`,
+   *    `firstUpdated` and `updated` never run on a detached element that
+   *    was never connected.
    *
    * @example
    * // When the custom element is inserted into the DOM
@@ -340,18 +810,85 @@ export class WebComponentBase extends HTMLElement {
    * // This will:
    * // 1. Attach event listeners to the custom element
    * // 2. Execute any queued commands
-   * // 3. Render the custom element
+   * // 3. Request and provide context values
+   * // 4. Connect controllers
+   * // 5. Resolve whenConnected()
+   * // 6. Schedule a render of the custom element
    */
   connectedCallback() {
+    this.#wasConnected = true
     this.attachEventListeners()
 
     let command = null
     while ((command = this.queuedCommands.shift())) {
       try { command() }
-      catch (ignore) { /* moving on */ }
+      catch (error) { this.reportError(error, 'queued-command') }
+    }
+
+    for (const key of this.#provisions.keys())
+      retryContextRequests(key)
+
+    for (const [key, consumers] of this.#consumers) {
+      for (const consumer of consumers)
+        this.#requestContext(key, consumer)
+    }
+
+    this.#notifyControllers('hostConnected')
+    this.#connected.resolve(this)
+
+    if (this.#heldUpdate) {
+      const resolve = this.#heldUpdate
+
+      this.#heldUpdate = null
+      queueMicrotask(() => this.#performUpdate(resolve))
+    }
+    else {
+      this.requestUpdate()
     }
+  }
+
+  /**
+   * Receives a context value from the nearest ancestor providing it.
+   *
+   * @param {string} key - The context key, such as `'size'`.
+   * @param {Function} callback - Called with the provided value, and `this`
+   *   bound to the component, when the value is first received and each
+   *   time the provider changes it.
+   * @returns {Function} A function that stops consuming the value.
+   *
+   * @description
+   * While connected, the component emits a bubbling, composed
+   * `context-request` event whose `detail` holds the `key` and a
+   * `callback`. The first ancestor that provides the key, in the light DOM
+   * or outside any number of enclosing shadow roots, stops the event and
+   * answers it (see `provide`). When no ancestor provides the key yet, the
+   * request is retried once one does.
+   *
+   * The request is made again each time the component is connected, so a
+   * moved component follows its new provider. Calling this before the
+   * component is connected is fine; the request waits for the connection.
+   *
+   * @example
+   * constructor() {
+   *   super()
+   *   this.consume('density', density => this.setState('density', density))
+   * }
+   */
+  consume(key, callback) {
+    const consumer = { callback, retry: null, unsubscribe: null }
+
+    if (!this.#consumers.has(key))
+      this.#consumers.set(key, new Set())
+
+    this.#consumers.get(key).add(consumer)
+
+    if (this.isConnected)
+      this.#requestContext(key, consumer)
 
-    this.render()
+    return () => {
+      this.#releaseContext(consumer)
+      this.#consumers.get(key)?.delete(consumer)
+    }
   }
 
   /**
@@ -366,6 +903,11 @@ export class WebComponentBase extends HTMLElement {
    * attached to the custom element are properly removed, preventing memory
    * leaks and potential issues with stale event handlers.
    *
+   * Controllers have their `hostDisconnected` called. Once disconnected,
+   * `whenConnected` hands out a new promise that
+   * resolves when the element is connected again, and the component stops
+   * receiving context values until it is connected again.
+   *
    * @example
    * // When the custom element is removed from the DOM
    * customElement.disconnectedCallback()
@@ -375,6 +917,13 @@ export class WebComponentBase extends HTMLElement {
    */
   disconnectedCallback() {
     this.removeEventListeners()
+    this.#notifyControllers('hostDisconnected')
+    this.#connected = deferred()
+
+    for (const consumers of this.#consumers.values()) {
+      for (const consumer of consumers)
+        this.#releaseContext(consumer)
+    }
   }
 
   /**
@@ -384,6 +933,8 @@ export class WebComponentBase extends HTMLElement {
    * @param {Object} [detail={}] - An object containing additional data to
    *   pass with the event.
    * @param {Object} [options={}] - Additional options to configure the event.
+   * @returns {boolean} `false` if the event is cancelable and a listener
+   *   called `preventDefault()`, `true` otherwise.
    *
    * @description
    * This method creates a new `CustomEvent` with the specified `eventName`,
@@ -403,7 +954,8 @@ export class WebComponentBase extends HTMLElement {
    * this.emit('my-event', { data: 'some data' })
    *
    * // Emit a custom event with additional options
-   * this.emit('my-event', {}, { cancelable: true })
+   * if (!this.emit('my-event', {}, { cancelable: true }))
+   *   return // a listener prevented the default behavior
    */
   emit(eventName, detail = {}, options = {}) {
     const event = new CustomEvent(eventName, {
@@ -412,7 +964,181 @@ export class WebComponentBase extends HTMLElement {
       detail,
       ...options
     })
-    this.dispatchEvent(event)
+    return this.dispatchEvent(event)
+  }
+
+  /**
+   * Called after the component renders for the first time.
+   *
+   * @param {Set<string>} changedKeys - The keys changed since the render was
+   *   requested.
+   *
+   * @description
+   * Runs once per instance, after `render` and before `updated`, which
+   * makes it the place for work that needs the rendered shadow DOM, such
+   * as focusing an element or measuring it. By default, this method does
+   * nothing.
+   *
+   * @example
+   * firstUpdated() {
+   *   this.renderRoot.querySelector('input').focus()
+   * }
+   */
+  firstUpdated(changedKeys) {
+  }
+
+  /**
+   * Callback function invoked when a form associated component is
+   * associated with, or disassociated from, a form.
+   *
+   * @param {HTMLFormElement|null} form - The new form owner, or `null`.
+   *
+   * @description
+   * Only called for classes whose static `formAssociated` is true. By
+   * default, this method does nothing. Subclasses can override it to react
+   * to a change of form owner.
+   *
+   * @example
+   * formAssociatedCallback(form) {
+   *   this.setState('inForm', !!form, true)
+   * }
+   */
+  formAssociatedCallback(form) {
+  }
+
+  /**
+   * Callback function invoked when a form associated component is disabled
+   * or enabled by an ancestor, such as a disabled `<fieldset>`.
+   *
+   * @param {boolean} disabled - Whether the component is now disabled.
+   *
+   * @description
+   * Only called for classes whose static `formAssociated` is true. By
+   * default, this method does nothing. Subclasses can override it to show
+   * a disabled appearance and to ignore interaction.
+   *
+   * @example
+   * formDisabledCallback(disabled) {
+   *   this.setState('disabled', disabled, true)
+   * }
+   */
+  formDisabledCallback(disabled) {
+  }
+
+  /**
+   * Callback function invoked when the form owning a form associated
+   * component is reset.
+   *
+   * @description
+   * Only called for classes whose static `formAssociated` is true. By
+   * default, this method does nothing. Subclasses holding a value should
+   * override it to restore their default value and call `setFormValue`.
+   *
+   * @example
+   * formResetCallback() {
+   *   this.value = this.getAttribute('value') ?? ''
+   *   this.setFormValue(this.value)
+   * }
+   */
+  formResetCallback() {
+  }
+
+  /**
+   * Callback function invoked when the browser restores the state of a
+   * form associated component, e.g. after navigating back to the page or
+   * when autofilling.
+   *
+   * @param {*} state - The state passed to `setFormValue`, or the value when
+   *   no separate state was given.
+   * @param {'restore'|'autocomplete'} mode - Why the state is restored.
+   *
+   * @description
+   * Only called for classes whose static `formAssociated` is true. By
+   * default, this method does nothing.
+   *
+   * @example
+   * formStateRestoreCallback(state) {
+   *   this.value = state
+   * }
+   */
+  formStateRestoreCallback(state, mode) {
+  }
+
+  /**
+   * Lists the event listeners registered with `on`.
+   *
+   * @returns {Array<{ eventName: string, selector: string|null, handler: Function|Object, options: Object }>}
+   *   One entry per registered listener, whether or not it is currently
+   *   attached.
+   *
+   * @description
+   * Meant for debugging and tooling such as `<aqua-inspector>`; the
+   * entries are copies, so changing them has no effect.
+   *
+   * @example
+   * button.getListenerEntries()
+   * // [{ eventName: 'click', selector: null, handler: ƒ, options: {} }]
+   */
+  getListenerEntries() {
+    const entries = []
+
+    for (const [eventName, list] of this.#listeners) {
+      for (const { selector, handler, options } of list)
+        entries.push({ eventName, selector, handler, options: { ...options } })
+    }
+
+    return entries
+  }
+
+  /**
+   * Returns the parts the component exposes for styling with `::part()`.
+   *
+   * @returns {Map<string, Array<Element>>} The elements of each part, keyed
+   *   by the name a stylesheet outside the component uses for it.
+   *
+   * @description
+   * Elements in the component's shadow DOM with a `part` attribute are
+   * listed under each of its space separated names. Parts that nested
+   * components forward with `exportparts` are listed under their exported
+   * names as well, so the result shows everything `::part()` can reach:
+   *
+   * ```html
+   * <!-- in the template of a toolbar -->
+   * <aqua-button exportparts="content: button-label"></aqua-button>
+   * ```
+   *
+   * lists the nested button's `content` part as `button-label`.
+   *
+   * @example
+   * [...button.getParts().keys()] // ['button', 'chrome', 'content']
+   *
+   * @example
+   * // Styling the part from the page
+   * aqua-button::part(content) { font-family: 'Lucida Grande'; }
+   */
+  getParts() {
+    const parts = new Map()
+    const add = (name, elements) => {
+      parts.set(name, [...(parts.get(name) ?? []), ...elements])
+    }
+
+    for (const element of this.#shadowRoot.querySelectorAll('[part]')) {
+      for (const name of element.getAttribute('part').split(/\s+/).filter(Boolean))
+        add(name, [element])
+    }
+
+    for (const element of this.#shadowRoot.querySelectorAll('[exportparts]')) {
+      const nested = element.getParts?.() ?? new Map()
+
+      for (const mapping of element.getAttribute('exportparts').split(',')) {
+        const [inner, outer = inner] = mapping.split(':').map(name => name.trim())
+
+        if (inner && nested.has(inner))
+          add(outer, nested.get(inner))
+      }
+    }
+
+    return parts
   }
 
   /**
@@ -492,14 +1218,50 @@ export class WebComponentBase extends HTMLElement {
   }
 
   /**
-   * Initializes the component's state with the values of its observed attributes.
+   * Checks whether content has been provided for a slot.
+   *
+   * @param {string} [name=''] - The slot name; an empty string, the
+   *   default, checks the default slot.
+   * @returns {boolean} `true` if the component has light DOM content for
+   *   the slot.
    *
    * @description
-   * This method iterates over the list of observed attributes defined by the
-   * component's constructor. For each observed attribute, it retrieves the
-   * attribute's value from the component's DOM element and sets it as the
+   * The check is made against the component's own children rather than
+   * against a `<slot>` element, so it gives the right answer before the
+   * component renders, and for slots the template does not include. Child
+   * elements count for the slot named by their `slot` attribute; text
+   * counts for the default slot unless it is only whitespace.
+   *
+   * @example
+   * // <aqua-button><img slot="icon" src="save.svg"> Save</aqua-button>
+   * button.hasSlotted('icon') // true
+   * button.hasSlotted()       // true
+   * button.hasSlotted('menu') // false
+   */
+  hasSlotted(name = '') {
+    return [...this.childNodes].some(node => {
+      if (node.nodeType === Node.ELEMENT_NODE)
+        return (node.getAttribute('slot') ?? '') === name
+
+      return name === '' &&
+        node.nodeType === Node.TEXT_NODE &&
+        node.textContent.trim() !== ''
+    })
+  }
+
+  /**
+   * Initializes the component's state with the values of its observed attributes.
+   *
+   * @description
+   * This method iterates over the list of observed attributes defined by the
+   * component's constructor. For each observed attribute, it retrieves the
+   * attribute's value from the component's DOM element and sets it as the
    * corresponding property in the component's state.
    *
+   * Declared properties (see `static get properties()`) are seeded first,
+   * either from their coerced attribute value or from their declared
+   * `default` when the attribute is absent.
+   *
    * @example
    * // Assuming the component has observed attributes 'count' and 'name'
    * // with initial values '0' and 'John', respectively
@@ -507,8 +1269,19 @@ export class WebComponentBase extends HTMLElement {
    * // this.#state = new Map([['count', '0'], ['name', 'John']])
    */
   initializeAttributes() {
+    const declarations = this.constructor.propertyDeclarations
+
+    for (const [property, options] of declarations) {
+      this.#state.set(property, (
+        options.attribute && this.hasAttribute(options.attribute)
+          ? WebComponentBase.fromAttribute(this.getAttribute(options.attribute), options)
+          : WebComponentBase.defaultFor(options)
+      ))
+    }
+
     this.constructor.observedAttributes.forEach(attr => {
-      this.#state.set(attr, this.getAttribute(attr))
+      if (!this.constructor.propertyForAttribute(attr))
+        this.#state.set(attr, this.getAttribute(attr))
     })
   }
 
@@ -530,21 +1303,59 @@ export class WebComponentBase extends HTMLElement {
   }
 
   /**
-   * Removes an event listener from the component or its shadow DOM elements.
+   * Starts observing the `<slot>` elements of the component's shadow root.
+   *
+   * @description
+   * A single `slotchange` listener is attached to the shadow root; it
+   * catches the event for every slot, whether it came from a string
+   * template, an `html` template or was added later. Each event calls
+   * `onSlotChange` with the slot's name and flattened assigned nodes, and
+   * then requests a render keyed `slot:<name>` (`slot:` alone for the
+   * default slot).
+   *
+   * Called once from the constructor; the listener lives as long as the
+   * shadow root does.
+   */
+  observeSlots() {
+    this.#shadowRoot.addEventListener('slotchange', event => {
+      const slot = event.composedPath().find(node => (
+        node instanceof HTMLSlotElement && node.getRootNode() === this.#shadowRoot
+      ))
+
+      if (!slot)
+        return
+
+      this.onSlotChange(slot.name, slot.assignedNodes({ flatten: true }))
+      this.requestUpdate(`slot:${slot.name}`)
+    })
+  }
+
+  /**
+   * Removes event listeners registered with `on`.
    *
-   * @param {string} eventName - The name of the event to remove the listener for.
-   * @param {string|Function} [selector] - A CSS selector or a handler function.
-   * @param {Function} [handler] - The event handler function to remove.
-   * @param {Object} [options] - Optional options for the event listener.
+   * @param {string} eventName - The name of the event to remove listeners for.
+   * @param {string|Function|Object} [selector] - A CSS selector, or the
+   *   handler when no selector is given.
+   * @param {Function|Object} [handler] - The event handler to remove.
+   * @param {Object|boolean} [options] - The options, or capture flag, the
+   *   listener was added with.
+   * @returns {number} The number of listeners that were removed.
    *
    * @description
-   * This method removes an event listener from the component or its shadow DOM
-   * elements. If a selector is provided, it removes the listener from all elements
-   * matching the selector within the component's shadow root. If no selector is
-   * provided, it removes the listener from the component itself.
+   * Every registered listener for `eventName` that matches all of the
+   * given criteria is removed; criteria that are left out match anything.
+   * So `off('click', handler)` removes `handler` whatever selector it was
+   * registered with, `off('click', '.item')` removes every click listener
+   * for `.item`, and `off('click')` removes every click listener. When
+   * `options` are given, only listeners with the same `capture` setting are
+   * removed.
+   *
+   * If the first argument after the event name is a function (or an object
+   * with a `handleEvent` method), it is treated as the handler, and the
+   * next argument is treated as the options object.
    *
-   * If the first argument is a function, it is treated as the handler, and the
-   * second argument is treated as the options object.
+   * The function returned by `on` removes exactly the listener it was
+   * returned for and is usually the simpler choice.
    *
    * @example
    * // Remove a click event listener from the component
@@ -557,109 +1368,161 @@ export class WebComponentBase extends HTMLElement {
    * this.off('input', handleInput, { capture: true })
    */
   off(eventName, selector, handler, options) {
-    if (typeof selector === 'function') {
-      options = handler
-      handler = selector
-      selector = null
-    }
+    ({ selector, handler, options } = normalizeListenerArguments(
+      selector, handler, options
+    ))
 
-    const listeners = this.#listeners.get(eventName)
-    if (listeners) {
-      const index = listeners.findIndex(l =>
-        l.selector === selector && l.handler === handler
-      )
-      if (index !== -1) {
-        listeners.splice(index, 1)
-        if (this.isConnected) {
-          if (selector) {
-            this.shadowRoot.querySelectorAll(selector).forEach(element => {
-              element.removeEventListener(eventName, handler, options)
-            })
-          }
-          else {
-            this._removeEventListener.call(this, eventName, handler, options)
-          }
-        }
+    const entries = [...(this.#listeners.get(eventName) ?? [])]
+    const capture = options === undefined ? undefined : !!options.capture
+    let removed = 0
+
+    for (const entry of entries) {
+      if (
+        (selector === undefined || entry.selector === selector) &&
+        (handler === undefined || entry.handler === handler) &&
+        (capture === undefined || !!entry.options.capture === capture)
+      ) {
+        this.#removeEntry(eventName, entry)
+        removed++
       }
     }
+
+    return removed
   }
 
   /**
-   * Adds an event listener to the component or its shadow DOM elements.
+   * Adds an event listener to the component or, by delegation, to the
+   * elements of its shadow DOM.
    *
    * @param {string} eventName - The name of the event to listen for.
-   * @param {string|Function} [selector] - A CSS selector or a handler function.
-   * @param {Function} [handler] - The event handler function to add.
-   * @param {Object} [options] - Optional options for the event listener.
+   * @param {string|Function|Object} [selector] - A CSS selector, or the
+   *   handler when no selector is given.
+   * @param {Function|Object} [handler] - The event handler function, or an
+   *   object with a `handleEvent` method.
+   * @param {Object|boolean} [options] - Listener options, or a capture flag.
+   * @param {boolean} [options.capture] - Listen in the capture phase.
+   * @param {boolean} [options.once] - Remove the listener after the first
+   *   time it is called.
+   * @param {boolean} [options.passive] - Promise never to call
+   *   `preventDefault()`.
+   * @param {AbortSignal} [options.signal] - Remove the listener when the
+   *   signal is aborted.
+   * @returns {Function} A function that removes the listener.
    *
    * @description
-   * This method adds an event listener to the component or its shadow DOM
-   * elements. If a selector is provided, it adds the listener to all elements
-   * matching the selector within the component's shadow root. If no selector is
-   * provided, it adds the listener to the component itself.
+   * Without a selector, the handler is attached to the component itself and
+   * is called with `this` set to the component.
+   *
+   * With a selector, the handler is delegated: it is called for events whose
+   * composed path, within this component's shadow root, passes through an
+   * element matching the selector. That works for elements that did not
+   * exist when the listener was registered, and for events from slotted
+   * or nested shadow content that cross the element. The handler is called
+   * with `this` set to the matching element, which is also passed as the
+   * second argument. Events that do not bubble, such as `focus` or
+   * `mouseenter`, are delegated in the capture phase.
    *
-   * If the first argument is a function, it is treated as the handler, and the
-   * second argument is treated as the options object.
+   * Registering the same handler for the same event, selector and capture
+   * phase twice has no effect, like the native `addEventListener`.
+   *
+   * If the first argument after the event name is a function (or an object
+   * with a `handleEvent` method), it is treated as the handler, and the
+   * next argument is treated as the options object.
    *
    * @example
    * // Add a click event listener to the component
-   * this.on('click', handleClick)
+   * const stop = this.on('click', handleClick)
+   * stop()
    *
-   * // Add a click event listener to elements with the class 'button'
-   * this.on('click', '.button', handleButtonClick)
+   * // Handle clicks on any current or future list item
+   * this.on('click', 'li.item', function (event, item) {
+   *   console.log(item.dataset.id)
+   * })
    *
-   * // Add an event listener with options
-   * this.on('input', handleInput, { capture: true })
+   * // Listen once, or until the controller is aborted
+   * this.on('input', handleInput, { once: true })
+   * this.on('keydown', '.field', handleKey, { signal: controller.signal })
    */
   on(eventName, selector, handler, options) {
-    if (typeof selector === 'function') {
-      options = handler
-      handler = selector
-      selector = null
-    }
+    ({ selector, handler, options } = normalizeListenerArguments(
+      selector, handler, options
+    ))
+
+    options = options ?? {}
+    selector = selector ?? null
+
+    if (!handler || options.signal?.aborted)
+      return () => {}
 
     if (!this.#listeners.has(eventName)) {
       this.#listeners.set(eventName, [])
     }
 
-    this.#listeners.get(eventName).push({ selector, handler, options })
+    const entries = this.#listeners.get(eventName)
+    const existing = entries.find(entry => (
+      entry.selector === selector &&
+      entry.handler === handler &&
+      !!entry.options.capture === !!options.capture
+    ))
 
-    if (this.isConnected) {
-      if (selector) {
-        this.shadowRoot.querySelectorAll(selector).forEach(element => {
-          element.addEventListener(eventName, handler, options)
-        })
-      }
-      else {
-        this._addEventListener.call(this, eventName, handler, options)
-      }
-    }
+    if (existing)
+      return existing.unsubscribe
+
+    const entry = { selector, handler, options }
+    const invoke = typeof handler === 'function'
+      ? (context, ...args) => handler.call(context, ...args)
+      : (context, ...args) => handler.handleEvent(...args)
+
+    entry.unsubscribe = () => this.#removeEntry(eventName, entry)
+    entry.listener = selector
+      ? (event, element) => {
+          if (options.once) entry.unsubscribe()
+          invoke(element, event, element)
+        }
+      : event => {
+          if (options.once) entry.unsubscribe()
+          invoke(this, event)
+        }
+
+    entries.push(entry)
+
+    options.signal?.addEventListener('abort', entry.unsubscribe, { once: true })
+
+    if (this.isConnected)
+      this.#attachEntry(eventName, entry)
+
+    return entry.unsubscribe
   }
 
   /**
-   * Callback function invoked when the content of a `<slot>` element changes.
+   * Callback function invoked when the nodes assigned to one of the
+   * component's `<slot>` elements change.
    *
-   * @param {Node[]} elements - An array of nodes that were added or removed
-   *   from the `<slot>` element.
+   * @param {string} slotName - The name of the slot; an empty string for
+   *   the default slot.
+   * @param {Node[]} assignedNodes - The nodes now assigned to the slot,
+   *   flattened through any nested slots.
    *
    * @description
-   * This method is called when the content of a `<slot>` element within the
-   * component's shadow DOM changes. It receives an array of nodes that were
-   * added or removed from the `<slot>` element.
+   * This method is called by the `slotchange` listener that `observeSlots`
+   * attaches to the shadow root, including when content is first assigned
+   * after the component connects. A render is requested right after it
+   * returns, so templates that depend on `hasSlotted` stay current.
    *
-   * By default, this method does nothing. Subclasses can override this method
-   * to perform custom logic when the content of a `<slot>` element changes.
+   * By default, this method does nothing. Subclasses can override this
+   * method to perform custom logic when the content of a `<slot>` element
+   * changes.
    *
    * @example
    * // Override the `onSlotChange` method in a subclass
    * class MyComponent extends WebComponentBase {
-   *   onSlotChange(elements) {
-   *     // Perform custom logic here
-   *     console.log('Slot content changed:', elements)
+   *   onSlotChange(slotName, assignedNodes) {
+   *     if (slotName === 'icon')
+   *       this.setState('hasIcon', assignedNodes.length > 0, true)
    *   }
    * }
    */
-  onSlotChange(elements) {
+  onSlotChange(slotName, assignedNodes) {
   }
 
   /**
@@ -702,68 +1565,185 @@ export class WebComponentBase extends HTMLElement {
     }
   }
 
+  /**
+   * The global hook that receives every error reported by a component.
+   *
+   * @type {Function|null}
+   *
+   * @description
+   * When set, the function is called with the report of each error
+   * reported through `reportError`, by every component, after the
+   * `component-error` event has been emitted. This is the place to forward
+   * errors to an app's logging or telemetry. Setting it also keeps reported
+   * errors out of the console. Setting it to `null` removes the hook.
+   *
+   * @example
+   * WebComponentBase.onError = ({ tag, instanceId, phase, error }) => {
+   *   logger.error({ tag, instanceId, phase }, error)
+   * }
+   */
+  static get onError() {
+    return errorHandler
+  }
+
+  static set onError(handler) {
+    errorHandler = typeof handler === 'function' ? handler : null
+  }
+
+  /**
+   * Provides a context value to descendant components.
+   *
+   * @param {string} key - The context key, such as `'size'`.
+   * @param {*} value - The value handed to consumers of `key`.
+   *
+   * @description
+   * The component answers the `context-request` events that descendants
+   * emit through `consume` for `key`, including those coming from inside
+   * nested shadow roots, and stops them there so that the nearest provider
+   * wins. Consumers stay subscribed: calling this again with a different
+   * value passes it to every current consumer. A component never answers
+   * its own requests, so it can consume a key from further up the tree
+   * while providing the same key to its descendants.
+   *
+   * @example
+   * class AquaToolbar extends WebComponentBase {
+   *   static get properties() {
+   *     return { size: { type: String, default: 'medium' } }
+   *   }
+   *
+   *   onSizeChanged(_, size) {
+   *     this.provide('size', size)
+   *   }
+   * }
+   */
+  provide(key, value) {
+    let provision = this.#provisions.get(key)
+
+    if (!provision) {
+      if (!this.#provisions.size)
+        this.on('context-request', event => this.#answerContextRequest(event))
+
+      provision = { value, subscribers: new Map() }
+      this.#provisions.set(key, provision)
+
+      if (this.isConnected)
+        retryContextRequests(key)
+
+      return
+    }
+
+    if (Object.is(provision.value, value))
+      return
+
+    provision.value = value
+
+    for (const [callback, unsubscribe] of [...provision.subscribers])
+      callback(value, unsubscribe)
+  }
+
   /**
    * Queues a command for execution.
    *
    * @param {Function} command - The command function to queue.
+   * @param {Object} [options={}] - Options for the command.
+   * @param {boolean} [options.reject=false] - Whether the returned promise
+   *   rejects with the error the command throws.
+   * @returns {Promise<*>|undefined} A promise for the command's return
+   *   value. Unless `options.reject` is set, it resolves to `undefined`
+   *   when the command throws, so the promise can be ignored safely.
    *
    * @description
    * This method adds a command function to the `queuedCommands` array. The
-   * queued commands can be executed later, potentially in a specific order or
-   * under certain conditions.
+   * queued commands are executed, in order, the next time the component is
+   * connected to the DOM. An error thrown by the command is reported with
+   * `reportError` in the `'queued-command'` phase in either case.
    *
    * If the provided `command` argument is not a function, it is ignored and
    * not added to the queue.
    *
+   * New code should prefer `await this.whenConnected()`, which also
+   * resolves right away when the component is already connected.
+   *
    * @example
    * // Queue a command
    * this.queueCommand(() => {
    *   console.log('Command executed')
    * })
+   *
+   * @example
+   * // Handle the command's error as well
+   * this.queueCommand(() => this.focus(), { reject: true })
+   *   .catch(error => console.warn('Could not run the command', error))
    */
-  queueCommand(command) {
+  queueCommand(command, { reject = false } = {}) {
     if (typeof command === 'function' || command instanceof Function) {
-      this.queuedCommands.push(command)
+      return new Promise((resolve, fail) => {
+        this.queuedCommands.push(() => {
+          try {
+            resolve(command.call(this))
+          }
+          catch (error) {
+            this.reportError(error, 'queued-command')
+
+            if (reject)
+              fail(error)
+            else
+              resolve(undefined)
+          }
+        })
+      })
     }
   }
 
   /**
-   * Removes all event listeners attached to the component and its shadow DOM
-   * elements.
+   * Detaches a reactive controller from the component.
+   *
+   * @param {Object} controller - A controller added with `addController`.
+   * @returns {boolean} `true` if the controller was attached.
+   *
+   * @description
+   * The controller's `hostDisconnected` is called first when the component
+   * is connected, so it can release whatever it set up.
+   *
+   * @example
+   * this.removeController(this.resize)
+   */
+  removeController(controller) {
+    if (!this.#controllers.delete(controller))
+      return false
+
+    if (this.isConnected)
+      this.#notifyControllers('hostDisconnected', [controller])
+
+    return true
+  }
+
+  /**
+   * Detaches all event listeners registered with `on` from the component and
+   * its shadow root.
    *
    * @description
    * This method iterates over the `#listeners` private field, which is a Map
-   * containing event listeners registered for the component. For each event
-   * name and its associated listeners, it checks if a selector is provided.
-   * If a selector is provided, it queries the shadow root for elements
-   * matching the selector and removes the event listener from each matched
-   * element. If no selector is provided, it removes the event listener
-   * directly from the component itself using the `_removeEventListener` method.
+   * containing event listeners registered for the component. Listeners
+   * without a selector are removed from the component itself using the
+   * `_removeEventListener` method, and the delegating listeners are removed
+   * from the shadow root.
    *
-   * This method effectively cleans up all event listeners attached to the
-   * component and its shadow DOM elements, allowing for proper memory
-   * management and preventing potential memory leaks.
+   * The listeners stay registered, and `attachEventListeners` attaches them
+   * again when the component is reconnected. Use `off`, or the function
+   * returned by `on`, to forget a listener.
    *
    * @example
    * // Attach event listeners
    * this.on('click', handleClick)
    * this.on('click', '.button', handleButtonClick)
    *
-   * // Remove all event listeners
+   * // Detach all event listeners
    * this.removeEventListeners()
    */
   removeEventListeners() {
-    this.#listeners.forEach((listeners, eventName) => {
-      listeners.forEach(({ selector, handler, options }) => {
-        if (selector) {
-          this.shadowRoot.querySelectorAll(selector).forEach(element => {
-            element.removeEventListener(eventName, handler, options)
-          })
-        }
-        else {
-          this._removeEventListener(eventName, handler, options)
-        }
-      })
+    this.#listeners.forEach((entries, eventName) => {
+      entries.forEach(entry => this.#detachEntry(eventName, entry))
     })
   }
 
@@ -775,6 +1755,15 @@ export class WebComponentBase extends HTMLElement {
    * shadow DOM. It is called whenever the component's state or attributes
    * change, or when the component is initially connected to the DOM.
    *
+   * Calls are batched: changes only ever call `requestUpdate`, which runs
+   * `render` once in a microtask after the current task's changes have all
+   * been applied, and only if `shouldUpdate` agrees. The keys that changed
+   * since the last render are passed in as a `Set`.
+   *
+   * Components whose `template()` returns an `html` tagged template have it
+   * re-rendered into the shadow DOM just before this method is called, so
+   * most of them never need to override it.
+   *
    * By default, this method does nothing. Subclasses should override this
    * method to implement their own rendering logic, such as creating or
    * updating the shadow DOM, applying styles, and updating the component's
@@ -785,12 +1774,160 @@ export class WebComponentBase extends HTMLElement {
    * class MyComponent extends WebComponentBase {
    *   render() {
    *     // Rendering logic here
-   *     this.shadowRoot.innerHTML = this.template()
+   *     this.renderRoot.innerHTML = this.template()
    *     this.applyStyles()
    *   }
    * }
    */
-  render() {
+  render(changedKeys) {
+  }
+
+  /**
+   * Reports an error thrown by code the component runs on someone's behalf.
+   *
+   * @param {*} error - The error that was thrown.
+   * @param {string} phase - What the component was doing: `'attribute'`
+   *   (an `on{Property}Changed` or `attributeHandlers` handler), `'render'`
+   *   (a render or one of its hooks), `'handler'` (a handler supplied by
+   *   markup, such as `aqua-button`'s `handler` attribute),
+   *   `'queued-command'` (a command queued with `queueCommand` or pushed
+   *   onto `queuedCommands`), `'watch'`, `'computed'` or `'controller'`.
+   * @returns {Object} The report: `{ tag, instanceId, phase, error,
+   *   component }`.
+   *
+   * @description
+   * The report is first emitted as a bubbling, composed and cancelable
+   * `component-error` event with the report as its `detail`, so a container
+   * or the document can collect errors from every component inside it.
+   * It is then passed to the global `WebComponentBase.onError` hook, if
+   * one is set. Only when no hook is set and no listener called
+   * `preventDefault()` is the error written to the console, so errors are
+   * never lost silently but stay out of end users' consoles once an app
+   * takes care of them.
+   *
+   * @example
+   * document.addEventListener('component-error', event => {
+   *   const { tag, phase, error } = event.detail
+   *   telemetry.send(`<${tag}> failed during ${phase}`, error)
+   *   event.preventDefault()
+   * })
+   */
+  reportError(error, phase) {
+    const report = {
+      tag: this.localName,
+      instanceId: this.instanceId,
+      phase,
+      error,
+      component: this,
+    }
+
+    const unhandled = this.emit('component-error', report, { cancelable: true })
+
+    if (errorHandler) {
+      try {
+        errorHandler(report)
+      }
+      catch (hookError) {
+        console.error('<%s:%s> %o', report.tag, phase, error, hookError)
+      }
+    }
+    else if (unhandled) {
+      console.error('<%s:%s> %o', report.tag, phase, error)
+    }
+
+    return report
+  }
+
+  /**
+   * Checks whether the component satisfies its validity constraints and
+   * reports the problem to the user if it does not.
+   *
+   * @returns {boolean} `true` if the component is valid or is not form
+   *   associated, `false` otherwise.
+   *
+   * @example
+   * field.reportValidity()
+   */
+  reportValidity() {
+    return this.#formInternals?.reportValidity() ?? true
+  }
+
+  /**
+   * Schedules a render of the component.
+   *
+   * @param {string} [key] - The state key or property that changed. It is
+   *   added to the set of changed keys handed to `shouldUpdate` and
+   *   `render`.
+   * @returns {Promise<boolean>} The `updateComplete` promise for the
+   *   scheduled render.
+   *
+   * @description
+   * Every state, property and attribute change funnels through this method.
+   * The first call after a render queues a microtask; every further call
+   * before that microtask runs only records its key. Until the component
+   * is first connected, nothing is queued: the render is held back and
+   * `connectedCallback` schedules it. When the microtask
+   * runs, `shouldUpdate` is consulted with the collected keys and, if it
+   * returns true, `render` is called once. Call it without a key to force a
+   * render for changes the component cannot see, such as external data.
+   *
+   * @example
+   * // Five attribute writes, one render
+   * for (const light of lights) {
+   *   light.setAttribute('color', 'green')
+   *   light.setAttribute('size', '20px')
+   * }
+   *
+   * // Re-render after mutating data held outside of the state
+   * this.items.push(item)
+   * await this.requestUpdate()
+   */
+  requestUpdate(key) {
+    if (key !== undefined && key !== null)
+      this.#changedKeys.add(key)
+
+    if (this.#updatePending)
+      return this.#updateComplete
+
+    let resolve = null
+
+    this.#updatePending = true
+    this.#updateComplete = new Promise(resolver => { resolve = resolver })
+
+    if (this.#wasConnected)
+      queueMicrotask(() => this.#performUpdate(resolve))
+    else
+      this.#heldUpdate = resolve
+
+    return this.#updateComplete
+  }
+
+  /**
+   * Sets the value the component submits with its form.
+   *
+   * @param {string|File|FormData|null} value - The value to submit. `null`
+   *   means the component submits nothing.
+   * @param {string|File|FormData|null} [state=value] - The state handed to
+   *   `formStateRestoreCallback` when the browser restores the form.
+   * @returns {boolean} `true` if the value was set, `false` when the
+   *   component is not form associated.
+   *
+   * @description
+   * Delegates to `ElementInternals.setFormValue()`. The value is entered
+   * under the component's `name` attribute when the form is submitted or
+   * when a `FormData` is created from the form.
+   *
+   * @example
+   * this.setFormValue(this.state.value)
+   */
+  setFormValue(value, state = value) {
+    const internals = this.#formInternals
+
+    if (!internals)
+      return false
+
+    internals.setFormValue(value, state)
+    return true
   }
 
   /**
@@ -812,8 +1949,8 @@ export class WebComponentBase extends HTMLElement {
    * `skipAttrSet` is falsy (default), it also updates the corresponding
    * attribute on the component using `this.setAttribute(key, value)`.
    *
-   * After updating the state and attributes, it calls the `render` method to
-   * trigger a re-render of the component.
+   * After updating the state and attributes, it calls `requestUpdate` for
+   * each key, so however many keys are set the component renders only once.
    *
    * @example
    * // Set multiple state properties and update attributes
@@ -828,14 +1965,29 @@ export class WebComponentBase extends HTMLElement {
    */
   setMultipleState(stateUpdates, skipAttrSet = false) {
     for (const [key, value] of Object.entries(stateUpdates)) {
-      this.#state.set(key, value)
+      const options = this.constructor.propertyDeclarations.get(key)
 
-      if (this.observedAttributes.includes(key) && !skipAttrSet) {
-        this.setAttribute(key, value)
+      if (options) {
+        this.#updateProperty(
+          key,
+          WebComponentBase.coerce(value, options),
+          options.reflect && !skipAttrSet
+        )
+      }
+      else {
+        const oldValue = this.#state.get(key)
+        this.#state.set(key, value)
+
+        if (this.observedAttributes.includes(key) && !skipAttrSet) {
+          this.setAttribute(key, value)
+        }
+
+        if (!Object.is(oldValue, value))
+          this.#stateChanged(key, oldValue, value)
       }
-    }
 
-    this.render()
+      this.requestUpdate(key)
+    }
   }
 
   /**
@@ -856,8 +2008,17 @@ export class WebComponentBase extends HTMLElement {
    * falsy (default), it also updates the corresponding attribute on the
    * component using `this.setAttribute(key, value)`.
    *
-   * After updating the state and attribute (if applicable), it calls the
-   * `render` method to trigger a re-render of the component.
+   * When `key` names a declared property (see `static get properties()`),
+   * the value is coerced to the declared type, the attribute is only written
+   * if the property is declared with `reflect: true`, and the property's
+   * change handler is invoked directly.
+   *
+   * When the value changes, watchers registered with `watch` are called, a
+   * `state-change` event is emitted and computed entries depending on the
+   * key are recomputed.
+   *
+   * After updating the state and attribute (if applicable), it calls
+   * `requestUpdate` to schedule a re-render of the component.
    *
    * @example
    * // Set the 'color' state property and update the 'color' attribute
@@ -867,12 +2028,82 @@ export class WebComponentBase extends HTMLElement {
    * this.setState('count', 42, true)
    */
   setState(key, value, skipAttrSet = false) {
-    this.#state.set(key, value)
+    const options = this.constructor.propertyDeclarations.get(key)
+
+    if (options) {
+      this.#updateProperty(
+        key,
+        WebComponentBase.coerce(value, options),
+        options.reflect && !skipAttrSet
+      )
+    }
+    else {
+      const oldValue = this.#state.get(key)
+      this.#state.set(key, value)
+
+      if (this.observedAttributes.includes(key) && !skipAttrSet)
+        this.setAttribute(key, value)
+
+      if (!Object.is(oldValue, value))
+        this.#stateChanged(key, oldValue, value)
+    }
+
+    this.requestUpdate(key)
+  }
+
+  /**
+   * Marks the component as valid or invalid.
+   *
+   * @param {Object} [flags={}] - `ValidityState` flags such as
+   *   `valueMissing` or `customError`. An empty object marks the component
+   *   as valid.
+   * @param {string} [message=''] - The message shown to the user when the
+   *   component is invalid.
+   * @param {HTMLElement} [anchor] - An element in the shadow DOM that the
+   *   browser points to when reporting the problem.
+   * @returns {boolean} `true` if the validity was set, `false` when the
+   *   component is not form associated.
+   *
+   * @example
+   * if (!this.value)
+   *   this.setValidity({ valueMissing: true }, 'Please choose an option')
+   * else
+   *   this.setValidity()
+   */
+  setValidity(flags = {}, message = '', anchor) {
+    const internals = this.#formInternals
+
+    if (!internals)
+      return false
 
-    if (this.observedAttributes.includes(key) && !skipAttrSet)
-      this.setAttribute(key, value)
+    if (anchor)
+      internals.setValidity(flags, message, anchor)
+    else
+      internals.setValidity(flags, message)
 
-    this.render()
+    return true
+  }
+
+  /**
+   * Determines whether a scheduled render should take place.
+   *
+   * @param {Set<string>} changedKeys - The state keys and properties that
+   *   changed since the last render.
+   * @returns {boolean} `true` to render, `false` to skip this render.
+   *
+   * @description
+   * By default, this method always returns `true`. Subclasses can override
+   * it to skip renders for changes that do not affect their output. A
+   * skipped render still clears the changed keys and resolves
+   * `updateComplete`.
+   *
+   * @example
+   * shouldUpdate(changedKeys) {
+   *   return changedKeys.has('color') || changedKeys.has('size')
+   * }
+   */
+  shouldUpdate(changedKeys) {
+    return true
   }
 
   /**
@@ -902,12 +2133,17 @@ export class WebComponentBase extends HTMLElement {
   /**
    * Returns the HTML template for the component.
    *
-   * @returns {string} The HTML template for the component.
+   * @returns {string|TemplateResult} The HTML template for the component.
    *
    * @description
    * This method should be overridden in subclasses to provide the HTML
    * template for the component. By default, it returns an empty string.
    *
+   * A plain string is parsed once, when the component is constructed. The
+   * result of the `html` tag is rendered with bindings instead, and this
+   * method is called again on every update so that the bindings can pick up
+   * new state.
+   *
    * @example
    * // Override the template method in a subclass
    * template() {
@@ -918,73 +2154,349 @@ export class WebComponentBase extends HTMLElement {
    *     </div>
    *   `
    * }
+   *
+   * @example
+   * // Or, to re-render whenever the state changes
+   * template() {
+   *   return html`
+   *     <div class=${this.state.color} @click=${this.toggle}>
+   *       <h1>Hello, ${this.state.name}!</h1>
+   *     </div>
+   *   `
+   * }
    */
   template() {
     return ''
   }
 
   /**
-   * Returns the string representation of the component instance.
+   * Called after every render.
    *
-   * @returns {string} The string representation of the component instance.
+   * @param {Set<string>} changedKeys - The keys changed since the render was
+   *   requested.
    *
    * @description
-   * This getter returns the string representation of the component instance,
-   * which is the name of the component's constructor function.
+   * Runs after `render` (and, the first time, after `firstUpdated`), once
+   * the shadow DOM reflects the current state. Changing state here
+   * schedules another render. By default, this method does nothing.
    *
    * @example
-   * const component = new MyComponent()
-   * console.log(component.toString()) // Output: 'MyComponent'
+   * updated(changedKeys) {
+   *   if (changedKeys.has('open'))
+   *     this.emit(this.state.open ? 'opened' : 'closed')
+   * }
    */
-  get [Symbol.toStringTag]() {
-    return this.constructor.name
+  updated(changedKeys) {
   }
 
   /**
-   * Returns the list of observed attributes for the component.
+   * Checks an attribute value against the component's `attributeSchema`.
    *
-   * @returns {string[]} The list of observed attributes.
+   * @param {string} name - The attribute name.
+   * @param {string|null} value - The attribute value; `null` (an absent
+   *   attribute) is always valid.
+   * @returns {boolean} `true` if the value is valid or the attribute has no
+   *   rule.
    *
    * @description
-   * This getter returns the list of observed attributes for the component.
-   * It delegates to the `observedAttributes` static getter defined on the
-   * component's constructor function.
+   * When the value is invalid and development mode is on, a warning naming
+   * the tag, attribute, bad value and what is allowed is written to the
+   * console. Each attribute warns at most once per instance, so a value
+   * that is set over and over does not flood the console.
    *
    * @example
-   * // Define observed attributes in a subclass
-   * static get observedAttributes() {
-   *   return ['color', 'disabled']
-   * }
-   *
-   * const component = new MyComponent()
-   * console.log(component.observedAttributes) // Output: ['color', 'disabled']
+   * button.validateAttribute('size', 'huge') // false, and warns once
    */
-  get observedAttributes() {
-    return this.constructor.observedAttributes
+  validateAttribute(name, value) {
+    const rule = this.constructor.attributeSchema[name]
+
+    if (!rule || value === null || value === undefined)
+      return true
+
+    if (WebComponentBase.matchesRule(String(value), rule))
+      return true
+
+    if (devMode && !this.#warnedAttributes.has(name)) {
+      this.#warnedAttributes.add(name)
+      console.warn(
+        '<%s> invalid %s="%s"; expected %s',
+        this.localName, name, value, WebComponentBase.describeRule(rule)
+      )
+    }
+
+    return false
   }
 
   /**
-   * A Map object that stores attribute handlers for the component.
+   * Calls a function whenever one or more state entries change.
    *
-   * @type {Map<string, Function>}
+   * @param {string|Array<string>} keys - The state key, or keys, to watch.
+   * @param {Function} callback - Called with `(newValue, oldValue, key)` and
+   *   `this` bound to the component each time a watched entry changes.
+   * @returns {Function} A function that stops watching.
    *
    * @description
-   * This Map object associates attribute names (keys) with handler functions
-   * (values). When an observed attribute changes, the corresponding handler
-   * function is called with the old and new values as arguments.
+   * Watchers are called synchronously, as soon as the change is stored and
+   * before the component re-renders. Changes are detected however they
+   * happen: through `setState`, `setMultipleState`, `state`, declared
+   * property accessors or attributes. Outside the component the same
+   * changes can be observed through the bubbling `state-change` event,
+   * whose `detail` is `{ key, oldValue, newValue }`.
    *
    * @example
-   * // Define an attribute handler for the 'color' attribute
-   * this.attributeHandlers.set('color', (oldValue, newValue) => {
-   *   // Handle color attribute changes
+   * const unwatch = button.watch(['disabled', 'color'], (value, _, key) => {
+   *   console.log(`${key} is now`, value)
    * })
+   *
+   * // Later
+   * unwatch()
    */
-  attributeHandlers = new Map()
+  watch(keys, callback) {
+    const watched = [keys].flat()
+
+    for (const key of watched) {
+      if (!this.#watchers.has(key))
+        this.#watchers.set(key, new Set())
+
+      this.#watchers.get(key).add(callback)
+    }
+
+    return () => {
+      for (const key of watched)
+        this.#watchers.get(key)?.delete(callback)
+    }
+  }
 
   /**
-   * An array that stores commands to be executed later.
+   * Waits for the component to be connected to the DOM.
    *
-   * @type {Array}
+   * @returns {Promise<WebComponentBase>} A promise that resolves with the
+   *   component once it is connected, right away if it already is.
+   *
+   * @description
+   * The promise resolves after event listeners are attached and queued
+   * commands have run. After the component is disconnected, a new promise
+   * is handed out that waits for it to be connected again.
+   *
+   * @example
+   * async setDisabled(disabled) {
+   *   await this.whenConnected()
+   *   this.elements.button.classList.toggle('disabled', disabled)
+   * }
+   */
+  whenConnected() {
+    return this.#connected.promise
+  }
+
+  /**
+   * Called before every render, once `shouldUpdate` has allowed it.
+   *
+   * @param {Set<string>} changedKeys - The keys changed since the render was
+   *   requested.
+   *
+   * @description
+   * Use it to compute values needed for rendering from the state that
+   * changed. State set here is included in the coming render rather than
+   * scheduling another one. By default, this method does nothing.
+   *
+   * @example
+   * willUpdate(changedKeys) {
+   *   if (changedKeys.has('items'))
+   *     this.setState('count', this.state.items.length, true)
+   * }
+   */
+  willUpdate(changedKeys) {
+  }
+
+  /**
+   * Returns the string representation of the component instance.
+   *
+   * @returns {string} The string representation of the component instance.
+   *
+   * @description
+   * This getter returns the string representation of the component instance,
+   * which is the name of the component's constructor function.
+   *
+   * @example
+   * const component = new MyComponent()
+   * console.log(component.toString()) // Output: 'MyComponent'
+   */
+  get [Symbol.toStringTag]() {
+    return this.constructor.name
+  }
+
+  /**
+   * Whether the component has rendered at least once.
+   *
+   * @returns {boolean} `true` once the first render has completed.
+   */
+  get hasUpdated() {
+    return this.#hasUpdated
+  }
+
+  /**
+   * Returns the component's shadow root.
+   *
+   * @returns {ShadowRoot} The shadow root the component renders into.
+   *
+   * @description
+   * Unlike `shadowRoot`, which is `null` for components whose
+   * `shadowRootOptions` use the `closed` mode, this is always the root the
+   * component renders into. Subclasses should use it to query their own
+   * shadow DOM.
+   *
+   * This getter is public, so the `closed` mode only hides the root from
+   * `element.shadowRoot` and from code that walks the DOM generically,
+   * such as `querySelector` calls made across shadow roots by scripts and
+   * extensions. Anyone holding the element can still reach the root
+   * through `renderRoot`; a closed root is not a security boundary.
+   *
+   * @example
+   * get input() {
+   *   return this.renderRoot.querySelector('input')
+   * }
+   */
+  get renderRoot() {
+    return this.#shadowRoot
+  }
+
+  /**
+   * Returns the list of observed attributes for the component.
+   *
+   * @returns {string[]} The list of observed attributes.
+   *
+   * @description
+   * This getter returns the list of observed attributes for the component.
+   * It delegates to the `observedAttributes` static getter defined on the
+   * component's constructor function.
+   *
+   * @example
+   * // Define observed attributes in a subclass
+   * static get observedAttributes() {
+   *   return ['color', 'disabled']
+   * }
+   *
+   * const component = new MyComponent()
+   * console.log(component.observedAttributes) // Output: ['color', 'disabled']
+   */
+  get observedAttributes() {
+    return this.constructor.observedAttributes
+  }
+
+  /**
+   * A promise that resolves once the component has finished rendering.
+   *
+   * @returns {Promise<boolean>} A promise resolving to `true` when no
+   *   further render is pending.
+   *
+   * @description
+   * When no render is scheduled the promise is already resolved. When one
+   * is, the promise resolves after that render, or, if the render itself
+   * scheduled another one, after the last render of the chain. A render
+   * requested before the component is first connected waits for it, and
+   * so does this promise.
+   *
+   * @example
+   * button.setAttribute('size', 'large')
+   * await button.updateComplete
+   * // the button has rendered with its new size
+   */
+  get updateComplete() {
+    return this.#updateComplete
+  }
+
+  /**
+   * Returns the form that owns the component.
+   *
+   * @returns {HTMLFormElement|null} The form owner, or `null` if there is
+   *   none or the component is not form associated.
+   *
+   * @example
+   * button.form?.requestSubmit()
+   */
+  get form() {
+    return this.#formInternals?.form ?? null
+  }
+
+  /**
+   * Returns the component's `ElementInternals`.
+   *
+   * @returns {ElementInternals|null} The internals attached in the
+   *   constructor or by `attachInternals()`, or `null` if neither attached
+   *   them or the DOM does not support them. The form features only work
+   *   when the class is form associated.
+   *
+   * @description
+   * Form associated components, and components that had no `shadowRoot`
+   * when constructed, have their internals attached by the constructor.
+   * Others, such as a component hydrating an open declarative shadow root,
+   * only have them once `attachInternals()` has been called.
+   */
+  get internals() {
+    return this.#internals
+  }
+
+  /**
+   * Returns the labels associated with the component.
+   *
+   * @returns {NodeList|Array} The associated `<label>` elements; an empty
+   *   array when the component is not form associated.
+   */
+  get labels() {
+    return this.#formInternals?.labels ?? []
+  }
+
+  /**
+   * Returns the message describing why the component is invalid.
+   *
+   * @returns {string} The validation message, or an empty string.
+   */
+  get validationMessage() {
+    return this.#formInternals?.validationMessage ?? ''
+  }
+
+  /**
+   * Returns the validity state of the component.
+   *
+   * @returns {ValidityState|null} The validity state, or `null` when the
+   *   component is not form associated.
+   */
+  get validity() {
+    return this.#formInternals?.validity ?? null
+  }
+
+  /**
+   * Returns whether the component is subject to constraint validation.
+   *
+   * @returns {boolean} `true` if the component will be validated when its
+   *   form is submitted.
+   */
+  get willValidate() {
+    return this.#formInternals?.willValidate ?? false
+  }
+
+  /**
+   * A Map object that stores attribute handlers for the component.
+   *
+   * @type {Map<string, Function>}
+   *
+   * @description
+   * This Map object associates attribute names (keys) with handler functions
+   * (values). When an observed attribute changes, the corresponding handler
+   * function is called with the old and new values as arguments.
+   *
+   * @example
+   * // Define an attribute handler for the 'color' attribute
+   * this.attributeHandlers.set('color', (oldValue, newValue) => {
+   *   // Handle color attribute changes
+   * })
+   */
+  attributeHandlers = new Map()
+
+  /**
+   * An array that stores commands to be executed later.
+   *
+   * @type {Array}
    *
    * @description
    * This array is used to queue up commands or operations that need to be
@@ -1024,25 +2536,111 @@ export class WebComponentBase extends HTMLElement {
   shadow = null
 
   /**
-   * A reference to the component's stylesheet.
+   * A reference to the component's own stylesheet.
    *
-   * @type {HTMLStyleElement|null}
+   * @type {CSSStyleSheet|HTMLStyleElement|null}
    *
    * @description
-   * This property holds a reference to the component's stylesheet, which
-   * contains the CSS styles for the component. It is initially set to `null`
-   * and is assigned a value when the component is rendered.
+   * This property holds the stylesheet that the component's `styleManager`
+   * writes its CSS variables to. Where shadow roots can adopt constructable
+   * stylesheets, it is a `CSSStyleSheet` belonging to this instance alone,
+   * adopted after the sheet its class shares between all instances.
+   * Elsewhere it is a `<style>` element holding the full CSS of the
+   * component. It is initially set to `null` and is assigned a value by
+   * `buildStyles()`.
    *
    * @example
    * // Access the stylesheet
    * const stylesheet = this.stylesheet
    *
-   * // Render the component and create the stylesheet
-   * this.render()
-   * console.log(this.stylesheet) // Output: <style> ... </style>
+   * this.variables.size = '20px'
+   * console.log(this.stylesheet.cssRules[0].cssText)
+   * // Output: :host { --size: 20px; }
    */
   stylesheet = null
 
+  /**
+   * The set of state keys that changed since the last render.
+   *
+   * @type {Set<string>}
+   * @private
+   *
+   * @description
+   * Filled by `requestUpdate` and handed, then cleared, when the scheduled
+   * render runs.
+   */
+  #changedKeys = new Set()
+
+  /**
+   * The computed state entries defined with `computed`, keyed by the state
+   * key they are stored under.
+   *
+   * @type {Map<string, { dependencies: Array<string>, compute: Function }>}
+   * @private
+   */
+  #computed = new Map()
+
+  /**
+   * The reactive controllers added with `addController`.
+   *
+   * @type {Set<Object>}
+   * @private
+   */
+  #controllers = new Set()
+
+  /**
+   * The context consumers registered with `consume`, keyed by context key.
+   * Each consumer holds its `callback`, the `retry` waiting for a provider
+   * and the `unsubscribe` handed over by the provider answering it.
+   *
+   * @type {Map<string, Set<{ callback: Function, retry: Function|null, unsubscribe: Function|null }>>}
+   * @private
+   */
+  #consumers = new Map()
+
+  /**
+   * The promise returned by `whenConnected` and its resolver, replaced each
+   * time the component is disconnected.
+   *
+   * @type {{ promise: Promise<WebComponentBase>, resolve: Function }}
+   * @private
+   */
+  #connected = deferred()
+
+  /**
+   * Whether the first render has completed.
+   *
+   * @type {boolean}
+   * @private
+   */
+  #hasUpdated = false
+
+  /**
+   * Resolves the `updateComplete` promise of a render requested before the
+   * component was first connected, which `connectedCallback` schedules.
+   *
+   * @type {Function|null}
+   * @private
+   */
+  #heldUpdate = null
+
+  /**
+   * Whether `connectedCallback` has run at least once. Renders wait for it.
+   *
+   * @type {boolean}
+   * @private
+   */
+  #wasConnected = false
+
+  /**
+   * Whether the component was constructed with a declarative shadow root
+   * already attached, whose server rendered content `buildDOM` reuses.
+   *
+   * @type {boolean}
+   * @private
+   */
+  #hydrating = false
+
   /**
    * A unique identifier for the component instance.
    *
@@ -1062,32 +2660,63 @@ export class WebComponentBase extends HTMLElement {
   #instanceId = Math.random().toString(36).slice(2)
 
   /**
-   * A Map object that stores event listeners for the component.
+   * The component's `ElementInternals`, attached in the constructor.
    *
-   * @type {Map<string, Array<{ selector?: string, handler: Function, options?: Object }>>}
+   * @type {ElementInternals|null}
    * @private
+   */
+  #internals = null
+
+  /**
+   * Whether `attachInternals()` has handed out the internals, after which
+   * it throws like the native method.
    *
-   * @description
-   * This private Map object associates event names (keys) with arrays of
-   * event listener objects (values). Each event listener object can have the
-   * following properties:
+   * @type {boolean}
+   * @private
+   */
+  #internalsClaimed = false
+
+  /**
+   * The component's `ElementInternals` if it is form associated; their
+   * form methods throw for other components.
    *
-   * - `selector` (optional): A CSS selector string to target specific
-   *   elements within the component's shadow root.
-   * - `handler`: The event handler function to be called when the event
-   *   occurs.
-   * - `options` (optional): An object containing options for the event
-   *   listener, such as `capture` or `once`.
+   * @type {ElementInternals|null}
+   * @private
+   */
+  get #formInternals() {
+    return this.constructor.formAssociated ? this.#internals : null
+  }
+
+  /**
+   * A Map object that stores event listeners for the component.
    *
-   * @example
-   * // Register a click event listener on the component itself
-   * this.#listeners.set('click', [{ handler: this.handleClick }])
+   * @type {Map<string, Array<{ selector: string|null, handler: Function|Object, options: Object, listener: Function, unsubscribe: Function }>>}
+   * @private
    *
-   * // Register an input event listener on input elements within the component
-   * this.#listeners.set('input', [{ selector: 'input', handler: this.handleInput }])
+   * @description
+   * This private Map object associates event names (keys) with arrays of
+   * event listener entries (values), as registered by `on`. Each entry has
+   * the following properties:
+   *
+   * - `selector`: A CSS selector string to delegate to elements within the
+   *   component's shadow root, or `null` for the component itself.
+   * - `handler`: The event handler as passed to `on`.
+   * - `options`: The options passed to `on`, such as `capture` or `once`.
+   * - `listener`: The function actually invoked for the event; it takes
+   *   care of `once` and of the `this` value.
+   * - `unsubscribe`: Removes this entry; returned by `on`.
    */
   #listeners = new Map()
 
+  /**
+   * The delegating listeners attached to the shadow root, keyed by event
+   * name and phase (e.g. `click:bubble` or `focus:capture`).
+   *
+   * @type {Map<string, Function>}
+   * @private
+   */
+  #delegates = new Map()
+
   /**
    * A Map object that stores patches for the component's state.
    *
@@ -1114,6 +2743,65 @@ export class WebComponentBase extends HTMLElement {
    */
   #patches = new Map()
 
+  /**
+   * The context values provided with `provide`, keyed by context key, each
+   * with the callbacks of its current consumers mapped to the functions
+   * that unsubscribe them.
+   *
+   * @type {Map<string, { value: *, subscribers: Map<Function, Function> }>}
+   * @private
+   */
+  #provisions = new Map()
+
+  /**
+   * A flag raised while a declared property is being reflected back onto
+   * its attribute.
+   *
+   * @type {boolean}
+   * @private
+   *
+   * @description
+   * Reflecting a property calls `setAttribute` (or `removeAttribute`), which
+   * synchronously re-enters `attributeChangedCallback`. The property has
+   * already been stored and its handler invoked at that point, so the
+   * callback checks this flag and ignores the echo.
+   */
+  #reflecting = false
+
+  /**
+   * Whether a render has been scheduled and not yet run.
+   *
+   * @type {boolean}
+   * @private
+   */
+  #updatePending = false
+
+  /**
+   * The promise returned by `updateComplete`.
+   *
+   * @type {Promise<boolean>}
+   * @private
+   */
+  #updateComplete = Promise.resolve(true)
+
+  /**
+   * Whether `template()` returned an `html` tagged template, in which case
+   * the template is re-rendered on every update.
+   *
+   * @type {boolean}
+   * @private
+   */
+  #reactiveTemplate = false
+
+  /**
+   * The component's shadow root, kept here because `this.shadowRoot` is
+   * `null` when the root was attached in `closed` mode.
+   *
+   * @type {ShadowRoot|null}
+   * @private
+   */
+  #shadowRoot = null
+
   /**
    * A Map object that stores the component's state.
    *
@@ -1135,14 +2823,932 @@ export class WebComponentBase extends HTMLElement {
   #state = new Map()
 
   /**
-   * Returns the list of observed attributes for the component.
+   * The callbacks registered with `watch`, keyed by the state key they
+   * watch.
    *
-   * @returns {string[]} An empty array.
+   * @type {Map<string, Set<Function>>}
+   * @private
+   */
+  #watchers = new Map()
+
+  /**
+   * The attributes that have already warned about an invalid value.
    *
-   * @description
-   * This static getter method returns an empty array, indicating that the
-   * component does not observe any attributes by default. Subclasses can
-   * override this method to specify the list of attributes to observe.
+   * @type {Set<string>}
+   * @private
+   */
+  #warnedAttributes = new Set()
+
+  /**
+   * Answers a `context-request` event for a key this component provides.
+   *
+   * @param {CustomEvent} event - The request emitted by `consume`.
+   * @private
+   */
+  #answerContextRequest(event) {
+    const { key, callback } = event.detail ?? {}
+    const provision = this.#provisions.get(key)
+
+    if (!provision || typeof callback !== 'function')
+      return
+
+    if (event.composedPath()[0] === this)
+      return
+
+    event.stopPropagation()
+
+    const unsubscribe = () => provision.subscribers.delete(callback)
+
+    provision.subscribers.set(callback, unsubscribe)
+    callback(provision.value, unsubscribe)
+  }
+
+  /**
+   * Attaches a single registered listener entry.
+   *
+   * @param {string} eventName - The event the entry listens for.
+   * @param {Object} entry - The entry from `#listeners`.
+   * @private
+   *
+   * @description
+   * Entries without a selector are attached to the component. Entries with
+   * one make sure the shadow root has a delegating listener for their event
+   * and phase; the delegate looks up matching entries when it runs.
+   */
+  #attachEntry(eventName, entry) {
+    if (!entry.selector) {
+      this._addEventListener(eventName, entry.listener, {
+        capture: !!entry.options.capture,
+        passive: entry.options.passive,
+      })
+      return
+    }
+
+    const capture = delegatesInCapture(eventName, entry.options)
+    const key = `${eventName}:${capture ? 'capture' : 'bubble'}`
+
+    if (this.#delegates.has(key))
+      return
+
+    const delegate = event => {
+      const path = event.composedPath()
+
+      for (const candidate of [...(this.#listeners.get(eventName) ?? [])]) {
+        if (
+          !candidate.selector ||
+          delegatesInCapture(eventName, candidate.options) !== capture
+        ) {
+          continue
+        }
+
+        const element = this.#delegateTarget(path, candidate.selector)
+
+        if (element)
+          candidate.listener(event, element)
+      }
+    }
+
+    this.#delegates.set(key, delegate)
+    this.#shadowRoot.addEventListener(eventName, delegate, { capture })
+  }
+
+  /**
+   * Finds the element on an event's composed path that a delegated
+   * listener applies to.
+   *
+   * @param {EventTarget[]} path - The event's composed path.
+   * @param {string} selector - The selector of the delegated listener.
+   * @returns {Element|null} The innermost element of this component's
+   *   shadow root that matches the selector, or `null`.
+   * @private
+   */
+  #delegateTarget(path, selector) {
+    for (const node of path) {
+      if (node === this.#shadowRoot || node === this)
+        break
+
+      if (
+        node instanceof Element &&
+        node.getRootNode() === this.#shadowRoot &&
+        node.matches(selector)
+      ) {
+        return node
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * Detaches a single registered listener entry.
+   *
+   * @param {string} eventName - The event the entry listens for.
+   * @param {Object} entry - The entry from `#listeners`.
+   * @private
+   *
+   * @description
+   * The shadow root's delegating listener is only removed once no
+   * delegated entry for its event and phase remains attached.
+   */
+  #detachEntry(eventName, entry) {
+    if (!entry.selector) {
+      this._removeEventListener(eventName, entry.listener, {
+        capture: !!entry.options.capture,
+      })
+      return
+    }
+
+    const capture = delegatesInCapture(eventName, entry.options)
+    const key = `${eventName}:${capture ? 'capture' : 'bubble'}`
+    const delegate = this.#delegates.get(key)
+    const stillNeeded = this.isConnected && (this.#listeners.get(eventName) ?? [])
+      .some(other => (
+        other !== entry &&
+        other.selector &&
+        delegatesInCapture(eventName, other.options) === capture
+      ))
+
+    if (delegate && !stillNeeded) {
+      this.#shadowRoot.removeEventListener(eventName, delegate, { capture })
+      this.#delegates.delete(key)
+    }
+  }
+
+  /**
+   * Locates the change handler for a declared property.
+   *
+   * @param {string} property - The declared property name.
+   * @param {Object} options - The normalized declaration for the property.
+   * @returns {Function|null} The bound handler, or `null` if there is none.
+   * @private
+   *
+   * @description
+   * Handlers are looked up the same way `attributeChangedCallback` looks
+   * them up for plain observed attributes: first an `on{Property}Changed`
+   * method on the instance, then an entry in `attributeHandlers` keyed by
+   * either the attribute or the property name.
+   */
+  #handlerFor(property, options) {
+    const localName = `on${camelIfKebab(property, true)}Changed`
+
+    if (Reflect.has(this, localName))
+      return this[localName].bind(this)
+
+    for (const key of [options.attribute, property]) {
+      if (key && this.attributeHandlers.has(key))
+        return this.attributeHandlers.get(key).bind(this)
+    }
+
+    return null
+  }
+
+  /**
+   * Calls a lifecycle method on reactive controllers.
+   *
+   * @param {string} method - The method to call, e.g. `'hostConnected'`.
+   * @param {Iterable<Object>} [controllers] - The controllers to call it on;
+   *   defaults to all of them.
+   * @private
+   */
+  #notifyControllers(method, controllers = [...this.#controllers]) {
+    for (const controller of controllers) {
+      try {
+        controller[method]?.()
+      }
+      catch (error) {
+        this.reportError(error, 'controller')
+      }
+    }
+  }
+
+  /**
+   * Runs a render scheduled by `requestUpdate`.
+   *
+   * @param {Function} resolve - Resolves the `updateComplete` promise that
+   *   was handed out for this render.
+   * @private
+   *
+   * @description
+   * The changed keys are taken and cleared, and the pending flag lowered,
+   * before rendering so that changes made while rendering schedule a
+   * fresh render instead of being lost. When that happens the promise for
+   * this render waits on the new one. Keys changed by `willUpdate` are the
+   * exception: they are folded into this render. The hooks run in the order
+   * `shouldUpdate`, `willUpdate`, the controllers' `hostUpdate`, `render`,
+   * `firstUpdated` (the first time only), `updated` and the controllers'
+   * `hostUpdated`. Errors thrown by any of them are reported with
+   * `reportError` in the `'render'` phase and do not
+   * prevent the promise from resolving.
+   */
+  #performUpdate(resolve) {
+    const changedKeys = new Set(this.#changedKeys)
+
+    this.#changedKeys.clear()
+    this.#updatePending = false
+
+    try {
+      if (this.shouldUpdate(changedKeys)) {
+        this.#updatePending = true
+
+        try {
+          this.willUpdate(changedKeys)
+        }
+        finally {
+          for (const key of this.#changedKeys)
+            changedKeys.add(key)
+
+          this.#changedKeys.clear()
+          this.#updatePending = false
+        }
+
+        this.#notifyControllers('hostUpdate')
+
+        if (this.#reactiveTemplate)
+          renderTemplate(this.template(), this.#shadowRoot, { host: this })
+
+        this.render(changedKeys)
+
+        if (!this.#hasUpdated) {
+          this.#hasUpdated = true
+          this.firstUpdated(changedKeys)
+        }
+
+        this.updated(changedKeys)
+        this.#notifyControllers('hostUpdated')
+      }
+    }
+    catch (error) {
+      this.reportError(error, 'render')
+    }
+
+    if (this.#updatePending)
+      this.#updateComplete.then(resolve)
+    else
+      resolve(true)
+  }
+
+  /**
+   * Recomputes a computed state entry and reports the change, if any.
+   *
+   * @param {string} key - The key of the computed entry.
+   * @private
+   */
+  #recompute(key) {
+    const { dependencies, compute } = this.#computed.get(key)
+    const oldValue = this.#state.get(key)
+    let newValue
+
+    try {
+      newValue = compute.apply(this, dependencies.map(d => this.#state.get(d)))
+    }
+    catch (error) {
+      this.reportError(error, 'computed')
+      return
+    }
+
+    this.#state.set(key, newValue)
+
+    if (Object.is(oldValue, newValue))
+      return
+
+    this.#stateChanged(key, oldValue, newValue)
+    this.requestUpdate(key)
+  }
+
+  /**
+   * Stops a consumer from receiving its context value, and from waiting
+   * for a provider.
+   *
+   * @param {Object} consumer - The consumer from `#consumers`.
+   * @private
+   */
+  #releaseContext(consumer) {
+    consumer.unsubscribe?.()
+    consumer.unsubscribe = null
+
+    if (consumer.retry) {
+      for (const retries of unansweredContextRequests.values())
+        retries.delete(consumer.retry)
+
+      consumer.retry = null
+    }
+  }
+
+  /**
+   * Forgets a registered listener entry, detaching it first.
+   *
+   * @param {string} eventName - The event the entry listens for.
+   * @param {Object} entry - The entry from `#listeners`.
+   * @private
+   */
+  #removeEntry(eventName, entry) {
+    const entries = this.#listeners.get(eventName)
+    const index = entries ? entries.indexOf(entry) : -1
+
+    if (index === -1)
+      return
+
+    entries.splice(index, 1)
+
+    if (!entries.length)
+      this.#listeners.delete(eventName)
+
+    this.#detachEntry(eventName, entry)
+    entry.options.signal?.removeEventListener('abort', entry.unsubscribe)
+  }
+
+  /**
+   * Writes a declared property's value back to its attribute.
+   *
+   * @param {string} attribute - The attribute to write.
+   * @param {*} value - The already coerced property value.
+   * @param {Object} options - The normalized declaration for the property.
+   * @private
+   *
+   * @description
+   * The value is serialized with `WebComponentBase.toAttribute`. A `null`
+   * serialization (e.g. a `false` Boolean) removes the attribute. The
+   * `#reflecting` flag is raised for the duration of the write so that the
+   * resulting `attributeChangedCallback` is ignored.
+   */
+  #reflectProperty(attribute, value, options) {
+    const serialized = WebComponentBase.toAttribute(value, options)
+
+    if (serialized === this.getAttribute(attribute))
+      return
+
+    this.#reflecting = true
+
+    try {
+      if (serialized === null)
+        this.removeAttribute(attribute)
+      else
+        this.setAttribute(attribute, serialized)
+    }
+    finally {
+      this.#reflecting = false
+    }
+  }
+
+  /**
+   * Asks the nearest provider for a consumer's context value.
+   *
+   * @param {string} key - The context key.
+   * @param {Object} consumer - The consumer from `#consumers`.
+   * @private
+   *
+   * @description
+   * Any previous subscription of the consumer is released first. When no
+   * provider answers, a retry is left in `unansweredContextRequests` for
+   * the key.
+   */
+  #requestContext(key, consumer) {
+    this.#releaseContext(consumer)
+
+    this.emit('context-request', {
+      key,
+      callback: (value, unsubscribe) => {
+        consumer.unsubscribe = unsubscribe
+        consumer.callback.call(this, value)
+      },
+    })
+
+    if (consumer.unsubscribe)
+      return
+
+    consumer.retry = () => this.#requestContext(key, consumer)
+
+    if (!unansweredContextRequests.has(key))
+      unansweredContextRequests.set(key, new Set())
+
+    unansweredContextRequests.get(key).add(consumer.retry)
+  }
+
+  /**
+   * Reports a change of a state entry.
+   *
+   * @param {string} key - The state key that changed.
+   * @param {*} oldValue - The previous value.
+   * @param {*} newValue - The new value.
+   * @private
+   *
+   * @description
+   * Every path that changes state calls this once the new value is stored
+   * and only when it differs from the old one. It calls the watchers of
+   * `key`, emits a bubbling `state-change` event with
+   * `{ key, oldValue, newValue }` as its detail and recomputes the computed
+   * entries that depend on `key`.
+   */
+  #stateChanged(key, oldValue, newValue) {
+    for (const callback of [...(this.#watchers.get(key) ?? [])]) {
+      try {
+        callback.call(this, newValue, oldValue, key)
+      }
+      catch (error) {
+        this.reportError(error, 'watch')
+      }
+    }
+
+    this.emit('state-change', { key, oldValue, newValue })
+
+    for (const [computedKey, { dependencies }] of this.#computed) {
+      if (dependencies.includes(key))
+        this.#recompute(computedKey)
+    }
+  }
+
+  /**
+   * Stores a new value for a declared property and notifies its handler.
+   *
+   * @param {string} property - The declared property name.
+   * @param {*} newValue - The new value, already coerced to the declared
+   *   type.
+   * @param {boolean} [reflect=false] - Whether to write the value back to the
+   *   property's attribute.
+   * @param {boolean} [force=false] - Whether to invoke the handler even when
+   *   the coerced value did not change.
+   * @private
+   *
+   * @description
+   * This is the single path through which declared properties change,
+   * regardless of whether the change came from an attribute, an accessor,
+   * `setState` or `setMultipleState`. After storing the value it
+   * updates the declared CSS `variable`, if any, and then calls the
+   * property's `on{Property}Changed` handler with the old and new values
+   * before reporting the change (see `#stateChanged`). It does not schedule
+   * a render; callers do that.
+   */
+  #updateProperty(property, newValue, reflect = false, force = false) {
+    const options = this.constructor.propertyDeclarations.get(property)
+    const oldValue = this.#state.get(property)
+
+    this.#state.set(property, newValue)
+
+    if (reflect && options.attribute)
+      this.#reflectProperty(options.attribute, newValue, options)
+
+    if (!force && Object.is(oldValue, newValue))
+      return
+
+    if (options.variable && this.styleManager) {
+      const { variables } = this.styleManager
+
+      if (newValue === null || newValue === undefined)
+        delete variables[options.variable]
+      else
+        variables[options.variable] = String(newValue)
+    }
+
+    const handler = this.#handlerFor(property, options)
+
+    if (handler) {
+      try {
+        handler(oldValue, newValue)
+      }
+      catch (error) {
+        this.reportError(error, 'attribute')
+      }
+    }
+
+    if (!Object.is(oldValue, newValue))
+      this.#stateChanged(property, oldValue, newValue)
+  }
+
+  /**
+   * Writes the seeded value of every declared property that has a
+   * `variable` to that CSS variable.
+   *
+   * @private
+   *
+   * @description
+   * `initializeAttributes()` seeds declared properties before the
+   * `styleManager` exists, and `#updateProperty` only writes a variable
+   * when the value changes, so without this a default such as
+   * `size: { default: '12px', variable: 'size' }` would have no variable
+   * until the size changed. The variables are written in one batch.
+   */
+  #writeDeclaredVariables() {
+    const seeded = {}
+
+    for (const [property, options] of this.constructor.propertyDeclarations) {
+      const value = this.#state.get(property)
+
+      if (options.variable && value !== null && value !== undefined)
+        seeded[options.variable] = String(value)
+    }
+
+    if (Object.keys(seeded).length)
+      this.styleManager?.batch(({ variables }) => Object.assign(variables, seeded))
+  }
+
+  /**
+   * Describes the values each attribute accepts.
+   *
+   * @returns {Object<string, Object>} Rules keyed by attribute name. The
+   *   base class declares none.
+   *
+   * @description
+   * In development mode every observed attribute with a rule is checked as
+   * it changes (see `validateAttribute`). A rule can have:
+   *
+   * - `values`: the allowed values;
+   * - `ignoreCase`: whether `values` are compared without regard to case;
+   * - `pattern`: a regular expression the whole value must match;
+   * - `validate`: a function returning whether a value is valid;
+   * - `description`: how the allowed values are described in warnings,
+   *   which otherwise list `values` or show `pattern`.
+   *
+   * A value is valid when it passes every check its rule has.
+   *
+   * @example
+   * static get attributeSchema() {
+   *   return {
+   *     ...super.attributeSchema,
+   *     align: { values: ['start', 'center', 'end'] },
+   *     gap: {
+   *       validate: WebComponentBase.cssValidator('gap'),
+   *       description: 'a CSS gap',
+   *     },
+   *   }
+   * }
+   */
+  static get attributeSchema() {
+    return {}
+  }
+
+  /**
+   * Coerces an arbitrary value to the type of a declared property.
+   *
+   * @param {*} value - The value to coerce.
+   * @param {Object} options - The normalized declaration for the property.
+   * @returns {*} The coerced value.
+   *
+   * @description
+   * Strings are treated as attribute values and handed to
+   * `WebComponentBase.fromAttribute`, so `el.disabled = 'false'` behaves the
+   * same as `disabled="false"`. `null` and `undefined` fall back to the
+   * declared default. Any other value is converted with the declared type;
+   * objects are passed through untouched for `JSON` properties and wrapped
+   * in an array for `Array` properties when they are not arrays already.
+   *
+   * @example
+   * WebComponentBase.coerce('12', { type: Number }) // 12
+   * WebComponentBase.coerce(0, { type: Boolean })   // false
+   */
+  static coerce(value, options) {
+    if (value === null || value === undefined)
+      return WebComponentBase.defaultFor(options)
+
+    if (typeof value === 'string')
+      return WebComponentBase.fromAttribute(value, options)
+
+    switch (options.type) {
+      case Boolean:
+        return Boolean(value)
+
+      case Number: {
+        const number = Number(value)
+        return Number.isNaN(number) ? WebComponentBase.defaultFor(options) : number
+      }
+
+      case String:
+        return String(value)
+
+      case Array:
+        return Array.isArray(value) ? value : [value]
+
+      default:
+        return value
+    }
+  }
+
+  /**
+   * Creates a `validate` function for `attributeSchema` that accepts the
+   * values the browser supports for a CSS property.
+   *
+   * @param {string} property - The CSS property, such as `'margin'`.
+   * @returns {Function} A function returning whether a value is valid for
+   *   `property`. Every value is accepted where `CSS.supports` is not
+   *   available.
+   *
+   * @example
+   * width: { validate: WebComponentBase.cssValidator('width') }
+   */
+  static cssValidator(property) {
+    return value => (
+      typeof CSS === 'undefined' ||
+      typeof CSS.supports !== 'function' ||
+      CSS.supports(property, value)
+    )
+  }
+
+  /**
+   * Returns the typed custom properties the component uses.
+   *
+   * @returns {Object[]} Definitions for `StyleManager.registerProperty`;
+   *   none by default.
+   *
+   * @description
+   * `define()` registers each of them with the document, where `@property`
+   * rules in the component's own `styles()` would be ignored. Registered
+   * names are shared by the whole document, so they should carry the
+   * component's prefix, such as `--button-`.
+   *
+   * @example
+   * static get cssProperties() {
+   *   return [
+   *     ...super.cssProperties,
+   *     { name: '--slider-fill', syntax: '<color>', inherits: true, initialValue: 'blue' },
+   *   ]
+   * }
+   */
+  static get cssProperties() {
+    return []
+  }
+
+  /**
+   * Returns the tag name the component is defined with by default.
+   *
+   * @returns {string} The class name converted to kebab-case.
+   *
+   * @description
+   * Components override this to name their element explicitly.
+   * `WebComponentBase.define()` uses it when no tag name is passed, after
+   * swapping in the configured `tagPrefix`, if any.
+   *
+   * @example
+   * class AquaSlider extends WebComponentBase {}
+   * AquaSlider.customElementName // 'aqua-slider'
+   */
+  static get customElementName() {
+    return camelToKebabCase(this.name)
+  }
+
+  /**
+   * Returns the default value of a declared property.
+   *
+   * @param {Object} options - The normalized declaration for the property.
+   * @returns {*} The declared default, or `false` for Booleans and `null`
+   *   for everything else when no default is declared.
+   *
+   * @description
+   * When `default` is a function it is called to produce the value, which
+   * allows `Array` and `JSON` properties to hand each instance its own
+   * object rather than sharing one.
+   *
+   * @example
+   * WebComponentBase.defaultFor({ type: Array, default: () => [] }) // []
+   */
+  static defaultFor(options) {
+    if (typeof options.default === 'function')
+      return options.default()
+
+    if (options.default !== undefined)
+      return options.default
+
+    return options.type === Boolean ? false : null
+  }
+
+  /**
+   * Defines the component as a custom element, safely and idempotently.
+   *
+   * @param {string} [tagName] - The tag name to define the component with.
+   *   Defaults to `customElementName` with its first segment replaced by
+   *   the prefix, when one is configured.
+   * @param {Object} [options={}] - Options for the definition.
+   * @param {string} [options.prefix] - A prefix used instead of
+   *   `WebComponentBase.tagPrefix` for this definition only.
+   * @param {CustomElementRegistry} [options.registry] - The registry to
+   *   define the component in. Defaults to the global `customElements`; a
+   *   scoped registry can be passed where the browser supports them.
+   * @returns {string|null} The tag name the component is defined with, or
+   *   `null` when the name belongs to a different component.
+   *
+   * @description
+   * Calling `customElements.define()` for a name that is taken throws,
+   * which breaks pages that load a component module twice (say, from a CDN
+   * and inside a bundle) or that already define the same names. This
+   * method instead:
+   *
+   * - returns the name when the class is already defined with it;
+   * - returns the name quietly when it is taken by a compatible class, that
+   *   is another copy of this component with the same class name and
+   *   `customElementName`;
+   * - warns and returns `null` when it is taken by a different component;
+   * - warns and returns the existing name when this class has already been
+   *   defined under another name in the same registry.
+   *
+   * Each component module calls this without arguments when it is
+   * evaluated.
+   *
+   * The component's `cssProperties` are registered before it is defined.
+   *
+   * @example
+   * // In a module imported before any component module
+   * WebComponentBase.tagPrefix = 'acme'
+   *
+   * // aqua-button.js then defines <acme-button>; additional names or
+   * // registries can be requested explicitly
+   * AquaButton.define('toolbar-button', { registry: scopedRegistry })
+   */
+  static define(tagName, options = {}) {
+    const registry = options.registry ?? globalThis.customElements
+    const name = tagName ?? WebComponentBase.prefixedTagName(
+      this.customElementName,
+      options.prefix
+    )
+
+    const existing = registry.get(name)
+
+    if (existing === this)
+      return name
+
+    if (existing) {
+      if (
+        existing.name === this.name &&
+        existing.customElementName === this.customElementName
+      ) {
+        return name
+      }
+
+      console.warn(
+        '<%s:define> already defined by %s; %s was not defined',
+        name, existing.name, this.name
+      )
+
+      return null
+    }
+
+    const definedAs = registry.getName?.(this)
+
+    if (definedAs) {
+      console.warn(
+        '<%s:define> %s is already defined as <%s>',
+        name, this.name, definedAs
+      )
+
+      return definedAs
+    }
+
+    for (const definition of this.cssProperties)
+      StyleManager.registerProperty(definition)
+
+    try {
+      registry.define(name, this)
+    }
+    catch (error) {
+      if (error?.name !== 'NotSupportedError')
+        throw error
+
+      console.warn('<%s:define> %o', name, error)
+      return null
+    }
+
+    return name
+  }
+
+  /**
+   * Describes the values an `attributeSchema` rule accepts.
+   *
+   * @param {Object} rule - The rule.
+   * @returns {string} The rule's `description`, else its values or pattern.
+   *
+   * @example
+   * WebComponentBase.describeRule({ values: ['a', 'b'] }) // 'one of a, b'
+   */
+  static describeRule(rule) {
+    if (rule.description)
+      return rule.description
+
+    if (rule.values)
+      return `one of ${rule.values.join(', ')}`
+
+    if (rule.pattern)
+      return `a value matching ${rule.pattern}`
+
+    return 'a valid value'
+  }
+
+  /**
+   * Whether attribute values are checked against each component's
+   * `attributeSchema`.
+   *
+   * @type {boolean}
+   *
+   * @description
+   * Development mode is on by default, so mistakes in markup show up as
+   * console warnings. Production builds should turn it off, which skips
+   * the checks altogether.
+   *
+   * @example
+   * if (import.meta.env.PROD)
+   *   WebComponentBase.devMode = false
+   */
+  static get devMode() {
+    return devMode
+  }
+
+  static set devMode(value) {
+    devMode = !!value
+  }
+
+  /**
+   * Whether instances of the component take part in forms.
+   *
+   * @returns {boolean} `false`; subclasses return `true` to opt in.
+   *
+   * @description
+   * The browser reads this when the class is defined. A form associated
+   * component can
+   * submit a value with `setFormValue`, report validity with
+   * `setValidity`, and receives `formAssociatedCallback`,
+   * `formDisabledCallback`, `formResetCallback` and
+   * `formStateRestoreCallback`.
+   *
+   * @example
+   * class AquaCheckbox extends WebComponentBase {
+   *   static get formAssociated() {
+   *     return true
+   *   }
+   * }
+   */
+  static get formAssociated() {
+    return false
+  }
+
+  /**
+   * Converts an attribute value to the type of a declared property.
+   *
+   * @param {string|null} value - The attribute value, or `null` when the
+   *   attribute is absent.
+   * @param {Object} options - The normalized declaration for the property.
+   * @returns {*} The converted value.
+   *
+   * @description
+   * The conversion rules are:
+   *
+   * - `Boolean`: absent or `"false"` is `false`, anything else is `true`.
+   * - `Number`: parsed with `Number()`; unparseable values use the default.
+   * - `String`: the attribute value as is.
+   * - `JSON`: parsed with `JSON.parse()`; invalid JSON uses the default.
+   * - `Array`: parsed as JSON when it looks like an array, otherwise split
+   *   on commas with each entry trimmed.
+   *
+   * An absent attribute on a non-Boolean property yields its default.
+   *
+   * @example
+   * WebComponentBase.fromAttribute('false', { type: Boolean }) // false
+   * WebComponentBase.fromAttribute('a, b', { type: Array })    // ['a', 'b']
+   */
+  static fromAttribute(value, options) {
+    if (value === null || value === undefined) {
+      return options.type === Boolean
+        ? false
+        : WebComponentBase.defaultFor(options)
+    }
+
+    switch (options.type) {
+      case Boolean:
+        return String(value).toLowerCase() !== 'false'
+
+      case Number: {
+        const number = Number(value)
+        return Number.isNaN(number) ? WebComponentBase.defaultFor(options) : number
+      }
+
+      case JSON:
+        try { return JSON.parse(value) }
+        catch (ignore) { return WebComponentBase.defaultFor(options) }
+
+      case Array:
+        if (String(value).trim().startsWith('[')) {
+          try { return JSON.parse(value) }
+          catch (ignore) { return WebComponentBase.defaultFor(options) }
+        }
+
+        return String(value)
+          .split(',')
+          .map(entry => entry.trim())
+          .filter(entry => entry.length)
+
+      default:
+        return value
+    }
+  }
+
+  /**
+   * Returns the list of observed attributes for the component.
+   *
+   * @returns {string[]} The attributes of the component's declared
+   *   properties; an empty array when none are declared.
+   *
+   * @description
+   * This static getter method returns the attribute names of every property
+   * declared in `static get properties()` that has not opted out of an
+   * attribute with `attribute: false`. Components that declare no properties
+   * observe nothing by default. Subclasses can still override this method to
+   * specify the list of attributes to observe; include
+   * `...super.observedAttributes` to keep the declared ones.
    *
    * @example
    * // Define observed attributes in a subclass
@@ -1151,7 +3757,235 @@ export class WebComponentBase extends HTMLElement {
    * }
    */
   static get observedAttributes() {
-    return []
+    return [...this.propertyDeclarations.values()]
+      .map(options => options.attribute)
+      .filter(Boolean)
+  }
+
+  /**
+   * Applies a tag prefix to a component's default tag name.
+   *
+   * @param {string} name - A default tag name, such as `aqua-button`.
+   * @param {string|null} [prefix] - The prefix to apply. Defaults to
+   *   `WebComponentBase.tagPrefix`.
+   * @returns {string} The name with its first segment replaced by the
+   *   prefix, or the name unchanged when there is no prefix or the name
+   *   has a single segment.
+   *
+   * @example
+   * WebComponentBase.prefixedTagName('aqua-button', 'acme') // 'acme-button'
+   */
+  static prefixedTagName(name, prefix = tagPrefix) {
+    return prefix ? name.replace(/^[^-]+(?=-)/, prefix) : name
+  }
+
+  /**
+   * Declares the reactive properties of the component.
+   *
+   * @returns {Object<string, Object>} An object mapping property names to
+   *   their declarations.
+   *
+   * @description
+   * Each key names a property and each value describes it with the
+   * following, all optional, options:
+   *
+   * - `type`: one of `Boolean`, `Number`, `String` (the default), `JSON` or
+   *   `Array`. Attribute strings and assigned values are coerced to it.
+   * - `default`: the value used when the attribute is absent. May be a
+   *   function returning the value.
+   * - `reflect`: when `true`, assignments to the property are written back
+   *   to the attribute.
+   * - `attribute`: the attribute name; defaults to the kebab-case form of
+   *   the property name. `false` means the property has no attribute.
+   * - `variable`: a CSS variable, in any form `StyleManager` accepts, that
+   *   receives the value whenever it changes.
+   *
+   * For every declaration the base class observes the attribute, seeds the
+   * state with the coerced attribute value or default, and defines a
+   * getter/setter pair on the prototype that reads and writes the state.
+   * Accessors are not defined for names that already exist on the
+   * prototype chain (e.g. `hidden`, `title` or a hand-written accessor), in
+   * which case `getState`/`setState` remain the way to reach the value.
+   * Handlers named `on{Property}Changed` are still called, now with the
+   * coerced old and new values.
+   *
+   * @example
+   * class Gauge extends WebComponentBase {
+   *   static get properties() {
+   *     return {
+   *       disabled: { type: Boolean, reflect: true },
+   *       max: { type: Number, default: 100 },
+   *       size: { type: String, default: '12px', variable: 'size' },
+   *     }
+   *   }
+   *
+   *   onMaxChanged(oldValue, newValue) {
+   *     // newValue is a number
+   *   }
+   * }
+   */
+  static get properties() {
+    return {}
+  }
+
+  /**
+   * Returns the normalized property declarations for this component class.
+   *
+   * @returns {Map<string, Object>} A Map of property names to normalized
+   *   declarations.
+   *
+   * @description
+   * The first time this is read for a class, every entry of
+   * `static get properties()` is filled in with default options and an
+   * accessor is defined on the class prototype. The result is cached per
+   * class, so later reads, including those made by `observedAttributes`,
+   * are cheap.
+   *
+   * @example
+   * Gauge.propertyDeclarations.get('max')
+   * // { type: Number, default: 100, reflect: false, attribute: 'max', variable: null }
+   */
+  static get propertyDeclarations() {
+    if (declarationsByClass.has(this))
+      return declarationsByClass.get(this)
+
+    const declarations = new Map()
+
+    for (const [property, declaration] of Object.entries(this.properties ?? {})) {
+      const options = {
+        type: String,
+        default: undefined,
+        reflect: false,
+        attribute: camelToKebabCase(property),
+        variable: null,
+        ...declaration,
+      }
+
+      declarations.set(property, options)
+
+      if (!Reflect.has(this.prototype, property)) {
+        Object.defineProperty(this.prototype, property, {
+          get() { return this.getState(property) },
+          set(value) { this.setState(property, value) },
+          enumerable: true,
+          configurable: true,
+        })
+      }
+    }
+
+    declarationsByClass.set(this, declarations)
+
+    return declarations
+  }
+
+  /**
+   * Finds the declared property that owns an attribute.
+   *
+   * @param {string} attribute - The attribute name.
+   * @returns {[string, Object]|null} The property name and its normalized
+   *   declaration, or `null` if no declared property uses the attribute.
+   *
+   * @example
+   * Gauge.propertyForAttribute('max') // ['max', { type: Number, ... }]
+   */
+  static propertyForAttribute(attribute) {
+    for (const [property, options] of this.propertyDeclarations) {
+      if (options.attribute === attribute)
+        return [property, options]
+    }
+
+    return null
+  }
+
+  /**
+   * Returns the options the component's shadow root is attached with.
+   *
+   * @returns {ShadowRootInit} `{ mode: 'open' }`; subclasses may extend
+   *   it.
+   *
+   * @description
+   * The options are passed to `attachShadow` in the constructor:
+   *
+   * - `mode`: `'open'`, or `'closed'` to keep the root out of
+   *   `element.shadowRoot`, which is then `null`; the component uses
+   *   `renderRoot`, which still returns the root to any caller.
+   * - `delegatesFocus`: when `true`, focusing the host focuses the first
+   *   focusable element in its shadow DOM, and clicking a non-focusable
+   *   part of it focuses that element too.
+   * - `slotAssignment`: `'manual'` to assign slotted nodes with
+   *   `slot.assign()` instead of by name.
+   *
+   * A declarative shadow root rendered on the server keeps the options it
+   * was parsed with; `renderToString` writes the mode and
+   * `delegatesFocus` into it.
+   *
+   * @example
+   * class AquaTextField extends WebComponentBase {
+   *   static get shadowRootOptions() {
+   *     return { ...super.shadowRootOptions, delegatesFocus: true }
+   *   }
+   * }
+   */
+  static get shadowRootOptions() {
+    return { mode: 'open' }
+  }
+
+  /**
+   * The prefix used for tag names when components define themselves.
+   *
+   * @type {string|null}
+   *
+   * @description
+   * When set, `define()` replaces the first segment of a component's
+   * `customElementName` with it, so `aqua-button` becomes `acme-button`.
+   * Components define themselves as their modules are evaluated, so the
+   * prefix must be set in a module that is imported before them. Setting
+   * it to `null` restores the default names.
+   *
+   * @example
+   * // tags.js, imported first
+   * WebComponentBase.tagPrefix = 'acme'
+   */
+  static get tagPrefix() {
+    return tagPrefix
+  }
+
+  static set tagPrefix(value) {
+    tagPrefix = value ? String(value) : null
+  }
+
+  /**
+   * Serializes a declared property value for its attribute.
+   *
+   * @param {*} value - The property value.
+   * @param {Object} options - The normalized declaration for the property.
+   * @returns {string|null} The attribute value, or `null` when the attribute
+   *   should be removed.
+   *
+   * @description
+   * `true` Booleans serialize to an empty string and `false` ones to `null`.
+   * `JSON` and `Array` values are serialized with `JSON.stringify()`.
+   * Everything else is converted with `String()`.
+   *
+   * @example
+   * WebComponentBase.toAttribute(true, { type: Boolean })  // ''
+   * WebComponentBase.toAttribute([1, 2], { type: Array })  // '[1,2]'
+   */
+  static toAttribute(value, options) {
+    if (value === null || value === undefined)
+      return null
+
+    switch (options.type) {
+      case Boolean:
+        return value ? '' : null
+
+      case JSON:
+      case Array:
+        return JSON.stringify(value)
+
+      default:
+        return String(value)
+    }
   }
 }
 
@@ -0,0 +1,20 @@
+import './setup.js'
+
+import { after, describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { removeGlobalExports } from '../src/global.exports.js'
+
+after(() => removeGlobalExports(true))
+
+describe('all.js', () => {
+  it('loads every module and exports them globally', async () => {
+    await import('../src/all.js')
+
+    for (const name of ['AquaButton', 'StyleManager', 'themes', 'exportTokens', 'parseTokens'])
+      assert.ok(globalThis.exports[name], `${name} is exported`)
+
+    assert.equal(globalThis.parseTokens, globalThis.exports.parseTokens)
+    assert.ok(customElements.get('aqua-button'))
+  })
+})
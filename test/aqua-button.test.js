@@ -0,0 +1,235 @@
+import './setup.js'
+
+import { afterEach, describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { AquaButton } from '../src/aqua-button.js'
+import { WebComponentBase } from '../src/webcomponentbase.js'
+import { themes } from '../src/themes.js'
+import { cleanup, click, fixture, getVariable, waitForUpdate } from './harness.js'
+
+class TestToolbar extends WebComponentBase {
+  template() {
+    return '<slot></slot>'
+  }
+}
+
+TestToolbar.define('test-toolbar')
+
+afterEach(cleanup)
+
+describe('<aqua-button>', () => {
+  it('is defined as aqua-button', () => {
+    assert.equal(customElements.get('aqua-button'), AquaButton)
+  })
+
+  it('renders its label into the default slot', async () => {
+    const button = await fixture('<aqua-button>Buy</aqua-button>')
+
+    assert.ok(button.elements.button)
+    assert.ok(button.elements.slot)
+    assert.equal(button.textContent, 'Buy')
+  })
+
+  it('exposes its pieces as parts', async () => {
+    const button = await fixture('<aqua-button>Buy</aqua-button>')
+    const parts = button.getParts()
+
+    assert.deepEqual([...parts.keys()], ['button', 'chrome', 'content'])
+    assert.equal(parts.get('content')[0], button.elements.content)
+  })
+
+  it('is blue unless told otherwise', async () => {
+    const button = await fixture('<aqua-button>Buy</aqua-button>')
+
+    assert.equal(getVariable(button, 'buttonTop'), themes.token('aquaBlueTop'))
+  })
+
+  it('switches between the blue and gray palettes', async () => {
+    const button = await fixture('<aqua-button>Buy</aqua-button>')
+
+    button.setColor('Gray')
+    assert.equal(getVariable(button, 'buttonTop'), themes.token('aquaGrayTop'))
+
+    button.setColor('Purple')
+    assert.equal(getVariable(button, 'buttonTop'), themes.token('aquaGrayTop'))
+
+    button.setColor('Blue')
+    assert.equal(getVariable(button, 'buttonTop'), themes.token('aquaBlueTop'))
+  })
+
+  it('sizes itself from the size attribute', async () => {
+    const button = await fixture('<aqua-button size="large">Buy</aqua-button>')
+
+    assert.equal(
+      getVariable(button, 'buttonTextHeight'),
+      'calc(var(--button-text-orig-height) * 1.5)'
+    )
+
+    button.setAttribute('size', 's')
+    assert.equal(
+      getVariable(button, 'buttonTextHeight'),
+      'calc(var(--button-text-orig-height) * 0.7)'
+    )
+  })
+
+  it('turns gray and ignores clicks while disabled', async () => {
+    const button = await fixture(
+      '<aqua-button disabled handler="event.target.dataset.clicked = \'yes\'">Buy</aqua-button>'
+    )
+
+    assert.equal(getVariable(button, 'buttonTop'), themes.token('aquaGrayTop'))
+    assert.ok(button.elements.button.classList.contains('disabled'))
+
+    await click(button)
+    assert.equal(button.dataset.clicked, undefined)
+
+    button.removeAttribute('disabled')
+    await waitForUpdate(button)
+    assert.equal(getVariable(button, 'buttonTop'), themes.token('aquaBlueTop'))
+    assert.equal(button.elements.button.classList.contains('disabled'), false)
+
+    await click(button)
+    assert.equal(button.dataset.clicked, 'yes')
+  })
+
+  it('stays enabled when disabled is "false"', async () => {
+    const button = await fixture(
+      '<aqua-button disabled="false" handler="event.target.dataset.clicked = \'yes\'">Buy</aqua-button>'
+    )
+
+    assert.equal(button.disabled, false)
+    assert.equal(getVariable(button, 'buttonTop'), themes.token('aquaBlueTop'))
+    assert.equal(button.elements.button.classList.contains('disabled'), false)
+
+    await click(button)
+    assert.equal(button.dataset.clicked, 'yes')
+
+    button.disabled = true
+    await waitForUpdate(button)
+    assert.equal(button.getAttribute('disabled'), '')
+    assert.equal(getVariable(button, 'buttonTop'), themes.token('aquaGrayTop'))
+  })
+
+  it('takes color and size from a providing container', async () => {
+    const toolbar = document.createElement('test-toolbar')
+    toolbar.provide('color', 'gray')
+    toolbar.provide('size', 'small')
+
+    const container = await fixture('<div><aqua-button>A</aqua-button></div>')
+    container.firstElementChild.remove()
+    toolbar.innerHTML = '<aqua-button>B</aqua-button><aqua-button color="blue">C</aqua-button>'
+    container.append(toolbar)
+
+    const [provided, explicit] = toolbar.querySelectorAll('aqua-button')
+    await waitForUpdate(provided)
+
+    assert.equal(getVariable(provided, 'buttonTop'), themes.token('aquaGrayTop'))
+    assert.equal(
+      getVariable(provided, 'buttonTextHeight'),
+      'calc(var(--button-text-orig-height) * 0.7)'
+    )
+    assert.equal(getVariable(explicit, 'buttonTop'), themes.token('aquaBlueTop'))
+  })
+
+  describe('in a form', () => {
+    it('submits its form with its name and value', async () => {
+      const form = await fixture(`
+        <form>
+          <input name="query" value="aqua">
+          <aqua-button name="action" value="save">Save</aqua-button>
+        </form>
+      `)
+      const button = form.querySelector('aqua-button')
+      const submitted = []
+
+      form.addEventListener('submit', event => {
+        event.preventDefault()
+        submitted.push([...new FormData(form, event.submitter)])
+      })
+
+      await click(button)
+
+      assert.deepEqual(submitted, [[['query', 'aqua'], ['action', 'save']]])
+      assert.deepEqual([...new FormData(form)], [['query', 'aqua']])
+      assert.equal(form.querySelector('button'), null)
+    })
+
+    it('submits nothing of its own without a name', async () => {
+      const form = await fixture('<form><aqua-button value="save">Save</aqua-button></form>')
+      const submitted = []
+
+      form.addEventListener('submit', event => {
+        event.preventDefault()
+        submitted.push([...new FormData(form, event.submitter)])
+      })
+
+      await click(form.querySelector('aqua-button'))
+
+      assert.deepEqual(submitted, [[]])
+    })
+
+    it('resets its form when its type is reset', async () => {
+      const form = await fixture(`
+        <form>
+          <input name="query" value="aqua">
+          <aqua-button type="reset">Revert</aqua-button>
+        </form>
+      `)
+      const input = form.querySelector('input')
+      const events = []
+
+      form.addEventListener('reset', event => events.push(event.type))
+      form.addEventListener('submit', event => {
+        event.preventDefault()
+        events.push(event.type)
+      })
+
+      input.value = 'graphite'
+      await click(form.querySelector('aqua-button'))
+
+      assert.equal(input.value, 'aqua')
+      assert.deepEqual(events, ['reset'])
+    })
+
+    it('does nothing to its form when its type is button', async () => {
+      const form = await fixture(`
+        <form>
+          <input name="query" value="aqua">
+          <aqua-button type="Button" name="action" value="save">Save</aqua-button>
+        </form>
+      `)
+      const button = form.querySelector('aqua-button')
+      const events = []
+
+      form.addEventListener('reset', event => events.push(event.type))
+      form.addEventListener('submit', event => {
+        event.preventDefault()
+        events.push(event.type)
+      })
+
+      form.querySelector('input').value = 'graphite'
+      await click(button)
+
+      assert.deepEqual(events, [])
+      assert.equal(form.querySelector('input').value, 'graphite')
+      assert.equal(button.form, form)
+    })
+
+    it('leaves the form alone when the click is prevented', async () => {
+      const form = await fixture('<form><aqua-button>Save</aqua-button></form>')
+      const button = form.querySelector('aqua-button')
+      const events = []
+
+      form.addEventListener('submit', event => {
+        event.preventDefault()
+        events.push(event.type)
+      })
+      button.addEventListener('click', event => event.preventDefault())
+
+      await click(button)
+
+      assert.deepEqual(events, [])
+    })
+  })
+})
@@ -0,0 +1,21 @@
+import './setup.js'
+
+import { afterEach, describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { AquaButton2 } from '../src/aqua-button2.js'
+import { cleanup, fixture } from './harness.js'
+
+afterEach(cleanup)
+
+describe('<aqua-button2>', () => {
+  it('is defined as aqua-button2', () => {
+    assert.equal(customElements.get('aqua-button2'), AquaButton2)
+  })
+
+  it('renders a native button', async () => {
+    const button = await fixture('<aqua-button2></aqua-button2>')
+
+    assert.equal(button.shadowRoot.querySelector('button span').textContent.trim(), 'Aqua button')
+  })
+})
@@ -0,0 +1,50 @@
+import './setup.js'
+
+import { afterEach, describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { AquaHorizontalRule } from '../src/aqua-hr.js'
+import { cleanup, fixture, getVariable, waitForUpdate } from './harness.js'
+
+afterEach(cleanup)
+
+describe('<aqua-hr>', () => {
+  it('is defined as aqua-hr', () => {
+    assert.equal(customElements.get('aqua-hr'), AquaHorizontalRule)
+  })
+
+  it('renders its rule with the default size', async () => {
+    const rule = await fixture('<aqua-hr></aqua-hr>')
+
+    assert.ok(rule.shadowRoot.querySelector('.aqua-hr'))
+    assert.equal(rule.width, '100%')
+    assert.equal(rule.height, '6px')
+    assert.equal(getVariable(rule, 'hrRadius'), 'calc((var(--hr-height) / 2) + 2px)')
+  })
+
+  it('maps width and height to variables', async () => {
+    const rule = await fixture('<aqua-hr></aqua-hr>')
+
+    rule.setAttribute('width', '50%')
+    rule.height = '10px'
+    await waitForUpdate(rule)
+
+    assert.equal(getVariable(rule, 'hrWidth'), '50%')
+    assert.equal(getVariable(rule, 'hrHeight'), '10px')
+  })
+
+  it('understands the margin shorthands', async () => {
+    const rule = await fixture('<aqua-hr></aqua-hr>')
+    const margins = {
+      'none': '0',
+      'top 4px': '4px 0 0.5em 0',
+      'bottom 2em': '0.3em 0 2em 0',
+      '1px 2px': '1px 2px',
+    }
+
+    for (const [margin, expected] of Object.entries(margins)) {
+      rule.setAttribute('margin', margin)
+      assert.equal(getVariable(rule, 'hrMargin'), expected, margin)
+    }
+  })
+})
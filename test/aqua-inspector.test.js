@@ -0,0 +1,43 @@
+import './setup.js'
+
+import { afterEach, describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import '../src/aqua-hr.js'
+import { AquaInspector } from '../src/aqua-inspector.js'
+import { cleanup, click, fixture, waitForUpdate } from './harness.js'
+
+afterEach(cleanup)
+
+describe('<aqua-inspector>', () => {
+  it('is defined as aqua-inspector', () => {
+    assert.equal(customElements.get('aqua-inspector'), AquaInspector)
+  })
+
+  it('lists connected components and edits their variables', async () => {
+    const container = await fixture('<div><aqua-hr margin="none"></aqua-hr></div>')
+    const rule = container.firstElementChild
+    const inspector = document.createElement('aqua-inspector')
+    container.append(inspector)
+
+    await click(inspector.shadowRoot.querySelector('.toggle'))
+    assert.equal(inspector.open, true)
+
+    const item = [...inspector.shadowRoot.querySelectorAll('li')]
+      .find(entry => entry.textContent.includes(rule.instanceId))
+    assert.ok(item)
+
+    await click(item)
+    assert.equal(inspector.selected, rule.instanceId)
+
+    const row = [...inspector.shadowRoot.querySelectorAll('tr')]
+      .find(entry => entry.querySelector('th')?.textContent === '--hr-margin')
+    const input = row.querySelector('input')
+    assert.equal(input.value, '0')
+
+    input.value = '2px'
+    input.dispatchEvent(new Event('change'))
+    await waitForUpdate(inspector)
+    assert.equal(rule.styleManager.getVariable('hr-margin'), '2px')
+  })
+})
@@ -0,0 +1,56 @@
+import './setup.js'
+
+import { afterEach, describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { AquaTrafficLight } from '../src/aqua-trafficlight.js'
+import { themes } from '../src/themes.js'
+import { cleanup, fixture, getVariable, waitForUpdate } from './harness.js'
+
+afterEach(cleanup)
+
+describe('<aqua-trafficlight>', () => {
+  it('is defined as aqua-trafficlight', () => {
+    assert.equal(customElements.get('aqua-trafficlight'), AquaTrafficLight)
+  })
+
+  it('lights its bulb in a named or CSS color', async () => {
+    const light = await fixture('<aqua-trafficlight></aqua-trafficlight>')
+
+    assert.equal(light.color, undefined)
+
+    light.setAttribute('color', 'red')
+    assert.equal(light.color, themes.token('trafficlightRed'))
+    assert.match(light.color, /^var\(--trafficlight-red, \S+\)$/)
+
+    light.setAttribute('color', 'purple')
+    assert.equal(light.color, 'purple')
+
+    light.removeAttribute('color')
+    assert.equal(light.color, undefined)
+  })
+
+  it('toggles its bulb on and off', async () => {
+    const light = await fixture('<aqua-trafficlight></aqua-trafficlight>')
+
+    light.toggle('green')
+    assert.ok(light.color)
+
+    light.toggle()
+    assert.equal(light.color, undefined)
+
+    light.toggle()
+    assert.ok(light.color)
+  })
+
+  it('maps its size to a variable', async () => {
+    const light = await fixture('<aqua-trafficlight></aqua-trafficlight>')
+
+    assert.equal(light.size, '12px')
+    assert.equal(getVariable(light, 'size'), '12px')
+
+    light.setAttribute('size', '24px')
+    await waitForUpdate(light)
+    assert.equal(getVariable(light, 'size'), '24px')
+  })
+})
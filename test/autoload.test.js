@@ -0,0 +1,102 @@
+import './setup.js'
+
+import { after, afterEach, describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { autoload, load, loaders, stop } from '../src/autoload.js'
+import { WebComponentBase } from '../src/webcomponentbase.js'
+import { cleanup, fixture } from './harness.js'
+
+/**
+ * Registers a loader for a test component that defines it when called, and
+ * counts how often it was called.
+ *
+ * @param {string} tagName - The tag name of the component.
+ * @returns {{ calls: number }} The loader's call count.
+ */
+function lazyComponent(tagName) {
+  const loader = { calls: 0 }
+
+  loaders.set(tagName, async () => {
+    loader.calls++
+
+    class LazyComponent extends WebComponentBase {}
+
+    LazyComponent.define(tagName)
+    return { LazyComponent }
+  })
+
+  return loader
+}
+
+/**
+ * Waits for a tag to be defined, failing after a while instead of hanging.
+ *
+ * @param {string} tagName - The tag name.
+ * @returns {Promise<boolean>} Whether the tag was defined in time.
+ */
+function defined(tagName) {
+  return Promise.race([
+    customElements.whenDefined(tagName).then(() => true),
+    new Promise(resolve => setTimeout(resolve, 500, false)),
+  ])
+}
+
+afterEach(cleanup)
+after(stop)
+
+describe('autoload', () => {
+  it('imports the module of a component once', async () => {
+    const first = load('aqua-hr')
+
+    assert.equal(load('aqua-hr'), first)
+    assert.equal(load('not-a-component'), null)
+
+    const { AquaHorizontalRule } = await first
+    assert.equal(customElements.get('aqua-hr'), AquaHorizontalRule)
+  })
+
+  it('loads components as their tags appear on the page', async () => {
+    const loader = lazyComponent('test-lazy')
+
+    await fixture('<div><test-lazy></test-lazy><test-lazy></test-lazy></div>')
+
+    assert.equal(await defined('test-lazy'), true)
+    assert.equal(loader.calls, 1)
+  })
+
+  it('watches the shadow roots it is given', async () => {
+    const loader = lazyComponent('test-shadowed')
+    const host = await fixture('<div></div>')
+    const root = host.attachShadow({ mode: 'closed' })
+
+    autoload(root)
+    root.innerHTML = '<test-shadowed></test-shadowed>'
+
+    assert.equal(await defined('test-shadowed'), true)
+    assert.equal(loader.calls, 1)
+  })
+
+  it('retries a module that failed to load', async () => {
+    let attempts = 0
+
+    loaders.set('test-flaky', () => (
+      ++attempts === 1 ? Promise.reject(new Error('offline')) : Promise.resolve({})
+    ))
+
+    await assert.rejects(load('test-flaky'), /offline/)
+    await load('test-flaky')
+
+    assert.equal(attempts, 2)
+  })
+
+  it('stops watching once stopped', async () => {
+    const loader = lazyComponent('test-stopped')
+
+    stop()
+    await fixture('<test-stopped></test-stopped>')
+
+    assert.equal(await defined('test-stopped'), false)
+    assert.equal(loader.calls, 0)
+  })
+})
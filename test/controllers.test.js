@@ -0,0 +1,92 @@
+import './setup.js'
+
+import { afterEach, describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { PressController } from '../src/controllers.js'
+import { WebComponentBase } from '../src/webcomponentbase.js'
+import { cleanup, click, fixture, pressKey } from './harness.js'
+
+class TestPressable extends WebComponentBase {
+  presses = 0
+  updates = []
+
+  press = new PressController(this, { onPress: () => this.presses++ })
+
+  updated(changedKeys) {
+    this.updates.push(...changedKeys)
+  }
+}
+
+TestPressable.define('test-pressable')
+
+afterEach(cleanup)
+
+describe('PressController', () => {
+  it('reports pointer presses', async () => {
+    const pressable = await fixture('<test-pressable></test-pressable>')
+
+    await click(pressable)
+
+    assert.equal(pressable.presses, 1)
+    assert.equal(pressable.press.pressed, false)
+    assert.ok(pressable.updates.includes('pressed'))
+  })
+
+  it('ignores buttons other than the primary one', async () => {
+    const pressable = await fixture('<test-pressable></test-pressable>')
+
+    await click(pressable, { button: 2 })
+
+    assert.equal(pressable.presses, 0)
+  })
+
+  it('reports Space and Enter as presses', async () => {
+    const pressable = await fixture('<test-pressable></test-pressable>')
+
+    await pressKey(pressable, ' ')
+    await pressKey(pressable, 'Enter')
+    await pressKey(pressable, 'a')
+
+    assert.equal(pressable.presses, 2)
+  })
+
+  it('stops listening once removed from its host', async () => {
+    const pressable = await fixture('<test-pressable></test-pressable>')
+    const listeners = pressable.getListenerEntries().length
+
+    assert.equal(pressable.removeController(pressable.press), true)
+    pressable.updates.length = 0
+
+    await click(pressable)
+    await pressKey(pressable, 'Enter')
+
+    assert.equal(pressable.presses, 0)
+    assert.equal(pressable.press.pressed, false)
+    assert.deepEqual(pressable.updates, [])
+    assert.equal(pressable.getListenerEntries().length, listeners - 6)
+  })
+
+  it('listens again after the host is reconnected', async () => {
+    const pressable = await fixture('<test-pressable></test-pressable>')
+    const parent = pressable.parentNode
+    const listeners = pressable.getListenerEntries().length
+
+    pressable.remove()
+    parent.append(pressable)
+    await click(pressable)
+
+    assert.equal(pressable.presses, 1)
+    assert.equal(pressable.getListenerEntries().length, listeners)
+  })
+
+  it('forgets a press in progress when the host is disconnected', async () => {
+    const pressable = await fixture('<test-pressable></test-pressable>')
+
+    pressable.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter' }))
+    assert.equal(pressable.press.pressed, true)
+
+    pressable.remove()
+    assert.equal(pressable.press.pressed, false)
+  })
+})
@@ -0,0 +1,59 @@
+import './setup.js'
+
+import { afterEach, describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import {
+  applyGlobalExports,
+  exportsMap,
+  removeGlobalExports,
+} from '../src/global.exports.js'
+
+afterEach(() => removeGlobalExports(true))
+
+describe('global exports', () => {
+  it('copies assigned objects onto globalThis', () => {
+    applyGlobalExports()
+
+    globalThis.exports = { alpha: 1, beta: 2 }
+
+    assert.equal(globalThis.alpha, 1)
+    assert.equal(globalThis.exports.beta, 2)
+    assert.deepEqual(globalThis.exports.keys, ['alpha', 'beta'])
+    assert.equal(exportsMap.get('alpha'), 1)
+  })
+
+  it('keeps earlier exports when more are assigned', () => {
+    applyGlobalExports()
+
+    globalThis.exports = { alpha: 1 }
+    globalThis.exports = { beta: 2 }
+    globalThis.exports.gamma = 3
+
+    assert.deepEqual([...globalThis.exports].map(([key]) => key), ['alpha', 'beta', 'gamma'])
+    assert.equal(globalThis.gamma, 3)
+    assert.ok('gamma' in globalThis.exports)
+  })
+
+  it('deletes single exports', () => {
+    applyGlobalExports()
+
+    globalThis.exports = { alpha: 1 }
+
+    assert.equal(delete globalThis.exports.alpha, true)
+    assert.equal('alpha' in globalThis, false)
+    assert.equal(delete globalThis.exports.missing, true)
+  })
+
+  it('removes the exports object, and optionally what it exported', () => {
+    applyGlobalExports()
+    globalThis.exports = { alpha: 1 }
+
+    const manifest = removeGlobalExports(true)
+
+    assert.deepEqual(manifest, { alpha: true, exportsMap: true })
+    assert.equal('alpha' in globalThis, false)
+    assert.equal('exports' in globalThis, false)
+    assert.equal(exportsMap.size, 0)
+  })
+})
@@ -0,0 +1,26 @@
+import './setup.js'
+
+import { afterEach, describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { GlowText } from '../src/glow-text.js'
+import { cleanup, fixture, waitForUpdate } from './harness.js'
+
+afterEach(cleanup)
+
+describe('<glow-text>', () => {
+  it('is defined as glow-text', () => {
+    assert.equal(customElements.get('glow-text'), GlowText)
+  })
+
+  it('copies its text into the glow filter', async () => {
+    const glow = await fixture('<glow-text>Hello</glow-text>')
+    const span = glow.shadowRoot.querySelector('span.glow-filter')
+
+    assert.equal(span.dataset.text, 'Hello')
+
+    glow.textContent = 'Goodbye'
+    await waitForUpdate(glow)
+    assert.equal(span.dataset.text, 'Goodbye')
+  })
+})
@@ -0,0 +1,158 @@
+import { TemplateResult, render as renderTemplate } from '../src/html.js'
+
+/**
+ * The containers created by `fixture()`, removed again by `cleanup()`.
+ *
+ * @type {Set<HTMLElement>}
+ */
+const containers = new Set()
+
+/**
+ * Renders markup into the document and waits for its first element to
+ * finish updating.
+ *
+ * @param {string|TemplateResult} markup - The HTML to render, or the
+ *   result of an `html` tagged template.
+ * @returns {Promise<Element>} The first element of the markup.
+ *
+ * @description
+ * The markup is rendered into a new container appended to `document.body`,
+ * so the components in it are connected. Define components before creating
+ * fixtures of them; call `cleanup()` after each test to remove them again.
+ *
+ * @example
+ * const button = await fixture('<aqua-button color="gray">Buy</aqua-button>')
+ */
+export async function fixture(markup) {
+  const container = document.createElement('div')
+
+  if (markup instanceof TemplateResult)
+    renderTemplate(markup, container)
+  else
+    container.innerHTML = markup
+
+  document.body.append(container)
+  containers.add(container)
+
+  const element = container.firstElementChild
+
+  await waitForUpdate(element)
+
+  return element
+}
+
+/**
+ * Removes every fixture from the document.
+ *
+ * @example
+ * afterEach(cleanup)
+ */
+export function cleanup() {
+  for (const container of containers)
+    container.remove()
+
+  containers.clear()
+}
+
+/**
+ * Waits for a component to finish rendering, and for the events and
+ * observers its rendering triggered to run.
+ *
+ * @param {Element} element - The element to wait for.
+ * @returns {Promise<Element>} The element.
+ *
+ * @example
+ * button.setAttribute('size', 'large')
+ * await waitForUpdate(button)
+ */
+export async function waitForUpdate(element) {
+  await element?.updateComplete
+  await new Promise(resolve => setTimeout(resolve))
+
+  return element
+}
+
+/**
+ * Clicks an element the way a pointer would, firing `pointerdown`,
+ * `pointerup` and `click`, and waits for it to update.
+ *
+ * @param {Element} element - The element to click.
+ * @param {Object} [options={}] - Extra properties for the events.
+ * @returns {Promise<Element>} The element, once it has updated.
+ */
+export async function click(element, options = {}) {
+  const init = { bubbles: true, composed: true, cancelable: true, button: 0, ...options }
+
+  element.dispatchEvent(new PointerEvent('pointerdown', init))
+  element.dispatchEvent(new PointerEvent('pointerup', init))
+  element.dispatchEvent(new MouseEvent('click', init))
+
+  return waitForUpdate(element)
+}
+
+/**
+ * Presses and releases a key on an element and waits for it to update.
+ *
+ * @param {Element} element - The element receiving the key.
+ * @param {string} key - The key, as in `KeyboardEvent.key`; e.g. `'Enter'`
+ *   or `' '`.
+ * @param {Object} [options={}] - Extra properties for the events.
+ * @returns {Promise<Element>} The element, once it has updated.
+ */
+export async function pressKey(element, key, options = {}) {
+  const init = { bubbles: true, composed: true, cancelable: true, key, ...options }
+
+  element.dispatchEvent(new KeyboardEvent('keydown', init))
+  element.dispatchEvent(new KeyboardEvent('keyup', init))
+
+  return waitForUpdate(element)
+}
+
+/**
+ * Returns a CSS variable managed by a component's `styleManager`.
+ *
+ * @param {Element} element - The component.
+ * @param {string} name - The variable name, in camelCase or kebab-case and
+ *   without the leading `--`.
+ * @returns {string|undefined} The variable's value, or `undefined` when it
+ *   is not set.
+ *
+ * @example
+ * getVariable(rule, 'hrMargin') // '4px 0 0.5em 0'
+ */
+export function getVariable(element, name) {
+  const { styleManager } = element
+  const property = styleManager.normalizeProp(name)
+
+  return styleManager.hasVariable(property)
+    ? styleManager.getVariable(property)
+    : undefined
+}
+
+/**
+ * Returns every CSS variable managed by a component's `styleManager`.
+ *
+ * @param {Element} element - The component.
+ * @returns {Object<string, string>} The variables, keyed in camelCase.
+ *
+ * @example
+ * assert.equal(getVariables(button).buttonTextColor, 'rgb(98,98,98)')
+ */
+export function getVariables(element) {
+  const { styleManager } = element
+
+  return Object.fromEntries(
+    styleManager.getVariableNames()
+      .map(name => [name, styleManager.getVariable(styleManager.normalizeProp(name))])
+  )
+}
+
+export default {
+  cleanup,
+  click,
+  fixture,
+  getVariable,
+  getVariables,
+  pressKey,
+  waitForUpdate,
+}
@@ -0,0 +1,164 @@
+import './setup.js'
+
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { html, render } from '../src/html.js'
+
+describe('html', () => {
+  describe('child bindings', () => {
+    it('renders text after the existing children and updates it in place', () => {
+      const container = document.createElement('div')
+      const style = document.createElement('style')
+      const template = count => html`<p class="count">${count}</p>`
+
+      container.append(style)
+      render(template(1), container)
+
+      const paragraph = container.querySelector('p')
+      const text = paragraph.firstChild.nextSibling
+
+      render(template(2), container)
+
+      assert.equal(container.firstChild, style)
+      assert.equal(container.querySelector('p'), paragraph)
+      assert.equal(paragraph.textContent, '2')
+      assert.equal(text.data, '2')
+    })
+
+    it('renders nothing for null, undefined and false', () => {
+      const container = document.createElement('div')
+
+      for (const value of [null, undefined, false]) {
+        render(html`<p>${value}</p>`, container)
+        assert.equal(container.querySelector('p').textContent, '')
+      }
+    })
+
+    it('renders nodes, nested templates and lists', () => {
+      const container = document.createElement('div')
+      const node = document.createElement('em')
+      const item = name => html`<li>${name}</li>`
+      const template = (names, extra) => html`<ul>${names.map(item)}</ul>${extra}`
+
+      render(template(['a', 'b', 'c'], node), container)
+
+      const first = container.querySelector('li')
+
+      assert.deepEqual([...container.querySelectorAll('li')].map(li => li.textContent), ['a', 'b', 'c'])
+      assert.equal(container.querySelector('em'), node)
+
+      render(template(['z', 'b'], html`<strong>${'bold'}</strong>`), container)
+
+      assert.deepEqual([...container.querySelectorAll('li')].map(li => li.textContent), ['z', 'b'])
+      assert.equal(container.querySelector('li'), first)
+      assert.equal(container.querySelector('em'), null)
+      assert.equal(container.querySelector('strong').textContent, 'bold')
+    })
+
+    it('replaces the content rendered from a different template', () => {
+      const container = document.createElement('div')
+
+      render(html`<p>${'one'}</p>`, container)
+      render(html`<span>${'two'}</span>`, container)
+
+      assert.equal(container.querySelector('p'), null)
+      assert.equal(container.querySelector('span').textContent, 'two')
+    })
+  })
+
+  describe('attribute bindings', () => {
+    it('sets, interpolates and removes attributes', () => {
+      const container = document.createElement('div')
+      const template = (id, state) => html`<p id=${id} class="a ${state} c"></p>`
+
+      render(template('first', 'b'), container)
+
+      const paragraph = container.querySelector('p')
+
+      assert.equal(paragraph.id, 'first')
+      assert.equal(paragraph.className, 'a b c')
+
+      render(template(null, undefined), container)
+
+      assert.equal(paragraph.hasAttribute('id'), false)
+      assert.equal(paragraph.className, 'a  c')
+    })
+
+    it('allows the other quote inside a quoted attribute value', () => {
+      const container = document.createElement('div')
+
+      render(html`<div title="it's ${'x'}" data-quote='say "${'hi'}"'></div>`, container)
+
+      const div = container.querySelector('div')
+
+      assert.equal(div.title, "it's x")
+      assert.equal(div.dataset.quote, 'say "hi"')
+    })
+
+    it('assigns properties and toggles boolean attributes', () => {
+      const container = document.createElement('div')
+      const template = (value, disabled) => html`<input .value=${value} ?disabled=${disabled}>`
+
+      render(template('typed', true), container)
+
+      const input = container.querySelector('input')
+
+      assert.equal(input.value, 'typed')
+      assert.equal(input.hasAttribute('value'), false)
+      assert.equal(input.hasAttribute('disabled'), true)
+
+      render(template('changed', false), container)
+
+      assert.equal(input.value, 'changed')
+      assert.equal(input.hasAttribute('disabled'), false)
+    })
+
+    it('calls event listeners with the host as this', () => {
+      const container = document.createElement('div')
+      const host = { name: 'host' }
+      const calls = []
+      const template = handler => html`<button @click=${handler}></button>`
+
+      render(template(function (event) { calls.push(['first', this, event.type]) }), container, { host })
+
+      const button = container.querySelector('button')
+      button.click()
+
+      render(template({ handleEvent: event => calls.push(['object', event.type]) }), container, { host })
+      button.click()
+
+      render(template(null), container, { host })
+      button.click()
+
+      assert.deepEqual(calls, [['first', host, 'click'], ['object', 'click']])
+    })
+  })
+
+  describe('errors', () => {
+    it('rejects bindings in the text of raw text elements', () => {
+      const templates = {
+        style: color => html`<style>.a { color: ${color} }</style>`,
+        script: value => html`<script>${value}</script>`,
+        textarea: value => html`<textarea>${value}</textarea>`,
+        title: value => html`<title>${value}</title>`,
+      }
+
+      for (const [name, template] of Object.entries(templates)) {
+        assert.throws(
+          () => render(template('red'), document.createElement('div')),
+          { message: new RegExp(`text of a <${name}> element`) }
+        )
+      }
+    })
+
+    it('allows bindings on raw text elements and after them', () => {
+      const container = document.createElement('div')
+
+      render(html`<textarea .value=${'typed'}></textarea><p>${'after'}</p>`, container)
+
+      assert.equal(container.querySelector('textarea').value, 'typed')
+      assert.equal(container.querySelector('p').textContent, 'after')
+    })
+  })
+})
@@ -0,0 +1,379 @@
+/**
+ * The shadow root attached to each element, which a closed root does not
+ * expose through `element.shadowRoot`.
+ *
+ * @type {WeakMap<Element, ShadowRoot>}
+ */
+const shadowRoots = new WeakMap()
+
+/**
+ * The declarative shadow roots to give elements of a tag name; see
+ * `declareShadowRoot`.
+ *
+ * @type {Map<string, { init: Object, html: string }>}
+ */
+const declaredRoots = new Map()
+
+/**
+ * The elements that have attached their internals, which they may only do
+ * once.
+ *
+ * @type {WeakSet<HTMLElement>}
+ */
+const attached = new WeakSet()
+
+/**
+ * The internals of each element that attached them, so that `FormData` and
+ * resetting a form can find the form associated elements of a form.
+ *
+ * @type {WeakMap<HTMLElement, ElementInternalsShim>}
+ */
+const internalsOf = new WeakMap()
+
+/**
+ * The validity flags `setValidity` accepts, as on `ValidityState`.
+ *
+ * @type {string[]}
+ */
+const validityFlags = [
+  'badInput', 'customError', 'patternMismatch', 'rangeOverflow',
+  'rangeUnderflow', 'stepMismatch', 'tooLong', 'tooShort', 'typeMismatch',
+  'valueMissing',
+]
+
+/**
+ * A stand-in for `ElementInternals`, which happy-dom does not implement.
+ *
+ * @description
+ * Only what the components use is implemented: the `shadowRoot` of the
+ * host, whatever its mode, and for form associated hosts their form, form
+ * value, validity and labels. As in browsers, the form members throw a
+ * `NotSupportedError` when the host's class is not form associated.
+ */
+export class ElementInternalsShim {
+  /**
+   * The element the internals belong to.
+   *
+   * @type {HTMLElement}
+   */
+  #host
+
+  /**
+   * The value set with `setFormValue`.
+   *
+   * @type {string|File|FormData|null}
+   */
+  #value = null
+
+  /**
+   * The flags and message set with `setValidity`.
+   *
+   * @type {{ flags: Object<string, boolean>, message: string }}
+   */
+  #validity = { flags: {}, message: '' }
+
+  /**
+   * Creates the internals of an element.
+   *
+   * @param {HTMLElement} host - The element the internals belong to.
+   */
+  constructor(host) {
+    this.#host = host
+  }
+
+  /**
+   * Returns the form the host belongs to: the one its `form` attribute
+   * names, or else its closest `<form>` ancestor.
+   *
+   * @returns {HTMLFormElement|null} The form, or `null` if there is none.
+   */
+  get form() {
+    this.#requireFormAssociated()
+
+    const id = this.#host.getAttribute('form')
+
+    if (id !== null) {
+      const form = this.#host.ownerDocument.getElementById(id)
+
+      return form?.localName === 'form' ? form : null
+    }
+
+    return this.#host.closest('form')
+  }
+
+  /**
+   * Returns the `<label>` elements that label the host, by wrapping it or
+   * through their `for` attribute.
+   *
+   * @returns {HTMLLabelElement[]} The labels.
+   */
+  get labels() {
+    this.#requireFormAssociated()
+
+    const { id } = this.#host
+
+    return [...this.#host.ownerDocument.querySelectorAll('label')].filter(
+      label => label.contains(this.#host) || (id && label.htmlFor === id)
+    )
+  }
+
+  /**
+   * Returns the host's shadow root, open or closed.
+   *
+   * @returns {ShadowRoot|null} The shadow root, or `null` if none is
+   *   attached.
+   */
+  get shadowRoot() {
+    return shadowRoots.get(this.#host) ?? null
+  }
+
+  /**
+   * Returns the message set along with the host's validity flags.
+   *
+   * @returns {string} The message, empty while the host is valid.
+   */
+  get validationMessage() {
+    this.#requireFormAssociated()
+
+    return this.validity.valid ? '' : this.#validity.message
+  }
+
+  /**
+   * Returns the host's validity flags and whether it is `valid`.
+   *
+   * @returns {Object<string, boolean>} The flags, as on `ValidityState`.
+   */
+  get validity() {
+    this.#requireFormAssociated()
+
+    const state = Object.fromEntries(
+      validityFlags.map(flag => [flag, !!this.#validity.flags[flag]])
+    )
+
+    return { ...state, valid: !Object.values(state).includes(true) }
+  }
+
+  /**
+   * Returns the value set with `setFormValue`, which the shim's `FormData`
+   * enters under the host's `name`.
+   *
+   * @returns {string|File|FormData|null} The value.
+   */
+  get value() {
+    return this.#value
+  }
+
+  /**
+   * Returns whether the host is validated when its form is submitted.
+   *
+   * @returns {boolean} `true` unless the host is disabled.
+   */
+  get willValidate() {
+    this.#requireFormAssociated()
+
+    return !this.#host.matches('[disabled], fieldset[disabled] *')
+  }
+
+  /**
+   * Returns whether the host is valid, firing `invalid` at it if not.
+   *
+   * @returns {boolean} Whether the host is valid.
+   */
+  checkValidity() {
+    this.#requireFormAssociated()
+
+    if (!this.willValidate || this.validity.valid)
+      return true
+
+    this.#host.dispatchEvent(new Event('invalid', { cancelable: true }))
+
+    return false
+  }
+
+  /**
+   * Returns whether the host is valid, firing `invalid` at it if not. There
+   * is no user to report to, so this is `checkValidity`.
+   *
+   * @returns {boolean} Whether the host is valid.
+   */
+  reportValidity() {
+    return this.checkValidity()
+  }
+
+  /**
+   * Sets the value the host contributes to its form.
+   *
+   * @param {string|File|FormData|null} value - The value, or `null` to
+   *   contribute nothing.
+   */
+  setFormValue(value) {
+    this.#requireFormAssociated()
+
+    this.#value = value
+  }
+
+  /**
+   * Sets the host's validity flags and message.
+   *
+   * @param {Object<string, boolean>} [flags={}] - The flags; none set makes
+   *   the host valid.
+   * @param {string} [message=''] - The message, required with any flag.
+   */
+  setValidity(flags = {}, message = '') {
+    this.#requireFormAssociated()
+
+    if (Object.values(flags).includes(true) && !message)
+      throw new TypeError('setValidity requires a message when a flag is set')
+
+    this.#validity = { flags: { ...flags }, message }
+  }
+
+  /**
+   * Throws the `NotSupportedError` browsers throw when a form member is
+   * used on the internals of an element that is not form associated.
+   */
+  #requireFormAssociated() {
+    if (!this.#host.constructor.formAssociated) {
+      throw new DOMException(
+        'The target element is not a form-associated custom element',
+        'NotSupportedError'
+      )
+    }
+  }
+}
+
+/**
+ * Lists the form associated custom elements of a form that attached their
+ * internals.
+ *
+ * @param {HTMLFormElement} form - The form.
+ * @returns {Array<[HTMLElement, ElementInternalsShim]>} The elements and
+ *   their internals, in tree order.
+ */
+function associatedElements(form) {
+  const root = form.getRootNode()
+  const elements = [...root.querySelectorAll('*')]
+
+  return elements
+    .filter(element => element.constructor.formAssociated && internalsOf.has(element))
+    .map(element => [element, internalsOf.get(element)])
+    // happy-dom fires a form's events from the element behind the proxy it
+    // hands out, which only `isSameNode` on the proxy matches
+    .filter(([, { form: owner }]) => owner === form || owner?.isSameNode(form))
+}
+
+/**
+ * Installs `HTMLElement.prototype.attachInternals` where the DOM lacks it.
+ *
+ * @description
+ * `FormData` is patched along with it, and a `reset` listener added to the
+ * window, so that form associated custom elements contribute their form
+ * value to a form's data and have `formResetCallback` called when it is
+ * reset.
+ *
+ * @returns {boolean} `true` if the shim was installed, `false` when the DOM
+ *   has its own implementation.
+ *
+ * @example
+ * import { installElementInternals } from './internals.js'
+ * installElementInternals()
+ */
+export function installElementInternals() {
+  if (typeof HTMLElement.prototype.attachInternals === 'function')
+    return false
+
+  const { attachShadow } = Element.prototype
+
+  Element.prototype.attachShadow = function (init) {
+    const root = attachShadow.call(this, init)
+
+    shadowRoots.set(this, root)
+
+    return root
+  }
+
+  const NativeFormData = globalThis.FormData
+
+  globalThis.FormData = class FormData extends NativeFormData {
+    constructor(form, submitter) {
+      super(form, submitter)
+
+      if (!form)
+        return
+
+      for (const [element, internals] of associatedElements(form)) {
+        const name = element.getAttribute('name')
+        const { value } = internals
+
+        if (!name || value === null || element.matches('[disabled], fieldset[disabled] *'))
+          continue
+
+        if (value instanceof NativeFormData) {
+          for (const [key, entry] of value)
+            this.append(key, entry)
+        }
+        else
+          this.append(name, value)
+      }
+    }
+  }
+
+  // happy-dom gives each form its own `reset` method, so follow the reset
+  // event instead; like browsers, a cancelled reset leaves the elements alone
+  globalThis.addEventListener('reset', event => {
+    if (event.defaultPrevented || event.target?.localName !== 'form')
+      return
+
+    for (const [element] of associatedElements(event.target))
+      element.formResetCallback?.()
+  })
+
+  HTMLElement.prototype.attachInternals = function () {
+    if (attached.has(this)) {
+      throw new DOMException(
+        'ElementInternals for the specified element was already attached',
+        'NotSupportedError'
+      )
+    }
+
+    attached.add(this)
+
+    const declared = declaredRoots.get(this.localName)
+
+    if (declared && !shadowRoots.has(this))
+      this.attachShadow(declared.init).innerHTML = declared.html
+
+    const internals = new ElementInternalsShim(this)
+    internalsOf.set(this, internals)
+
+    return internals
+  }
+
+  return true
+}
+
+/**
+ * Gives the elements of a tag name created from now on a shadow root, as
+ * if the server had rendered it with `<template shadowrootmode>`.
+ *
+ * @param {string} localName - The tag name of the elements.
+ * @param {Object} init - The options of the shadow root, e.g.
+ *   `{ mode: 'closed' }`.
+ * @param {string} html - The content of the shadow root.
+ * @returns {Function} A function that stops giving elements the root.
+ *
+ * @description
+ * happy-dom neither parses declarative shadow roots nor upgrades elements
+ * that exist before their class is defined, so the root is attached when
+ * the component's constructor attaches its internals, before it looks for
+ * an existing root. This is the state a browser upgrades a server
+ * rendered component in.
+ *
+ * @example
+ * const undeclare = declareShadowRoot('aqua-hr', { mode: 'open' }, '<div></div>')
+ */
+export function declareShadowRoot(localName, init, html) {
+  declaredRoots.set(localName, { init, html })
+
+  return () => { declaredRoots.delete(localName) }
+}
@@ -0,0 +1,20 @@
+/**
+ * Installs a DOM on `globalThis` so the components can run under Node.
+ *
+ * @description
+ * Import this module before anything from `src/`; the components extend
+ * `HTMLElement` and define themselves as soon as their modules load.
+ * happy-dom has no `ElementInternals`, so a shim from `internals.js` is
+ * installed as well.
+ *
+ * @example
+ * import './setup.js'
+ * import { fixture } from './harness.js'
+ */
+import { GlobalRegistrator } from '@happy-dom/global-registrator'
+import { installElementInternals } from './internals.js'
+
+if (!GlobalRegistrator.registered)
+  GlobalRegistrator.register()
+
+installElementInternals()
@@ -0,0 +1,68 @@
+import './setup.js'
+
+import { afterEach, describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import '../src/aqua-button2.js'
+import '../src/aqua-hr.js'
+import { renderToString } from '../src/ssr.js'
+import { cleanup, fixture } from './harness.js'
+import { declareShadowRoot } from './internals.js'
+
+afterEach(cleanup)
+
+describe('renderToString', () => {
+  it('renders a declarative shadow root with styles and variables', async () => {
+    const html = await renderToString('aqua-hr', { margin: 'none', title: 'a "rule"' })
+
+    assert.match(html, /^<aqua-hr margin="none" title="a &quot;rule&quot;">/)
+    assert.match(html, /<template shadowrootmode="open"><style>/)
+    assert.match(html, /--hr-margin: 0;/)
+    assert.match(html, /<div class="aqua-hr" part="rule"><\/div><\/template><\/aqua-hr>$/)
+  })
+
+  it('renders boolean attributes and light DOM children', async () => {
+    const html = await renderToString('aqua-hr', { hidden: true, lang: false }, '<b>x</b>')
+
+    assert.match(html, /^<aqua-hr hidden>/)
+    assert.match(html, /<\/template><b>x<\/b><\/aqua-hr>$/)
+  })
+
+  it('writes the shadow root options into the template', async () => {
+    const html = await renderToString('aqua-button2')
+
+    assert.match(html, /<template shadowrootmode="open" shadowrootdelegatesfocus>/)
+  })
+
+  it('leaves nothing behind in the document', async () => {
+    await renderToString('aqua-hr')
+
+    assert.equal(document.body.querySelector('aqua-hr'), null)
+  })
+
+  it('renders a root the component hydrates instead of rendering again', async () => {
+    const html = await renderToString('aqua-hr', { margin: 'none' })
+    const [, content] = html.match(/<template shadowrootmode="open">([\s\S]*)<\/template>/)
+    const undeclare = declareShadowRoot(
+      'aqua-hr',
+      { mode: 'open' },
+      content.replace('class="aqua-hr"', 'class="aqua-hr" data-served')
+    )
+
+    try {
+      const rule = await fixture('<aqua-hr margin="none"></aqua-hr>')
+      const rules = rule.shadowRoot.querySelectorAll('.aqua-hr')
+
+      assert.equal(rules.length, 1)
+      assert.equal(rules[0].hasAttribute('data-served'), true)
+      assert.equal(rule.variables.hrMargin, '0')
+    }
+    finally {
+      undeclare()
+    }
+  })
+
+  it('rejects tags that are not components', async () => {
+    await assert.rejects(renderToString('not-defined'), TypeError)
+  })
+})
@@ -0,0 +1,332 @@
+import './setup.js'
+
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { StyleManager } from '../src/stylemanager.js'
+
+describe('StyleManager', () => {
+  describe('with a <style> element', () => {
+    function createManager() {
+      const style = document.createElement('style')
+      document.head.append(style)
+
+      return [new StyleManager(style), style]
+    }
+
+    it('creates, reads, updates and removes variables', () => {
+      const [manager, style] = createManager()
+
+      assert.equal(manager.hasVariable('primary-color'), false)
+
+      manager.setVariable('primary-color', 'red')
+      assert.equal(manager.hasVariable('primary-color'), true)
+      assert.equal(manager.getVariable('primary-color'), 'red')
+      assert.match(style.textContent, /:root\s*\{\s*--primary-color: red;/)
+
+      manager.setVariable('primary-color', 'blue')
+      assert.equal(manager.getVariable('primary-color'), 'blue')
+
+      assert.equal(manager.removeVariable('primary-color'), true)
+      assert.equal(manager.hasVariable('primary-color'), false)
+      style.remove()
+    })
+
+    it('lists variable names in camelCase', () => {
+      const [manager, style] = createManager()
+
+      manager.setVariable('primary-color', 'red')
+      manager.setVariable('border-width', '1px')
+
+      assert.deepEqual(manager.getVariableNames(), ['primaryColor', 'borderWidth'])
+      style.remove()
+    })
+  })
+
+  describe('with a constructable stylesheet', () => {
+    it('writes variables to a :host rule', () => {
+      const manager = new StyleManager(new CSSStyleSheet(), true)
+
+      manager.setVariable('size', '12px')
+
+      assert.match(manager.toString(), /:host\s*\{\s*--size: 12px;/)
+      assert.equal(manager.sheet, manager.styleElement)
+    })
+  })
+
+  describe('variables proxy', () => {
+    it('maps camelCase and --kebab-case keys to the same variable', () => {
+      const manager = new StyleManager(new CSSStyleSheet(), true)
+      const { variables } = manager
+
+      variables.primaryColor = 'red'
+      assert.equal(variables['--primary-color'], 'red')
+      assert.equal(manager.getVariable('primary-color'), 'red')
+      assert.ok('primaryColor' in variables)
+    })
+
+    it('enumerates and deletes variables', () => {
+      const manager = new StyleManager(new CSSStyleSheet(), true)
+      const { variables } = manager
+
+      variables.top = '1px'
+      variables.bottom = '2px'
+      assert.deepEqual(Object.keys(variables), ['top', 'bottom'])
+      assert.deepEqual([...manager], [['top', '1px'], ['bottom', '2px']])
+
+      delete variables.top
+      assert.deepEqual(Object.keys(variables), ['bottom'])
+      assert.equal(manager.hasVariable('top'), false)
+    })
+
+    it('assigns several variables through applyVariablesTo', () => {
+      const manager = new StyleManager(new CSSStyleSheet(), true)
+      const target = {}
+
+      manager.applyVariablesTo(target)
+      target.variables = { top: '1px', bottom: '2px' }
+      target.variables = { top: undefined }
+
+      assert.deepEqual(Object.keys(target.variables), ['bottom'])
+    })
+  })
+
+  describe('scoped variables', () => {
+    it('writes variables for another selector', () => {
+      const manager = new StyleManager(new CSSStyleSheet(), true)
+      const disabled = manager.scope(':host([disabled])')
+
+      manager.variables.buttonTextColor = 'black'
+      disabled.variables.buttonTextColor = 'gray'
+
+      assert.equal(manager.scope(':host([disabled])'), disabled)
+      assert.equal(manager.variables.buttonTextColor, 'black')
+      assert.equal(disabled.variables.buttonTextColor, 'gray')
+      assert.match(manager.toString(), /:host\(\[disabled\]\)\s*\{\s*--button-text-color: gray;/)
+    })
+
+    it('writes variables inside media, container and supports rules', () => {
+      const manager = new StyleManager(new CSSStyleSheet(), true)
+
+      manager.media('(prefers-color-scheme: dark)').variables.textColor = 'white'
+      manager.container('card (min-width: 400px)').variables.size = '32px'
+      manager.supports('(display: grid)').variables.gap = '4px'
+
+      const css = manager.toString()
+      assert.match(css, /@media \(prefers-color-scheme: dark\)\s*\{\s*:host\s*\{\s*--text-color: white;/)
+      assert.match(css, /@container card \(min-width: 400px\)\s*\{\s*:host\s*\{\s*--size: 32px;/)
+      assert.match(css, /@supports \(display: grid\)\s*\{\s*:host\s*\{\s*--gap: 4px;/)
+      assert.deepEqual(manager.getVariableNames(), [])
+    })
+
+    it('reuses an existing rule whose selector is serialized differently', () => {
+      const style = document.createElement('style')
+      style.textContent = '.a > .b, .c { --gap: 1px; }'
+      document.head.append(style)
+
+      const nested = new StyleManager(style).scope('.a>.b,.c')
+
+      assert.equal(nested.getVariable('gap'), '1px')
+      nested.variables.gap = '2px'
+      nested.variables.gap = '3px'
+      assert.equal(style.sheet.cssRules.length, 1)
+      assert.equal(nested.getVariable('gap'), '3px')
+      style.remove()
+    })
+
+    it('reuses an existing media rule written with different spacing', () => {
+      const style = document.createElement('style')
+      style.textContent = '@media (min-width:600px) { :root { --gap: 1px; } }'
+      document.head.append(style)
+
+      const wide = new StyleManager(style).media('(min-width: 600px)')
+
+      assert.equal(wide.getVariable('gap'), '1px')
+      wide.variables.gap = '2px'
+      assert.equal(style.sheet.cssRules.length, 1)
+      assert.equal(wide.getVariable('gap'), '2px')
+
+      assert.equal(wide.removeVariable('gap'), true)
+      assert.deepEqual(Object.keys(wide.variables), [])
+      style.remove()
+    })
+  })
+
+  describe('batches and transactions', () => {
+    it('updates the style element once a batch ends', () => {
+      const style = document.createElement('style')
+      document.head.append(style)
+
+      const manager = new StyleManager(style)
+      const hover = manager.scope(':root:hover')
+      const result = manager.batch(({ variables }) => {
+        variables.top = '1px'
+        hover.variables.top = '2px'
+        manager.batch(() => { variables.bottom = '3px' })
+
+        assert.equal(style.textContent, '')
+        return 'done'
+      })
+
+      assert.equal(result, 'done')
+      assert.match(style.textContent, /:root\s*\{\s*--top: 1px;\s*--bottom: 3px;/)
+      assert.match(style.textContent, /:root:hover\s*\{\s*--top: 2px;/)
+      style.remove()
+    })
+
+    it('reports the variables that changed', () => {
+      const manager = new StyleManager(new CSSStyleSheet(), true)
+      const reports = []
+      const stop = manager.onChange(changes => reports.push(changes))
+
+      manager.variables.buttonTop = 'red'
+      manager.batch(({ variables }) => {
+        variables.buttonTop = 'blue'
+        variables.buttonTop = 'green'
+        variables.buttonBottom = 'white'
+        delete variables.buttonBottom
+        variables.unchanged = 'x'
+        delete variables.unchanged
+      })
+      manager.variables.buttonTop = 'green'
+      stop()
+      manager.variables.buttonTop = 'black'
+
+      assert.deepEqual(reports, [
+        [{ name: 'buttonTop', previous: null, value: 'red' }],
+        [{ name: 'buttonTop', previous: 'red', value: 'green' }],
+      ])
+    })
+
+    it('undoes a transaction', () => {
+      const manager = new StyleManager(new CSSStyleSheet(), true)
+      const dark = manager.media('(prefers-color-scheme: dark)')
+      const reports = []
+
+      manager.variables.top = '1px'
+      manager.onChange(changes => reports.push(changes))
+
+      const preview = manager.transaction(({ variables }) => {
+        variables.top = '2px'
+        variables.bottom = '3px'
+        dark.variables.top = '4px'
+      })
+
+      assert.deepEqual(preview.changes, [
+        { name: 'top', previous: '1px', value: '2px' },
+        { name: 'bottom', previous: null, value: '3px' },
+        { name: 'top', previous: null, value: '4px' },
+      ])
+
+      preview.undo()
+
+      assert.deepEqual({ ...manager.variables }, { top: '1px' })
+      assert.deepEqual(Object.keys(dark.variables), [])
+      assert.equal(reports.length, 2)
+      assert.deepEqual(reports[1], [
+        { name: 'bottom', previous: '3px', value: null },
+        { name: 'top', previous: '2px', value: '1px' },
+      ])
+    })
+
+    it('undoes the writes of a transaction that throws', () => {
+      const manager = new StyleManager(new CSSStyleSheet(), true)
+      const reports = []
+
+      manager.variables.top = '1px'
+      manager.onChange(changes => reports.push(changes))
+
+      assert.throws(() => manager.transaction(({ variables }) => {
+        variables.top = '2px'
+        throw new Error('cancelled')
+      }), /cancelled/)
+
+      assert.equal(manager.variables.top, '1px')
+      assert.deepEqual(reports, [])
+    })
+  })
+
+  describe('registered properties', () => {
+    it('matches values against a syntax', () => {
+      assert.equal(StyleManager.matchesSyntax('10px', '<length>'), true)
+      assert.equal(StyleManager.matchesSyntax('"10px"', '<length>'), false)
+      assert.equal(StyleManager.matchesSyntax('100%', '<length>'), false)
+      assert.equal(StyleManager.matchesSyntax('100%', '<length-percentage> | auto'), true)
+      assert.equal(StyleManager.matchesSyntax('auto', '<length-percentage> | auto'), true)
+      assert.equal(StyleManager.matchesSyntax('1px 2px', '<length>'), false)
+      assert.equal(StyleManager.matchesSyntax('1px 2px', '<length>+'), true)
+      assert.equal(StyleManager.matchesSyntax('#fff, rgb(0 0 0 / 50%)', '<color>#'), true)
+      assert.equal(StyleManager.matchesSyntax('10px', '<color>'), false)
+      assert.equal(StyleManager.matchesSyntax('calc(var(--a) / 2)', '<length>'), true)
+      assert.equal(StyleManager.matchesSyntax('anything at all', '*'), true)
+      assert.throws(() => StyleManager.matchesSyntax('1px', '<length> <length>'), SyntaxError)
+    })
+
+    it('requires initial values to be valid and computationally independent', () => {
+      const define = initialValue => () => StyleManager.registerProperty({
+        name: '--test-invalid', syntax: '<length>', inherits: true, initialValue,
+      })
+
+      assert.throws(define('"10px"'), SyntaxError)
+      assert.throws(define('0.2em'), SyntaxError)
+      assert.throws(define('var(--other)'), SyntaxError)
+      assert.throws(define(undefined), SyntaxError)
+      assert.equal(StyleManager.getPropertyDefinition('--test-invalid'), undefined)
+    })
+
+    it('registers each property with the document once', t => {
+      const registered = []
+      const definition = { name: '--test-size', syntax: '<length>', inherits: true, initialValue: '4px' }
+
+      const descriptor = Object.getOwnPropertyDescriptor(globalThis, 'CSS')
+
+      t.mock.method(console, 'warn', () => {})
+      Object.defineProperty(globalThis, 'CSS', {
+        value: { registerProperty: ({ name }) => registered.push(name) },
+        configurable: true,
+      })
+
+      try {
+        assert.equal(StyleManager.registerProperty(definition), true)
+        assert.equal(StyleManager.registerProperty(definition), false)
+        assert.equal(StyleManager.registerProperty({ ...definition, initialValue: '5px' }), false)
+      }
+      finally {
+        Object.defineProperty(globalThis, 'CSS', descriptor)
+      }
+
+      assert.deepEqual(registered, ['--test-size'])
+      assert.equal(console.warn.mock.callCount(), 1)
+      assert.equal(StyleManager.getPropertyDefinition('--test-size').initialValue, '4px')
+    })
+
+    it('refuses variable values that do not match the syntax', t => {
+      t.mock.method(console, 'warn', () => {})
+      StyleManager.registerProperty({
+        name: '--test-tint', syntax: '<color>', inherits: true, initialValue: 'transparent',
+      })
+
+      const manager = new StyleManager(new CSSStyleSheet(), true)
+
+      assert.equal(manager.setVariable('test-tint', 'rgb(1,2,3)'), true)
+      assert.equal(manager.setVariable('test-tint', '12px'), false)
+      manager.variables.testTint = '3em'
+
+      assert.equal(manager.getVariable('test-tint'), 'rgb(1,2,3)')
+      assert.equal(console.warn.mock.callCount(), 2)
+
+      manager.variables.testTint = 'var(--other-tint)'
+      assert.equal(manager.getVariable('test-tint'), 'var(--other-tint)')
+    })
+  })
+
+  describe('property names', () => {
+    it('normalizes to kebab-case and back', () => {
+      const manager = new StyleManager(new CSSStyleSheet())
+
+      assert.equal(manager.normalizeProp('backgroundColor'), 'background-color')
+      assert.equal(manager.normalizeProp('--background-color'), 'background-color')
+      assert.equal(manager.denormalizeProp('background-color'), 'backgroundColor')
+    })
+  })
+})
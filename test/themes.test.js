@@ -0,0 +1,157 @@
+import './setup.js'
+
+import { afterEach, describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import '../src/aqua-button.js'
+import { graphite, themes } from '../src/themes.js'
+import { cleanup, fixture } from './harness.js'
+
+afterEach(() => {
+  themes.clear()
+  cleanup()
+})
+
+function themeStyles() {
+  return document.head.querySelector('style[data-aqua-themes]')?.textContent ?? ''
+}
+
+describe('themes', () => {
+  describe('registry', () => {
+    it('holds the built-in themes', () => {
+      assert.deepEqual(themes.names().slice(0, 3), ['aqua-blue', 'graphite', 'high-contrast'])
+      assert.equal(themes.get('graphite').label, 'Graphite')
+      assert.equal(themes.get('missing'), null)
+    })
+
+    it('merges the tokens a theme extends', () => {
+      const tokens = themes.tokensOf('graphite')
+
+      assert.equal(tokens.aquaBlueTop, 'rgb(96,107,122)')
+      assert.equal(tokens.aquaGrayTop, themes.tokensOf('aqua-blue').aquaGrayTop)
+      assert.equal(tokens.aquaFontFamily, themes.tokensOf('aqua-blue').aquaFontFamily)
+    })
+
+    it('rejects themes without a name or with an unknown parent', () => {
+      assert.throws(() => themes.register({ tokens: {} }), TypeError)
+      assert.throws(() => themes.register({ name: 'orphan', extends: 'missing' }), TypeError)
+      assert.equal(themes.get('orphan'), null)
+    })
+
+    it('reads tokens with the default theme as the fallback', () => {
+      assert.equal(themes.token('aquaBlueTop'), 'var(--aqua-blue-top, rgb(75,95,146))')
+      assert.equal(themes.token('aquaBlueTop', false), 'var(--aqua-blue-top)')
+      assert.equal(themes.token('brandAccent'), 'var(--brand-accent)')
+    })
+
+    it('loads themes written as JSON', async () => {
+      const descriptor = Object.getOwnPropertyDescriptor(globalThis, 'fetch')
+      const requested = []
+
+      Object.defineProperty(globalThis, 'fetch', {
+        value: async url => {
+          requested.push(url)
+          return {
+            ok: true,
+            json: async () => ({ name: 'loaded', extends: 'aqua-blue', tokens: { aquaShadowColor: 'red' } }),
+          }
+        },
+        configurable: true,
+        writable: true,
+      })
+
+      try {
+        const theme = await themes.load('/themes/loaded.json')
+
+        assert.deepEqual(requested, ['/themes/loaded.json'])
+        assert.equal(themes.get('loaded'), theme)
+        assert.equal(themes.tokensOf('loaded').aquaShadowColor, 'red')
+      }
+      finally {
+        Object.defineProperty(globalThis, 'fetch', descriptor)
+      }
+    })
+  })
+
+  describe('applying', () => {
+    it('themes the page and announces the change', () => {
+      const events = []
+      const listener = event => events.push(event.detail)
+      document.addEventListener('theme-change', listener)
+
+      try {
+        assert.equal(themes.apply('graphite'), null)
+        assert.equal(themes.apply('graphite'), 'graphite')
+        assert.equal(themes.apply('high-contrast'), 'graphite')
+        assert.equal(themes.clear(), 'high-contrast')
+      }
+      finally {
+        document.removeEventListener('theme-change', listener)
+      }
+
+      assert.deepEqual(events, [
+        { theme: 'graphite', previous: null },
+        { theme: 'high-contrast', previous: 'graphite' },
+        { theme: null, previous: 'high-contrast' },
+      ])
+      assert.equal(document.documentElement.hasAttribute('data-aqua-theme'), false)
+    })
+
+    it('writes the theme variables for the themed elements', () => {
+      themes.apply('graphite')
+
+      assert.equal(document.documentElement.getAttribute('data-aqua-theme'), 'graphite')
+      assert.match(
+        themeStyles(),
+        /\[data-aqua-theme="graphite"\]\s*\{[^}]*--aqua-blue-top: rgb\(96,107,122\);/
+      )
+      assert.throws(() => themes.apply('missing'), TypeError)
+    })
+
+    it('themes a subtree, shadow roots included', async () => {
+      const section = await fixture('<section><aqua-button>Buy</aqua-button></section>')
+      const button = section.querySelector('aqua-button')
+
+      themes.apply('graphite')
+      themes.apply('high-contrast', section)
+
+      assert.equal(themes.current(), 'graphite')
+      assert.equal(themes.current(button.elements.content), 'high-contrast')
+
+      themes.clear(section)
+      assert.equal(themes.current(button.elements.content), 'graphite')
+
+      themes.clear()
+      assert.equal(themes.current(button), 'aqua-blue')
+    })
+
+    it('writes the variables into the shadow root of the themed element', async () => {
+      const button = await fixture('<aqua-button>Buy</aqua-button>')
+      const { content } = button.elements
+      const shadowStyles = () => button.renderRoot.querySelector('style[data-aqua-themes]')?.textContent ?? ''
+
+      themes.apply('graphite', content)
+      themes.apply('high-contrast', button.elements.chrome)
+
+      assert.equal(button.renderRoot.querySelectorAll('style[data-aqua-themes]').length, 1)
+      assert.match(shadowStyles(), /\[data-aqua-theme="graphite"\]\s*\{[^}]*--aqua-blue-top: rgb\(96,107,122\);/)
+      assert.match(shadowStyles(), /\[data-aqua-theme="high-contrast"\]/)
+
+      themes.register({ name: 'graphite', extends: 'aqua-blue', tokens: { aquaShadowColor: 'red' } })
+      assert.match(shadowStyles(), /\[data-aqua-theme="graphite"\]\s*\{[^}]*--aqua-shadow-color: red;/)
+
+      themes.clear(content)
+      themes.clear(button.elements.chrome)
+      themes.register(graphite)
+    })
+
+    it('rewrites an applied theme when it is registered again', () => {
+      themes.register({ name: 'brand', extends: 'aqua-blue', tokens: { aquaShadowColor: 'red' } })
+      themes.apply('brand')
+      themes.register({ name: 'brand', extends: 'aqua-blue', tokens: { aquaShadowColor: 'blue' } })
+
+      assert.match(themeStyles(), /\[data-aqua-theme="brand"\]\s*\{[^}]*--aqua-shadow-color: blue;/)
+      assert.doesNotMatch(themeStyles(), /--aqua-shadow-color: red;/)
+    })
+  })
+})
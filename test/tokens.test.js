@@ -0,0 +1,97 @@
+import './setup.js'
+
+import { afterEach, describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import '../src/aqua-hr.js'
+import { themes } from '../src/themes.js'
+import { exportTokens, importTokens, parseTokens } from '../src/tokens.js'
+import { cleanup, fixture } from './harness.js'
+
+afterEach(cleanup)
+
+describe('tokens', () => {
+  describe('exporting', () => {
+    it('writes a theme as CSS custom properties', () => {
+      const css = exportTokens('graphite', 'css', { selector: '.graphite' })
+
+      assert.match(css, /^\.graphite \{\n/)
+      assert.match(css, /\n {2}--aqua-blue-top: rgb\(96,107,122\);\n/)
+      assert.match(css, /\n}\n$/)
+    })
+
+    it('writes a flat JSON file keyed in kebab-case', () => {
+      const json = JSON.parse(exportTokens({ hrHeight: '6px', aquaBlueTop: '#fff' }, 'json'))
+
+      assert.deepEqual(json, { 'hr-height': '6px', 'aqua-blue-top': '#fff' })
+    })
+
+    it('wraps list values of SCSS maps in parentheses', () => {
+      const scss = exportTokens({
+        aquaShadowColor: 'rgba(0, 0, 0, 0.5)',
+        aquaFontFamily: "'Lucida Grande', sans-serif",
+      }, 'scss', { mapName: 'aqua' })
+
+      assert.equal(scss, [
+        '$aqua: (',
+        '  "aqua-shadow-color": rgba(0, 0, 0, 0.5),',
+        `  "aqua-font-family": ('Lucida Grande', sans-serif),`,
+        ');',
+        '',
+      ].join('\n'))
+    })
+
+    it('rejects unknown formats and themes', () => {
+      assert.throws(() => exportTokens('aqua-blue', 'yaml'), TypeError)
+      assert.throws(() => exportTokens('missing', 'css'), TypeError)
+    })
+  })
+
+  describe('importing', () => {
+    for (const format of ['css', 'json', 'scss']) {
+      it(`round-trips a theme through ${format}`, () => {
+        const tokens = themes.tokensOf('aqua-blue')
+
+        assert.deepEqual(parseTokens(exportTokens('aqua-blue', format), format), tokens)
+      })
+    }
+
+    it('reads hand-written files', () => {
+      const css = `
+        /* brand */
+        :root { --brand-accent: #5b2a86; --brand-font: "A; B", serif }
+        .dark { --brand-accent: url(data:image/png;base64,AAAA); }
+      `
+      const scss = `
+        // brand
+        $brand-accent: #5b2a86 !default;
+        $brand: ("font": ("A", serif), "gap": 4px);
+      `
+
+      assert.deepEqual(parseTokens(css, 'css'), {
+        brandAccent: 'url(data:image/png;base64,AAAA)',
+        brandFont: '"A; B", serif',
+      })
+      assert.deepEqual(parseTokens(scss, 'scss'), {
+        brandAccent: '#5b2a86',
+        font: '"A", serif',
+        gap: '4px',
+      })
+      assert.deepEqual(
+        parseTokens({ '--brand-gap': 4, brand: { accent: { $value: 'red' } } }, 'json'),
+        { brandGap: '4', brandAccent: 'red' }
+      )
+      assert.throws(() => parseTokens('{ "brand-gap": true }', 'json'), TypeError)
+    })
+
+    it('sets the tokens as variables of a component', async () => {
+      const rule = await fixture('<aqua-hr></aqua-hr>')
+      const tokens = importTokens(rule, '{ "hr-radius": "3px" }', 'json')
+
+      assert.deepEqual(tokens, { hrRadius: '3px' })
+      assert.equal(rule.styleManager.variables.hrRadius, '3px')
+      assert.match(exportTokens(rule, 'css'), /--hr-radius: 3px;/)
+      assert.throws(() => importTokens({}, '', 'css'), TypeError)
+    })
+  })
+})
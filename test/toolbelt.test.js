@@ -0,0 +1,42 @@
+import './setup.js'
+
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { Toolbelt } from '../src/toolbelt.js'
+
+describe('Toolbelt', () => {
+  it('recognizes camelCase', () => {
+    assert.equal(Toolbelt.isCamelCase('helloWorld'), true)
+    assert.equal(Toolbelt.isCamelCase('hello'), false)
+    assert.equal(Toolbelt.isCamelCase('HelloWorld'), false)
+    assert.equal(Toolbelt.isCamelCase('hello-world'), false)
+    assert.equal(Toolbelt.isCamelCase(''), false)
+  })
+
+  it('recognizes kebab-case', () => {
+    assert.equal(Toolbelt.isKebabCase('hello-world'), true)
+    assert.equal(Toolbelt.isKebabCase('hello'), true)
+    assert.equal(Toolbelt.isKebabCase('helloWorld'), false)
+    assert.equal(Toolbelt.isKebabCase('-hello'), false)
+  })
+
+  it('converts camelCase to kebab-case', () => {
+    assert.equal(Toolbelt.camelToKebabCase('helloWorld'), 'hello-world')
+    assert.equal(Toolbelt.camelToKebabCase('AquaButton2'), 'aqua-button2')
+    assert.equal(Toolbelt.camelToKebabCase('item2Name'), 'item2-name')
+  })
+
+  it('converts kebab-case to camelCase', () => {
+    assert.equal(Toolbelt.kebabToCamelCase('hello-world'), 'helloWorld')
+    assert.equal(Toolbelt.kebabToCamelCase('-Hello-World-'), 'helloWorld')
+  })
+
+  it('converts only strings that are in the other case', () => {
+    assert.equal(Toolbelt.camelIfKebab('max-items'), 'maxItems')
+    assert.equal(Toolbelt.camelIfKebab('maxItems'), 'maxItems')
+    assert.equal(Toolbelt.camelIfKebab('margin', true), 'Margin')
+    assert.equal(Toolbelt.kebabIfCamel('maxItems'), 'max-items')
+    assert.equal(Toolbelt.kebabIfCamel('max-items'), 'max-items')
+  })
+})
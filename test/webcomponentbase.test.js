@@ -0,0 +1,779 @@
+import './setup.js'
+
+import { afterEach, describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { StyleManager } from '../src/stylemanager.js'
+import { WebComponentBase } from '../src/webcomponentbase.js'
+import { cleanup, fixture, waitForUpdate } from './harness.js'
+import { declareShadowRoot } from './internals.js'
+
+class TestWidget extends WebComponentBase {
+  renders = []
+  changes = []
+  firstUpdates = []
+
+  firstUpdated() {
+    this.firstUpdates.push(this.isConnected)
+  }
+
+  onLabelChanged(oldValue, newValue) {
+    this.changes.push([oldValue, newValue])
+  }
+
+  render(changedKeys) {
+    this.renders.push([...changedKeys])
+  }
+
+  template() {
+    return '<span class="label"></span>'
+  }
+
+  static get cssProperties() {
+    return [
+      ...super.cssProperties,
+      { name: '--widget-fill', syntax: '<color>', inherits: true, initialValue: 'white' },
+    ]
+  }
+
+  static get observedAttributes() {
+    return [...super.observedAttributes, 'label']
+  }
+
+  static get properties() {
+    return {
+      count: { type: Number, default: 0, reflect: true },
+      open: { type: Boolean, reflect: true },
+      tags: { type: Array },
+      maxItems: { type: Number, default: 10 },
+    }
+  }
+}
+
+TestWidget.define('test-widget')
+
+class TestSecret extends WebComponentBase {
+  template() {
+    return '<button class="inner" part="control"><slot></slot></button>'
+  }
+
+  static get shadowRootOptions() {
+    return { ...super.shadowRootOptions, mode: 'closed', delegatesFocus: true }
+  }
+}
+
+TestSecret.define('test-secret')
+
+class TestLifecycle extends WebComponentBase {
+  calls = []
+
+  willUpdate(changedKeys) {
+    this.calls.push(['willUpdate', [...changedKeys].sort()])
+
+    if (changedKeys.has('count'))
+      this.setState('double', this.count * 2, true)
+  }
+
+  render(changedKeys) {
+    if (this.count < 0)
+      throw new RangeError('negative count')
+
+    this.calls.push(['render', [...changedKeys].sort()])
+  }
+
+  firstUpdated(changedKeys) {
+    this.calls.push(['firstUpdated', this.isConnected])
+  }
+
+  updated(changedKeys) {
+    this.calls.push(['updated', this.getState('double')])
+  }
+
+  static get properties() {
+    return {
+      count: { type: Number, default: 1 },
+    }
+  }
+}
+
+TestLifecycle.define('test-lifecycle')
+
+class TestSlots extends WebComponentBase {
+  slotChanges = []
+
+  onSlotChange(slotName, assignedNodes) {
+    this.slotChanges.push([slotName, assignedNodes.map(node => node.textContent)])
+  }
+
+  template() {
+    return '<slot name="icon"></slot><slot></slot>'
+  }
+}
+
+TestSlots.define('test-slots')
+
+class TestAligned extends WebComponentBase {
+  static get attributeSchema() {
+    return {
+      ...super.attributeSchema,
+      align: { values: ['start', 'center', 'end'], ignoreCase: true },
+      gap: { pattern: /^\d+px$/, description: 'a length in pixels' },
+    }
+  }
+
+  static get observedAttributes() {
+    return [...super.observedAttributes, 'align', 'gap']
+  }
+}
+
+TestAligned.define('test-aligned')
+
+class TestServed extends WebComponentBase {
+  template() {
+    return '<span class="label"></span>'
+  }
+}
+
+TestServed.define('test-served')
+
+class TestField extends WebComponentBase {
+  resets = 0
+
+  formResetCallback() {
+    this.resets++
+    this.setFormValue(this.getAttribute('value'))
+  }
+
+  connectedCallback() {
+    super.connectedCallback()
+    this.setFormValue(this.getAttribute('value'))
+  }
+
+  static get formAssociated() {
+    return true
+  }
+}
+
+TestField.define('test-field')
+
+class TestToolbar extends WebComponentBase {
+  constructor() {
+    super()
+    this.ownInternals = this.attachInternals()
+  }
+}
+
+TestToolbar.define('test-toolbar')
+
+class TestCard extends WebComponentBase {
+  template() {
+    return `
+      <h2 part="title heading">Title</h2>
+      <test-secret exportparts="control: card-control, missing"></test-secret>
+    `
+  }
+}
+
+TestCard.define('test-card')
+
+afterEach(cleanup)
+
+describe('WebComponentBase', () => {
+  describe('attributes and state', () => {
+    it('reads declared properties from their attributes', async () => {
+      const widget = await fixture(
+        '<test-widget count="3" open tags="a, b" max-items="4"></test-widget>'
+      )
+
+      assert.equal(widget.count, 3)
+      assert.equal(widget.open, true)
+      assert.deepEqual(widget.tags, ['a', 'b'])
+      assert.equal(widget.maxItems, 4)
+    })
+
+    it('falls back to declared defaults', async () => {
+      const widget = await fixture('<test-widget></test-widget>')
+
+      assert.equal(widget.count, 0)
+      assert.equal(widget.open, false)
+      assert.equal(widget.maxItems, 10)
+    })
+
+    it('reflects declared properties to attributes', async () => {
+      const widget = await fixture('<test-widget></test-widget>')
+
+      widget.count = 7
+      widget.open = true
+      assert.equal(widget.getAttribute('count'), '7')
+      assert.equal(widget.getAttribute('open'), '')
+
+      widget.open = false
+      assert.equal(widget.hasAttribute('open'), false)
+    })
+
+    it('does not reflect properties declared without reflect', async () => {
+      const widget = await fixture('<test-widget></test-widget>')
+
+      widget.maxItems = 2
+      assert.equal(widget.hasAttribute('max-items'), false)
+      assert.equal(widget.getState('maxItems'), 2)
+    })
+
+    it('keeps undeclared observed attributes in state', async () => {
+      const widget = await fixture('<test-widget label="one"></test-widget>')
+
+      assert.equal(widget.getState('label'), 'one')
+
+      widget.setAttribute('label', 'two')
+      assert.equal(widget.getState('label'), 'two')
+      assert.deepEqual(widget.changes.at(-1), ['one', 'two'])
+
+      widget.setState('label', 'three')
+      assert.equal(widget.getAttribute('label'), 'three')
+
+      widget.setState('label', 'four', true)
+      assert.equal(widget.getAttribute('label'), 'three')
+      assert.equal(widget.getState('label'), 'four')
+    })
+
+    it('exposes state through the state proxy', async () => {
+      const widget = await fixture('<test-widget label="one"></test-widget>')
+
+      widget.state.extra = 5
+      assert.equal(widget.getState('extra'), 5)
+      assert.equal(widget.hasState('extra'), true)
+
+      delete widget.state.extra
+      assert.equal(widget.hasState('extra'), false)
+    })
+  })
+
+  describe('updates', () => {
+    it('batches changes into one render', async () => {
+      const widget = await fixture('<test-widget></test-widget>')
+      widget.renders.length = 0
+
+      widget.count = 1
+      widget.count = 2
+      widget.open = true
+      await waitForUpdate(widget)
+
+      assert.equal(widget.renders.length, 1)
+      assert.deepEqual(widget.renders[0].sort(), ['count', 'open'])
+    })
+
+    it('renders the declared properties set through setMultipleState', async () => {
+      const widget = await fixture('<test-widget></test-widget>')
+      widget.renders.length = 0
+
+      widget.setMultipleState({ count: 5, open: true, extra: 'x' })
+      await waitForUpdate(widget)
+
+      assert.equal(widget.count, 5)
+      assert.equal(widget.renders.length, 1)
+      assert.deepEqual(widget.renders[0].sort(), ['count', 'extra', 'open'])
+    })
+
+    it('holds renders until the component is first connected', async () => {
+      const widget = document.createElement('test-widget')
+
+      widget.count = 3
+      widget.requestUpdate('extra')
+      await new Promise(resolve => setTimeout(resolve))
+
+      assert.deepEqual(widget.renders, [])
+      assert.equal(widget.hasUpdated, false)
+
+      document.body.append(widget)
+
+      try {
+        await waitForUpdate(widget)
+
+        assert.equal(widget.renders.length, 1)
+        assert.ok(widget.renders[0].includes('count'))
+        assert.ok(widget.renders[0].includes('extra'))
+        assert.deepEqual(widget.firstUpdates, [true])
+        assert.equal(widget.hasUpdated, true)
+      }
+      finally {
+        widget.remove()
+      }
+    })
+
+    it('notifies watchers and emits state-change events', async () => {
+      const widget = await fixture('<test-widget></test-widget>')
+      const seen = []
+      const events = []
+
+      const unwatch = widget.watch('count', (newValue, oldValue) => {
+        seen.push([oldValue, newValue])
+      })
+      widget.addEventListener('state-change', event => events.push(event.detail.key))
+
+      widget.count = 5
+      unwatch()
+      widget.count = 6
+
+      assert.deepEqual(seen, [[0, 5]])
+      assert.deepEqual(events, ['count', 'count'])
+    })
+
+    it('runs queued commands when connected without unhandled rejections', async () => {
+      const widget = document.createElement('test-widget')
+      const unhandled = []
+      const collect = reason => unhandled.push(reason)
+      const failure = new Error('queued')
+
+      process.on('unhandledRejection', collect)
+      widget.addEventListener('component-error', event => event.preventDefault())
+
+      try {
+        const ignored = widget.queueCommand(() => { throw failure })
+        const handled = assert.rejects(widget.queueCommand(() => { throw failure }, { reject: true }), failure)
+        const value = widget.queueCommand(function () { return this })
+
+        document.body.append(widget)
+        await waitForUpdate(widget)
+
+        assert.equal(await ignored, undefined)
+        await handled
+        assert.equal(await value, widget)
+
+        await new Promise(resolve => setTimeout(resolve))
+        assert.deepEqual(unhandled, [])
+      }
+      finally {
+        process.off('unhandledRejection', collect)
+        widget.remove()
+      }
+    })
+
+    it('calls the update hooks around each render', async () => {
+      const element = await fixture('<test-lifecycle></test-lifecycle>')
+      element.calls.length = 0
+
+      element.count = 4
+      await waitForUpdate(element)
+
+      assert.deepEqual(element.calls, [
+        ['willUpdate', ['count']],
+        ['render', ['count', 'double']],
+        ['updated', 8],
+      ])
+    })
+
+    it('calls firstUpdated once, after the first render', async () => {
+      const element = await fixture('<test-lifecycle></test-lifecycle>')
+
+      element.count = 2
+      await waitForUpdate(element)
+
+      const names = element.calls.map(([name]) => name)
+
+      assert.deepEqual(element.calls.filter(([name]) => name === 'firstUpdated'), [['firstUpdated', true]])
+      assert.deepEqual(names.slice(0, 4), ['willUpdate', 'render', 'firstUpdated', 'updated'])
+      assert.equal(element.hasUpdated, true)
+    })
+
+    it('resolves whenConnected once connected, and again after reconnecting', async () => {
+      const element = document.createElement('test-lifecycle')
+      const first = element.whenConnected()
+      let connected = null
+
+      first.then(value => { connected = value })
+      await new Promise(resolve => setTimeout(resolve))
+      assert.equal(connected, null)
+
+      document.body.append(element)
+
+      try {
+        assert.equal(await first, element)
+        assert.equal(await element.whenConnected(), element)
+
+        element.remove()
+
+        const second = element.whenConnected()
+        let reconnected = false
+
+        second.then(() => { reconnected = true })
+        await new Promise(resolve => setTimeout(resolve))
+        assert.notEqual(second, first)
+        assert.equal(reconnected, false)
+
+        document.body.append(element)
+        assert.equal(await second, element)
+      }
+      finally {
+        element.remove()
+      }
+    })
+
+    it('recomputes computed values when their dependencies change', async () => {
+      const widget = await fixture('<test-widget count="2"></test-widget>')
+
+      widget.computed('double', ['count'], () => widget.count * 2)
+      assert.equal(widget.getState('double'), 4)
+
+      widget.count = 5
+      assert.equal(widget.getState('double'), 10)
+    })
+  })
+
+  describe('errors', () => {
+    it('reports render errors as component-error events and to onError', async () => {
+      const element = await fixture('<test-lifecycle></test-lifecycle>')
+      const events = []
+      const reports = []
+      const onError = WebComponentBase.onError
+
+      element.addEventListener('component-error', event => events.push(event.detail))
+      WebComponentBase.onError = report => reports.push(report)
+
+      try {
+        element.count = -1
+        assert.equal(await element.updateComplete, true)
+
+        assert.equal(events.length, 1)
+        assert.equal(events[0].phase, 'render')
+        assert.equal(events[0].tag, 'test-lifecycle')
+        assert.equal(events[0].instanceId, element.instanceId)
+        assert.ok(events[0].error instanceof RangeError)
+        assert.deepEqual(reports, events)
+      }
+      finally {
+        WebComponentBase.onError = onError
+      }
+
+      element.count = 3
+      await waitForUpdate(element)
+      assert.deepEqual(element.calls.at(-1), ['updated', 6])
+    })
+
+    it('logs errors nothing else handled', async t => {
+      const error = t.mock.method(console, 'error', () => {})
+      const element = await fixture('<test-lifecycle></test-lifecycle>')
+
+      element.count = -1
+      await waitForUpdate(element)
+      assert.equal(error.mock.callCount(), 1)
+
+      element.addEventListener('component-error', event => event.preventDefault(), { once: true })
+      element.count = -2
+      await waitForUpdate(element)
+      assert.equal(error.mock.callCount(), 1)
+    })
+
+    it('reports errors of commands queued with queueCommand', async () => {
+      const widget = document.createElement('test-widget')
+      const events = []
+      const reports = []
+      const failure = new Error('queued')
+      const onError = WebComponentBase.onError
+
+      widget.addEventListener('component-error', event => events.push(event.detail.phase))
+      WebComponentBase.onError = report => reports.push(report)
+
+      try {
+        widget.queueCommand(() => { throw failure })
+        document.body.append(widget)
+        await waitForUpdate(widget)
+
+        assert.deepEqual(events, ['queued-command'])
+        assert.equal(reports.length, 1)
+        assert.equal(reports[0].error, failure)
+        assert.equal(reports[0].component, widget)
+      }
+      finally {
+        WebComponentBase.onError = onError
+        widget.remove()
+      }
+    })
+  })
+
+  describe('slots', () => {
+    it('reports the nodes assigned to each slot', async () => {
+      const element = await fixture('<test-slots><b slot="icon">*</b>Label</test-slots>')
+      element.slotChanges.length = 0
+
+      const extra = document.createElement('i')
+      extra.slot = 'icon'
+      extra.textContent = '+'
+      element.append(extra)
+      await waitForUpdate(element)
+
+      assert.deepEqual(element.slotChanges.at(-1), ['icon', ['*', '+']])
+      assert.equal(element.hasSlotted('icon'), true)
+
+      element.replaceChildren()
+      await waitForUpdate(element)
+
+      assert.deepEqual(
+        element.slotChanges.slice(-2).sort(),
+        [['', []], ['icon', []]]
+      )
+      assert.equal(element.hasSlotted(), false)
+    })
+  })
+
+  describe('attribute schema', () => {
+    it('warns once per attribute about values the schema rejects', t => {
+      const warn = t.mock.method(console, 'warn', () => {})
+      const element = document.createElement('test-aligned')
+
+      element.setAttribute('align', 'CENTER')
+      element.setAttribute('align', 'middle')
+      element.setAttribute('align', 'left')
+      element.setAttribute('gap', '2em')
+
+      assert.equal(warn.mock.callCount(), 2)
+      assert.deepEqual(warn.mock.calls[0].arguments.slice(1, 4), ['test-aligned', 'align', 'middle'])
+      assert.match(warn.mock.calls[1].arguments.at(-1), /a length in pixels/)
+      assert.equal(element.validateAttribute('gap', '4px'), true)
+      assert.equal(element.validateAttribute('gap', null), true)
+      assert.equal(element.validateAttribute('unknown', 'anything'), true)
+    })
+
+    it('skips the warnings outside development mode', t => {
+      const warn = t.mock.method(console, 'warn', () => {})
+      const element = document.createElement('test-aligned')
+
+      WebComponentBase.devMode = false
+
+      try {
+        element.setAttribute('align', 'middle')
+
+        assert.equal(element.validateAttribute('align', 'middle'), false)
+        assert.equal(warn.mock.callCount(), 0)
+      }
+      finally {
+        WebComponentBase.devMode = true
+      }
+
+      assert.equal(WebComponentBase.devMode, true)
+    })
+  })
+
+  describe('shadow root options', () => {
+    it('renders into a closed shadow root', async () => {
+      const secret = await fixture('<test-secret>Go</test-secret>')
+      const clicks = []
+
+      secret.on('click', '.inner', () => clicks.push('inner'))
+      secret.renderRoot.querySelector('.inner').click()
+
+      assert.equal(secret.shadowRoot, null)
+      assert.equal(secret.renderRoot.mode, 'closed')
+      assert.equal(secret.hasSlotted(), true)
+      assert.deepEqual(clicks, ['inner'])
+    })
+
+    it('keeps the content of a shadow root rendered on the server', async () => {
+      const undeclare = declareShadowRoot(
+        'test-served',
+        { mode: 'open' },
+        '<style>.old {}</style><span class="label served">Served</span>'
+      )
+
+      try {
+        const served = await fixture('<test-served></test-served>')
+        const root = served.shadowRoot
+
+        assert.equal(root.querySelectorAll('.label').length, 1)
+        assert.equal(root.querySelector('.label.served').textContent, 'Served')
+        assert.doesNotMatch(root.innerHTML, /\.old/)
+      }
+      finally {
+        undeclare()
+      }
+    })
+
+    it('hydrates a closed shadow root rendered on the server', async () => {
+      const undeclare = declareShadowRoot(
+        'test-secret',
+        { mode: 'closed', delegatesFocus: true },
+        '<style>.old {}</style><button class="inner served" part="control"><slot></slot></button>'
+      )
+
+      try {
+        const secret = await fixture('<test-secret>Go</test-secret>')
+        const root = secret.renderRoot
+
+        assert.equal(secret.shadowRoot, null)
+        assert.equal(root.mode, 'closed')
+        assert.ok(root.querySelector('.inner.served'))
+        assert.doesNotMatch(root.innerHTML, /\.old/)
+      }
+      finally {
+        undeclare()
+      }
+    })
+  })
+
+  describe('parts', () => {
+    it('lists its own parts and those nested components export', async () => {
+      const card = await fixture('<test-card></test-card>')
+      const parts = card.getParts()
+      const secret = card.renderRoot.querySelector('test-secret')
+
+      assert.deepEqual([...parts.keys()], ['title', 'heading', 'card-control'])
+      assert.equal(parts.get('title')[0].localName, 'h2')
+      assert.deepEqual(parts.get('card-control'), [secret.renderRoot.querySelector('.inner')])
+    })
+  })
+
+  describe('events', () => {
+    it('delegates listeners registered with a selector', async () => {
+      const widget = await fixture('<test-widget></test-widget>')
+      const targets = []
+
+      widget.on('click', '.label', event => targets.push(event.target.className))
+      widget.shadowRoot.querySelector('.label').click()
+
+      assert.deepEqual(targets, ['label'])
+      assert.equal(widget.getListenerEntries().length, 1)
+    })
+
+    it('removes listeners through the returned function, once or a signal', async () => {
+      const widget = await fixture('<test-widget></test-widget>')
+      const label = widget.shadowRoot.querySelector('.label')
+      const controller = new AbortController()
+      const calls = []
+
+      const stop = widget.on('ping', () => calls.push('stop'))
+      widget.on('ping', () => calls.push('once'), { once: true })
+      widget.on('click', '.label', () => calls.push('delegated once'), { once: true })
+      widget.on('ping', () => calls.push('signal'), { signal: controller.signal })
+
+      widget.dispatchEvent(new Event('ping'))
+      label.click()
+      stop()
+      controller.abort()
+      widget.dispatchEvent(new Event('ping'))
+      label.click()
+
+      assert.deepEqual(calls, ['stop', 'once', 'signal', 'delegated once'])
+      assert.equal(widget.getListenerEntries().length, 0)
+      assert.equal(widget.on('ping', () => calls.push('late'), { signal: controller.signal })(), undefined)
+      assert.equal(widget.getListenerEntries().length, 0)
+    })
+
+    it('emits composed custom events', async () => {
+      const widget = await fixture('<test-widget></test-widget>')
+      let detail = null
+
+      document.addEventListener('widget-ping', event => { detail = event.detail }, { once: true })
+      widget.emit('widget-ping', { value: 1 })
+
+      assert.deepEqual(detail, { value: 1 })
+    })
+  })
+
+  describe('forms', () => {
+    it('contributes its form value and is reset with its form', async () => {
+      const form = await fixture(`
+        <form>
+          <label>Field <test-field name="field" value="initial"></test-field></label>
+        </form>
+      `)
+      const field = form.querySelector('test-field')
+
+      assert.equal(field.form, form)
+      assert.deepEqual(field.labels, [form.querySelector('label')])
+      assert.deepEqual([...new FormData(form)], [['field', 'initial']])
+
+      field.setFormValue('changed')
+      assert.deepEqual([...new FormData(form)], [['field', 'changed']])
+
+      form.reset()
+      assert.equal(field.resets, 1)
+      assert.deepEqual([...new FormData(form)], [['field', 'initial']])
+    })
+
+    it('reports its validity', async () => {
+      const field = await fixture('<test-field></test-field>')
+      const invalid = []
+
+      field.addEventListener('invalid', event => invalid.push(event.type))
+
+      assert.equal(field.willValidate, true)
+      assert.equal(field.checkValidity(), true)
+
+      assert.equal(field.setValidity({ valueMissing: true }, 'Fill me in'), true)
+      assert.equal(field.validity.valueMissing, true)
+      assert.equal(field.validity.valid, false)
+      assert.equal(field.validationMessage, 'Fill me in')
+      assert.equal(field.checkValidity(), false)
+      assert.equal(field.reportValidity(), false)
+      assert.deepEqual(invalid, ['invalid', 'invalid'])
+
+      field.setValidity()
+      assert.equal(field.validity.valid, true)
+      assert.equal(field.validationMessage, '')
+    })
+
+    it('lets a subclass that is not form associated attach its internals', async () => {
+      const toolbar = await fixture('<test-toolbar></test-toolbar>')
+
+      assert.ok(toolbar.ownInternals)
+      assert.equal(toolbar.internals, toolbar.ownInternals)
+      assert.equal(toolbar.form, null)
+      assert.throws(() => toolbar.attachInternals(), { name: 'NotSupportedError' })
+    })
+
+    it('answers the form members harmlessly when not form associated', async () => {
+      const widget = await fixture('<form><test-widget></test-widget></form>')
+        .then(form => form.firstElementChild)
+
+      assert.equal(widget.form, null)
+      assert.deepEqual(widget.labels, [])
+      assert.equal(widget.validity, null)
+      assert.equal(widget.validationMessage, '')
+      assert.equal(widget.willValidate, false)
+      assert.equal(widget.checkValidity(), true)
+      assert.equal(widget.reportValidity(), true)
+      assert.equal(widget.setFormValue('x'), false)
+      assert.equal(widget.setValidity({ customError: true }, 'x'), false)
+      assert.throws(() => widget.internals.form, { name: 'NotSupportedError' })
+    })
+  })
+
+  describe('registry', () => {
+    it('tracks live instances by id and tag', async () => {
+      const widget = await fixture('<test-widget></test-widget>')
+
+      assert.equal(WebComponentBase.instances.get(widget.instanceId), widget)
+      assert.ok(WebComponentBase.instances.byTag('test-widget').includes(widget))
+    })
+
+    it('registers its typed CSS properties when defined', async () => {
+      const widget = await fixture('<test-widget></test-widget>')
+      const warn = console.warn
+      console.warn = () => {}
+
+      try {
+        assert.equal(StyleManager.getPropertyDefinition('--widget-fill').syntax, '<color>')
+        assert.equal(widget.styleManager.setVariable('widget-fill', '2px'), false)
+      }
+      finally {
+        console.warn = warn
+      }
+    })
+
+    it('does not redefine a tag that is already defined', () => {
+      const warn = console.warn
+      const warnings = []
+      console.warn = (...args) => warnings.push(args)
+
+      try {
+        class OtherWidget extends WebComponentBase {}
+
+        assert.equal(TestWidget.define('test-widget'), 'test-widget')
+        assert.equal(OtherWidget.define('test-widget'), null)
+        assert.equal(warnings.length, 1)
+      }
+      finally {
+        console.warn = warn
+      }
+    })
+  })
+})